@@ -0,0 +1,424 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useCheckpoints } from '../hooks/useCheckpoints.js';
+import { useGrid } from '../hooks/useGrid.js';
+import {
+  convertBearing,
+  northReferenceAngles,
+  NORTH_REFERENCES,
+  NORTH_REFERENCE_LABELS,
+  NORTH_REFERENCE_SUFFIXES
+} from '../utils/bearings.js';
+import CoordinateCopyButtons from './CoordinateCopyButtons.jsx';
+import { checkpointLabel } from '../utils/checkpoints.js';
+import { formatPosition, parseLocationInput } from '../utils/coordinates.js';
+import {
+  describeGridReference,
+  intersectTarget,
+  milsToDegrees,
+  resectPosition
+} from '../utils/grid.js';
+
+const formatMeters = (value) => {
+  if (value == null || Number.isNaN(value)) return '—';
+  if (value >= 1000) return `${(value / 1000).toFixed(2)} km`;
+  if (value >= 10) return `${value.toFixed(0)} m`;
+  return `${value.toFixed(1)} m`;
+};
+
+const sourceOptions = [
+  { id: 'checkpoint', label: 'Checkpoint' },
+  { id: 'reference', label: 'Grid Ref' },
+  { id: 'map', label: 'Map Tap' }
+];
+
+const modes = {
+  resection: {
+    title: 'Resection',
+    intro:
+      'Take compass bearings to two or three features you can see and find on the map. Your position is where the back bearings cross.',
+    pointLabel: 'Feature',
+    pickMessage: 'Tap the known feature on the map.',
+    solve: resectPosition,
+    resultTitle: 'Resected position',
+    fallbackError: 'Unable to resect.',
+    checkpointMessage: 'Checkpoint added at the resected position.'
+  },
+  intersection: {
+    title: 'Intersection',
+    intro:
+      'From two or more known stations, take a bearing to the same distant object. The object lies where the rays cross.',
+    pointLabel: 'Station',
+    pickMessage: 'Tap the station on the map.',
+    solve: intersectTarget,
+    resultTitle: 'Object position',
+    fallbackError: 'Unable to intersect the rays.',
+    checkpointMessage: 'Checkpoint added at the intersected object.'
+  }
+};
+
+// Rays crossing at less than this give a fix that is weak along their direction.
+const WEAK_CROSSING_DEGREES = 30;
+
+const createObservation = (index) => ({
+  id: `point-${index + 1}`,
+  source: 'checkpoint',
+  checkpointId: '',
+  referenceText: '',
+  position: null,
+  bearing: ''
+});
+
+const BearingFixTool = ({ mode = 'resection', onResultChange, onAdoptPosition }) => {
+  const copy = modes[mode] ?? modes.resection;
+  const {
+    system,
+    precision,
+    origin,
+    originReference,
+    calibration,
+    mapPick,
+    setMapPick,
+    northReference,
+    coordinateFormat,
+    setNorthReference
+  } = useGrid();
+  const { start, end, checkpoints, addCheckpoint, placementMode, setPlacementMode } = useCheckpoints();
+
+  const [observations, setObservations] = useState(() => [0, 1, 2].map(createObservation));
+  const [bearingUnit, setBearingUnit] = useState('degrees');
+  const [pickingId, setPickingId] = useState(null);
+  const [result, setResult] = useState(null);
+  const [errorMessage, setErrorMessage] = useState(null);
+  const [statusMessage, setStatusMessage] = useState(null);
+
+  const knownPoints = useMemo(() => {
+    const items = [];
+    if (start) items.push({ id: 'start', label: 'Start', position: start.position });
+    checkpoints.forEach((checkpoint, index) => {
+      items.push({ id: checkpoint.id, label: checkpointLabel(checkpoint, index), position: checkpoint.position });
+    });
+    if (end) items.push({ id: 'end', label: 'End', position: end.position });
+    return items;
+  }, [start, checkpoints, end]);
+
+  const describe = (point) =>
+    describeGridReference({ point, system, precision, origin, originReference, calibration });
+
+  const updateObservation = (id, changes) => {
+    setObservations((current) =>
+      current.map((observation) => (observation.id === id ? { ...observation, ...changes } : observation))
+    );
+  };
+
+  const isPicking = placementMode?.type === 'gridPick' && placementMode.purpose === mode;
+
+  useEffect(() => {
+    if (mapPick?.purpose !== mode || !pickingId) return;
+    updateObservation(pickingId, { position: mapPick.position });
+    setPickingId(null);
+    setMapPick(mode, null);
+  }, [mapPick, pickingId, mode, setMapPick]);
+
+  useEffect(() => {
+    if (onResultChange) onResultChange(result);
+  }, [result, onResultChange]);
+
+  useEffect(() => () => onResultChange?.(null), [onResultChange]);
+
+  const handlePickOnMap = (id) => {
+    updateObservation(id, { source: 'map' });
+    setPickingId(id);
+    setPlacementMode({ type: 'gridPick', purpose: mode });
+    setErrorMessage(null);
+    setStatusMessage(copy.pickMessage);
+  };
+
+  const resolvePoint = (observation, index) => {
+    const label = `${copy.pointLabel} ${index + 1}`;
+    if (observation.source === 'checkpoint') {
+      const match = knownPoints.find((item) => item.id === observation.checkpointId);
+      if (!match) throw new Error(`${label}: choose a checkpoint.`);
+      return match.position;
+    }
+    if (observation.source === 'reference') {
+      if (!observation.referenceText.trim()) throw new Error(`${label}: enter a grid reference.`);
+      const parsed = parseLocationInput(observation.referenceText, {
+        system,
+        origin,
+        originReference,
+        calibration
+      });
+      if (!parsed.position) throw new Error(`${label}: enter a single location, not a route code.`);
+      return parsed.position;
+    }
+    if (!observation.position) throw new Error(`${label}: tap it on the map.`);
+    return observation.position;
+  };
+
+  const handleResect = () => {
+    try {
+      const filled = observations.filter((observation) => observation.bearing.trim() !== '');
+      if (filled.length < 2) {
+        throw new Error(`Enter bearings from at least two ${copy.pointLabel.toLowerCase()}s.`);
+      }
+      const resolved = filled.map((observation) => {
+        const index = observations.indexOf(observation);
+        const point = resolvePoint(observation, index);
+        const value = Number(observation.bearing);
+        if (Number.isNaN(value)) {
+          throw new Error(`${copy.pointLabel} ${index + 1}: bearing must be a number.`);
+        }
+        const degrees = bearingUnit === 'mils' ? milsToDegrees(value) : value;
+        const angles = northReferenceAngles({ point, system, calibration });
+        const bearingDegrees = convertBearing(degrees, northReference, 'true', angles);
+        if (bearingDegrees == null) {
+          throw new Error(`${copy.pointLabel} ${index + 1}: unable to convert the bearing to true north here.`);
+        }
+        return { id: observation.id, index, point, bearingDegrees };
+      });
+      const fix = copy.solve(resolved);
+      setResult({
+        ...fix,
+        points: resolved.map((item, order) => ({
+          id: item.id,
+          index: item.index,
+          point: item.point,
+          residualMeters: fix.residuals[order].meters
+        }))
+      });
+      setErrorMessage(null);
+      if (mode === 'intersection') {
+        setStatusMessage('Rays intersected. The shaded ellipse shows the 95% confidence area.');
+      } else {
+        setStatusMessage(
+          resolved.length >= 3
+            ? 'Position fixed. The shaded triangle shows how well the bearings agree.'
+            : 'Position fixed from two bearings. Add a third to check it.'
+        );
+      }
+    } catch (error) {
+      setResult(null);
+      setErrorMessage(error.message ?? copy.fallbackError);
+    }
+  };
+
+  const handleAdoptPosition = () => {
+    if (!result) return;
+    onAdoptPosition?.(result.position);
+    setStatusMessage('Resected fix is now used as your position.');
+  };
+
+  const handleAddCheckpoint = () => {
+    if (!result) return;
+    addCheckpoint(result.position);
+    setStatusMessage(copy.checkpointMessage);
+  };
+
+  const handleClear = () => {
+    if (isPicking) setPlacementMode(null);
+    setObservations([0, 1, 2].map(createObservation));
+    setPickingId(null);
+    setResult(null);
+    setErrorMessage(null);
+    setStatusMessage(null);
+  };
+
+  return (
+    <div className="rounded-xl border border-slate-800 bg-slate-950 p-3">
+      <div className="mb-3">
+        <p className="text-sm font-semibold text-sky-200">{copy.title}</p>
+        <p className="mt-1 text-[11px] text-slate-400">{copy.intro}</p>
+      </div>
+
+      <div className="mb-3 grid gap-2 sm:grid-cols-2">
+        <div className="flex flex-col gap-1">
+          <span className="text-[10px] uppercase tracking-wide text-slate-400">Bearings relative to</span>
+          <div className="flex gap-1">
+            {NORTH_REFERENCES.map((reference) => (
+              <button
+                key={reference}
+                type="button"
+                className={`flex-1 rounded-md px-2 py-1 text-[11px] font-semibold ${
+                  northReference === reference
+                    ? 'border border-sky-500 text-sky-200'
+                    : 'border border-slate-700 text-slate-200 hover:border-sky-500 hover:text-sky-200'
+                }`}
+                onClick={() => setNorthReference(reference)}
+              >
+                {NORTH_REFERENCE_LABELS[reference]}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="flex flex-col gap-1">
+          <span className="text-[10px] uppercase tracking-wide text-slate-400">Units</span>
+          <div className="flex gap-1">
+            {['degrees', 'mils'].map((unit) => (
+              <button
+                key={unit}
+                type="button"
+                className={`flex-1 rounded-md px-2 py-1 text-[11px] font-semibold ${
+                  bearingUnit === unit
+                    ? 'border border-sky-500 text-sky-200'
+                    : 'border border-slate-700 text-slate-200 hover:border-sky-500 hover:text-sky-200'
+                }`}
+                onClick={() => setBearingUnit(unit)}
+              >
+                {unit === 'degrees' ? 'Degrees' : 'Mils'}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        {observations.map((observation, index) => (
+          <div key={observation.id} className="rounded-md border border-slate-800 bg-slate-900 p-2">
+            <div className="mb-2 flex items-center justify-between">
+              <span className="text-[11px] font-semibold text-slate-200">
+                {copy.pointLabel} {index + 1}
+                {index === 2 && <span className="ml-1 font-normal text-slate-500">(optional check)</span>}
+              </span>
+              <div className="flex gap-1">
+                {sourceOptions.map((option) => (
+                  <button
+                    key={option.id}
+                    type="button"
+                    onClick={() =>
+                      option.id === 'map'
+                        ? handlePickOnMap(observation.id)
+                        : updateObservation(observation.id, { source: option.id })
+                    }
+                    className={`rounded-md border px-2 py-0.5 text-[10px] font-semibold transition ${
+                      observation.source === option.id
+                        ? 'border-sky-500 bg-sky-500/10 text-sky-200'
+                        : 'border-slate-700 text-slate-400 hover:border-slate-500 hover:text-slate-200'
+                    }`}
+                  >
+                    {option.id === 'map' && isPicking && pickingId === observation.id ? 'Tap map…' : option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className="grid grid-cols-[1fr_6rem] gap-2">
+              {observation.source === 'checkpoint' && (
+                <select
+                  value={observation.checkpointId}
+                  onChange={(event) => updateObservation(observation.id, { checkpointId: event.target.value })}
+                  className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
+                >
+                  <option value="">{knownPoints.length ? 'Choose…' : 'No checkpoints yet'}</option>
+                  {knownPoints.map((item) => (
+                    <option key={item.id} value={item.id}>
+                      {item.label}
+                    </option>
+                  ))}
+                </select>
+              )}
+              {observation.source === 'reference' && (
+                <input
+                  value={observation.referenceText}
+                  onChange={(event) => updateObservation(observation.id, { referenceText: event.target.value })}
+                  className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 font-mono text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
+                  placeholder="Grid ref or lat/lng"
+                />
+              )}
+              {observation.source === 'map' && (
+                <span className="self-center text-[10px] text-slate-400">
+                  {observation.position
+                    ? formatPosition(observation.position, coordinateFormat)
+                    : 'Not picked yet'}
+                </span>
+              )}
+              <input
+                value={observation.bearing}
+                onChange={(event) => updateObservation(observation.id, { bearing: event.target.value })}
+                className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
+                placeholder={`Bearing ${bearingUnit === 'mils' ? 'mil' : '°'} ${NORTH_REFERENCE_SUFFIXES[northReference]}`}
+                inputMode="decimal"
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-3 flex items-center gap-2">
+        <button
+          type="button"
+          className="rounded-md border border-sky-500 px-3 py-1 text-[11px] font-semibold text-sky-200 hover:bg-sky-900"
+          onClick={handleResect}
+        >
+          Fix position
+        </button>
+        <button
+          type="button"
+          className="rounded-md border border-slate-700 px-3 py-1 text-[11px] font-semibold text-slate-300 hover:border-rose-500 hover:text-rose-200"
+          onClick={handleClear}
+        >
+          Clear
+        </button>
+      </div>
+
+      {result && (
+        <div className="mt-3 rounded-md border border-slate-800 bg-slate-900 p-3 text-[11px] text-slate-200">
+          <p className="font-semibold text-sky-200">{copy.resultTitle}</p>
+          <p className="mt-1 font-mono text-slate-300">{formatPosition(result.position, coordinateFormat)}</p>
+          <CoordinateCopyButtons position={result.position} className="mt-1" />
+          {describe(result.position) && (
+            <p className="font-mono text-slate-400">Grid {describe(result.position)}</p>
+          )}
+          {result.triangle.length >= 3 && (
+            <p className={result.triangleSizeMeters > 200 ? 'text-amber-300' : 'text-slate-400'}>
+              Error triangle: {formatMeters(result.triangleSizeMeters)} across
+            </p>
+          )}
+          {mode === 'intersection' && (
+            <>
+              <p className="text-slate-400">
+                95% confidence: ±{formatMeters(result.confidence.semiMajorMeters)} along{' '}
+                {result.confidence.majorAxisBearing.toFixed(0)}°, ±{formatMeters(result.confidence.semiMinorMeters)}{' '}
+                across ({(result.confidence.areaSquareMeters / 10000).toFixed(1)} ha)
+              </p>
+              {result.crossingAngleDegrees < WEAK_CROSSING_DEGREES && (
+                <p className="text-amber-300">
+                  Rays cross at only {result.crossingAngleDegrees.toFixed(0)}°. Move a station to widen the angle.
+                </p>
+              )}
+            </>
+          )}
+          <ul className="mt-1 space-y-0.5 text-slate-400">
+            {result.points.map((point) => (
+              <li key={point.id}>
+                {copy.pointLabel} {point.index + 1}: line passes {formatMeters(point.residualMeters)} from fix
+              </li>
+            ))}
+          </ul>
+          <div className="mt-3 flex flex-wrap gap-2">
+            {mode === 'resection' && (
+              <button
+                type="button"
+                className="rounded-md border border-emerald-500 px-3 py-1 text-[11px] font-semibold text-emerald-200 hover:bg-emerald-900 disabled:cursor-not-allowed disabled:opacity-60"
+                onClick={handleAdoptPosition}
+                disabled={typeof onAdoptPosition !== 'function'}
+              >
+                Use as my position
+              </button>
+            )}
+            <button
+              type="button"
+              className="rounded-md border border-sky-500 px-3 py-1 text-[11px] font-semibold text-sky-200 hover:bg-sky-900"
+              onClick={handleAddCheckpoint}
+            >
+              Add checkpoint
+            </button>
+          </div>
+        </div>
+      )}
+
+      {statusMessage && <p className="mt-2 text-[11px] text-emerald-300">{statusMessage}</p>}
+      {errorMessage && <p className="mt-2 text-[11px] text-rose-400">{errorMessage}</p>}
+    </div>
+  );
+};
+
+export default BearingFixTool;
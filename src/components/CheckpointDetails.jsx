@@ -0,0 +1,104 @@
+import { useState } from 'react';
+import {
+  CHECKPOINT_CATEGORIES,
+  CHECKPOINT_CATEGORY_IDS,
+  CHECKPOINT_NAME_MAX_LENGTH,
+  CHECKPOINT_NOTE_MAX_LENGTH,
+  checkpointGlyphSvg
+} from '../utils/checkpoints.js';
+
+// Category icon as drawn on the map marker, for lists and popups.
+export const CategoryBadge = ({ category, size = 20, className = '' }) => {
+  const definition = CHECKPOINT_CATEGORIES[category];
+  if (!definition) return null;
+  return (
+    <span
+      className={`inline-flex shrink-0 items-center justify-center rounded-full ${className}`}
+      style={{ background: definition.color, width: size, height: size }}
+      title={definition.label}
+      aria-label={definition.label}
+      dangerouslySetInnerHTML={{ __html: checkpointGlyphSvg(category, Math.round(size * 0.65)) }}
+    />
+  );
+};
+
+const fieldClass =
+  'w-full rounded border border-slate-300 px-2 py-1 text-xs text-slate-900 focus:border-sky-500 focus:outline-none';
+
+// Edits a checkpoint's name, note and category. Drafts stay local until saved so typing is not
+// trimmed or recorded in the undo history one keystroke at a time.
+const CheckpointDetailsForm = ({ checkpoint, fallbackLabel, onSave }) => {
+  const [name, setName] = useState(checkpoint.name ?? '');
+  const [note, setNote] = useState(checkpoint.note ?? '');
+  const [category, setCategory] = useState(checkpoint.category ?? null);
+  const isDirty =
+    name !== (checkpoint.name ?? '') || note !== (checkpoint.note ?? '') || category !== (checkpoint.category ?? null);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onSave({ name, note, category });
+  };
+
+  return (
+    <form className="flex w-56 flex-col gap-2 text-xs" onSubmit={handleSubmit}>
+      <label className="flex flex-col gap-1">
+        <span className="text-[10px] font-semibold uppercase tracking-wide text-slate-500">Name</span>
+        <input
+          type="text"
+          className={fieldClass}
+          value={name}
+          maxLength={CHECKPOINT_NAME_MAX_LENGTH}
+          placeholder={fallbackLabel}
+          onChange={(event) => setName(event.target.value)}
+        />
+      </label>
+      <div className="flex flex-col gap-1">
+        <span className="text-[10px] font-semibold uppercase tracking-wide text-slate-500">Category</span>
+        <div className="flex flex-wrap gap-1" role="group" aria-label="Category">
+          <button
+            type="button"
+            className={`rounded border px-2 py-0.5 ${category === null ? 'border-sky-500 text-sky-600' : 'border-slate-300'}`}
+            onClick={() => setCategory(null)}
+            aria-pressed={category === null}
+          >
+            None
+          </button>
+          {CHECKPOINT_CATEGORY_IDS.map((id) => (
+            <button
+              key={id}
+              type="button"
+              className={`flex items-center gap-1 rounded border px-1.5 py-0.5 ${
+                category === id ? 'border-sky-500 text-sky-600' : 'border-slate-300'
+              }`}
+              onClick={() => setCategory(id)}
+              aria-pressed={category === id}
+            >
+              <CategoryBadge category={id} size={14} />
+              {CHECKPOINT_CATEGORIES[id].label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <label className="flex flex-col gap-1">
+        <span className="text-[10px] font-semibold uppercase tracking-wide text-slate-500">
+          Note / control description
+        </span>
+        <textarea
+          className={`${fieldClass} min-h-[3rem]`}
+          value={note}
+          maxLength={CHECKPOINT_NOTE_MAX_LENGTH}
+          onChange={(event) => setNote(event.target.value)}
+        />
+      </label>
+      <button
+        type="submit"
+        className="rounded bg-sky-600 px-2 py-1 font-semibold text-white disabled:opacity-50"
+        disabled={!isDirty}
+      >
+        Save details
+      </button>
+    </form>
+  );
+};
+
+export default CheckpointDetailsForm;
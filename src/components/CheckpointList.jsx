@@ -1,11 +1,63 @@
-import { useMemo } from "react";
-import { useCheckpoints } from "../hooks/useCheckpoints.js";
+import { useEffect, useMemo, useState } from "react";
+import { useCheckpoints, useCheckpointsStore } from "../hooks/useCheckpoints.js";
+import { useDeferredTask } from "../hooks/useDeferredTask.js";
+import { calculateBearing, calculateDistance } from "../hooks/useCompass.js";
+import { useElevation } from "../hooks/useElevation.js";
+import { useGrid } from "../hooks/useGrid.js";
+import { convertBearing, northReferenceAngles, NORTH_REFERENCE_SUFFIXES } from "../utils/bearings.js";
+import { CategoryBadge } from "./CheckpointDetails.jsx";
+import CoordinateCopyButtons from "./CoordinateCopyButtons.jsx";
+import ScoreEventPanel from "./ScoreEventPanel.jsx";
+import {
+  ARRIVAL_RADIUS_OPTIONS,
+  checkpointLabel,
+  controlPoints,
+  MAX_CONTROL_POINTS
+} from "../utils/checkpoints.js";
+import { formatPosition } from "../utils/coordinates.js";
+import { formatElevation, formatElevationChange } from "../utils/dem.js";
+import { describeGridReference } from "../utils/grid.js";
+import { optimiseVisitOrder } from "../utils/routeOptimiser.js";
 import { encodeLocationCode } from "../utils/routeUtils.js";
 
 const actionButtonBase =
   "rounded border border-slate-700 px-2 py-1 text-[11px] font-medium text-slate-200 transition hover:border-sky-500 hover:bg-slate-800";
 const actionButtonActive = "border-sky-500 bg-sky-900 text-sky-100";
 
+// Points are committed on blur or Enter so typing a value leaves one undo step, not one per keystroke.
+const PointsInput = ({ value, onCommit }) => {
+  const [draft, setDraft] = useState(String(value));
+
+  useEffect(() => {
+    setDraft(String(value));
+  }, [value]);
+
+  const commit = () => {
+    const number = Number(draft);
+    if (draft.trim() !== "" && Number.isFinite(number) && number >= 0) {
+      onCommit(number);
+    } else {
+      setDraft(String(value));
+    }
+  };
+
+  return (
+    <input
+      type="number"
+      min="0"
+      max={MAX_CONTROL_POINTS}
+      step="1"
+      className="w-14 rounded border border-slate-700 bg-slate-950 px-1 py-0.5 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") commit();
+      }}
+    />
+  );
+};
+
 const CheckpointList = ({ onEnterPlacingMode }) => {
   const {
     start,
@@ -20,8 +72,32 @@ const CheckpointList = ({ onEnterPlacingMode }) => {
     moveCheckpoint,
     removeCheckpoint,
     placementMode,
-    swapCheckpoints
+    swapCheckpoints,
+    reorderCheckpoints,
+    eventMode,
+    setCheckpointPoints,
+    toggleCheckpointSkipped,
+    visits,
+    clearVisit,
+    clearVisits,
+    arrivalRadius,
+    setArrivalRadius,
+    undo,
+    redo,
+    past,
+    future
   } = useCheckpoints();
+  const { system, precision, origin, originReference, calibration, northReference, coordinateFormat } = useGrid();
+  const { elevationAt } = useElevation();
+  const [optimisation, setOptimisation] = useState(null);
+
+  // A proposed order only makes sense for the route it was worked out for.
+  const { run: runOptimise, cancel: cancelOptimise } = useDeferredTask();
+
+  useEffect(() => {
+    cancelOptimise();
+    setOptimisation(null);
+  }, [start, end, checkpoints, cancelOptimise]);
 
   const handleDragStart = (entry) => (e) => {
     e.dataTransfer.setData('application/x-cadet-map-checkpoint-id', entry.id);
@@ -61,6 +137,8 @@ const CheckpointList = ({ onEnterPlacingMode }) => {
   };
 
   const entries = useMemo(() => {
+    const describe = (position) =>
+      describeGridReference({ point: position, system, precision, origin, originReference, calibration });
     const items = [];
     if (start) {
       items.push({
@@ -68,17 +146,23 @@ const CheckpointList = ({ onEnterPlacingMode }) => {
         id: "start",
         label: "Start",
         position: start.position,
-        callout: encodeLocationCode(start.position)
+        callout: encodeLocationCode(start.position),
+        gridReference: describe(start.position)
       });
     }
     checkpoints.forEach((checkpoint, index) => {
       items.push({
         type: "checkpoint",
         id: checkpoint.id,
-        label: `Checkpoint ${index + 1}`,
+        label: checkpointLabel(checkpoint, index),
+        note: checkpoint.note,
+        category: checkpoint.category,
+        points: controlPoints(checkpoint),
+        skipped: eventMode === "score" && Boolean(checkpoint.skipped),
         position: checkpoint.position,
         index,
-        callout: encodeLocationCode(checkpoint.position)
+        callout: encodeLocationCode(checkpoint.position),
+        gridReference: describe(checkpoint.position)
       });
     });
     if (end) {
@@ -87,11 +171,77 @@ const CheckpointList = ({ onEnterPlacingMode }) => {
         id: "end",
         label: "End",
         position: end.position,
-        callout: encodeLocationCode(end.position)
+        callout: encodeLocationCode(end.position),
+        gridReference: describe(end.position)
       });
     }
-    return items;
-  }, [start, checkpoints, end]);
+    // Each entry carries the leg to the next one, in the user's chosen north reference. Skipped
+    // controls are left out of the legs.
+    return items.map((item, index) => {
+      const next = item.skipped ? null : items.slice(index + 1).find((candidate) => !candidate.skipped);
+      const elevation = elevationAt(item.position);
+      if (!next) return { ...item, elevation };
+      const angles = northReferenceAngles({ point: item.position, system, calibration });
+      const trueBearing = calculateBearing(item.position, next.position);
+      return {
+        ...item,
+        elevation,
+        leg: {
+          bearing: convertBearing(trueBearing, "true", northReference, angles),
+          distance: calculateDistance(item.position, next.position)
+        }
+      };
+    });
+  }, [start, checkpoints, end, eventMode, system, precision, origin, originReference, calibration, northReference, elevationAt]);
+
+  const selectedElevation = entries.find((entry) => entry.id === selectedId)?.elevation ?? null;
+
+  const formatLeg = (leg) => {
+    const distance =
+      leg.distance < 1000 ? `${leg.distance.toFixed(0)} m` : `${(leg.distance / 1000).toFixed(2)} km`;
+    if (leg.bearing == null) return `— · ${distance}`;
+    return `${String(Math.round(leg.bearing) % 360).padStart(3, "0")}° ${NORTH_REFERENCE_SUFFIXES[northReference]} · ${distance}`;
+  };
+
+  const formatKilometres = (meters) => `${(meters / 1000).toFixed(2)} km`;
+
+  const formatVisitTime = (timestamp) =>
+    new Date(timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+  const hasVisits = Object.keys(visits).length > 0;
+  const radiusOptions = ARRIVAL_RADIUS_OPTIONS.includes(arrivalRadius)
+    ? ARRIVAL_RADIUS_OPTIONS
+    : [...ARRIVAL_RADIUS_OPTIONS, arrivalRadius].sort((a, b) => a - b);
+
+  const handleOptimise = () => {
+    setOptimisation({ status: "running" });
+    runOptimise(() => {
+      const result = optimiseVisitOrder({
+        start: start?.position ?? null,
+        end: end?.position ?? null,
+        points: checkpoints.map((checkpoint) => checkpoint.position)
+      });
+      // Every route edit replaces these, so a mismatch means the order was worked out for an old route.
+      const current = useCheckpointsStore.getState();
+      if (current.checkpoints !== checkpoints || current.start !== start || current.end !== end) {
+        setOptimisation(null);
+        return;
+      }
+      setOptimisation({
+        status: "ready",
+        ids: result.order.map((index) => checkpoints[index].id),
+        originalDistance: result.originalDistance,
+        optimisedDistance: result.optimisedDistance,
+        saved: result.originalDistance - result.optimisedDistance,
+        isComplete: result.isComplete
+      });
+    });
+  };
+
+  const handleApplyOptimisation = () => {
+    reorderCheckpoints(optimisation.ids);
+    setOptimisation(null);
+  };
 
   const placementType = placementMode?.type ?? null;
   const placementInsertIndex =
@@ -192,13 +342,33 @@ const CheckpointList = ({ onEnterPlacingMode }) => {
     <div className="flex flex-col gap-3 rounded-xl bg-slate-900 p-4 shadow-lg shadow-slate-950">
       <div className="flex items-center justify-between">
         <h2 className="text-base font-semibold text-sky-200">Route Planner</h2>
-        <button
-          type="button"
-          className="rounded-md border border-rose-500 px-2 py-1 text-xs font-medium text-rose-300 transition hover:bg-rose-900 hover:text-rose-100"
-          onClick={clearAll}
-        >
-          Clear
-        </button>
+        <div className="flex gap-1">
+          <button
+            type="button"
+            className={`${actionButtonBase} disabled:pointer-events-none disabled:opacity-40`}
+            onClick={undo}
+            disabled={past.length === 0}
+            title="Undo (Ctrl+Z)"
+          >
+            Undo
+          </button>
+          <button
+            type="button"
+            className={`${actionButtonBase} disabled:pointer-events-none disabled:opacity-40`}
+            onClick={redo}
+            disabled={future.length === 0}
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            Redo
+          </button>
+          <button
+            type="button"
+            className="rounded-md border border-rose-500 px-2 py-1 text-xs font-medium text-rose-300 transition hover:bg-rose-900 hover:text-rose-100"
+            onClick={clearAll}
+          >
+            Clear
+          </button>
+        </div>
       </div>
 
       <div className="flex flex-wrap gap-2">
@@ -222,6 +392,79 @@ const CheckpointList = ({ onEnterPlacingMode }) => {
         </button>
       </div>
 
+      <div className="rounded-md border border-slate-800 bg-slate-950 p-3 text-xs text-slate-300">
+        <div className="flex items-center justify-between gap-2">
+          <label htmlFor="arrival-radius">Arrival radius</label>
+          <select
+            id="arrival-radius"
+            className="rounded-md border border-slate-700 bg-slate-900 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
+            value={arrivalRadius}
+            onChange={(e) => setArrivalRadius(e.target.value)}
+          >
+            {radiusOptions.map((radius) => (
+              <option key={radius} value={radius}>
+                {radius} m
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="mt-1 flex items-center justify-between gap-2 text-[11px] text-slate-500">
+          <span>Within this distance on GPS the compass marks the target reached and moves to the next.</span>
+          {hasVisits && (
+            <button type="button" className={`${actionButtonBase} shrink-0`} onClick={clearVisits}>
+              Clear visits
+            </button>
+          )}
+        </div>
+      </div>
+
+      <ScoreEventPanel />
+
+      {eventMode !== "score" && checkpoints.length >= 3 && (
+        <div className="rounded-md border border-slate-800 bg-slate-950 p-3 text-xs text-slate-300">
+          <div className="flex items-center justify-between gap-2">
+            <span>Visiting order</span>
+            <button
+              type="button"
+              className={`${actionButtonBase} disabled:opacity-50`}
+              onClick={handleOptimise}
+              disabled={optimisation?.status === "running"}
+            >
+              {optimisation?.status === "running" ? "Optimising…" : "Optimise order"}
+            </button>
+          </div>
+          {optimisation?.status === "ready" && (
+            <div className="mt-2 space-y-2">
+              {optimisation.saved > 1 ? (
+                <p>
+                  {formatKilometres(optimisation.originalDistance)} → {formatKilometres(optimisation.optimisedDistance)}
+                  <span className="font-semibold text-emerald-300">
+                    {" "}(saves {formatKilometres(optimisation.saved)},{" "}
+                    {Math.round((optimisation.saved / optimisation.originalDistance) * 100)}%)
+                  </span>
+                </p>
+              ) : (
+                <p>The current order is already the shortest found.</p>
+              )}
+              <p className="text-[11px] text-slate-500">
+                Straight-line distances between fixed start and end
+                {optimisation.isComplete ? "" : "; search stopped early for this many checkpoints"}.
+              </p>
+              <div className="flex gap-2">
+                {optimisation.saved > 1 && (
+                  <button type="button" className={`${actionButtonBase} ${actionButtonActive}`} onClick={handleApplyOptimisation}>
+                    Apply new order
+                  </button>
+                )}
+                <button type="button" className={actionButtonBase} onClick={() => setOptimisation(null)}>
+                  {optimisation.saved > 1 ? "Keep current" : "Close"}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
       <ul className="space-y-2 text-sm text-slate-200">
         {entries.length === 0 && (
           <li className="text-xs text-slate-500">
@@ -238,7 +481,7 @@ const CheckpointList = ({ onEnterPlacingMode }) => {
               selectedId === entry.id
                 ? "border-sky-500 bg-sky-900 text-sky-100"
                 : "cursor-pointer border-slate-800 hover:border-slate-600 hover:bg-slate-800"
-            }`}
+            } ${entry.skipped ? "opacity-60" : ""} ${visits[entry.id] && selectedId !== entry.id ? "border-l-4 border-l-emerald-500" : ""}`}
             onClick={() => selectCheckpoint(entry.id)}
           >
             <div 
@@ -252,15 +495,67 @@ const CheckpointList = ({ onEnterPlacingMode }) => {
               </svg>
             </div>
             <div className="flex-1">
-              <div className="font-semibold">{entry.label}</div>
+              <div className="flex items-center gap-1.5 font-semibold">
+                <CategoryBadge category={entry.category} size={16} />
+                {entry.label}
+                {visits[entry.id] && (
+                  <button
+                    type="button"
+                    className="ml-auto rounded-full border border-emerald-500 bg-emerald-900/60 px-2 py-0.5 text-[10px] font-medium text-emerald-200 hover:bg-emerald-800"
+                    title="Mark as not reached"
+                    onClick={handleAction(() => clearVisit(entry.id))}
+                  >
+                    ✓ Reached {formatVisitTime(visits[entry.id])}
+                  </button>
+                )}
+              </div>
+              {entry.note && <div className="whitespace-pre-line text-xs text-slate-300">{entry.note}</div>}
+              {eventMode === "score" && entry.type === "checkpoint" && (
+                <div className="mt-1 flex items-center gap-2 text-[11px]" onClick={(e) => e.stopPropagation()}>
+                  <label className="flex items-center gap-1 text-amber-200">
+                    Points
+                    <PointsInput value={entry.points} onCommit={(points) => setCheckpointPoints(entry.id, points)} />
+                  </label>
+                  <button
+                    type="button"
+                    className={`${actionButtonBase} ${entry.skipped ? actionButtonActive : ""}`}
+                    onClick={() => toggleCheckpointSkipped(entry.id)}
+                  >
+                    {entry.skipped ? "Skipped" : "Skip"}
+                  </button>
+                </div>
+              )}
               <div className="text-xs text-slate-400">
-                {entry.position.lat.toFixed(4)}, {entry.position.lng.toFixed(4)}
+                {formatPosition(entry.position, coordinateFormat)}
               </div>
+              {entry.gridReference && (
+                <div className="text-[11px] font-mono text-emerald-300">
+                  Grid: {entry.gridReference}
+                </div>
+              )}
+              {entry.elevation != null && (
+                <div className="text-[11px] text-slate-300">
+                  Elev {formatElevation(entry.elevation)}
+                  {entry.id !== selectedId && selectedElevation != null && (
+                    <span className="text-slate-400">
+                      {" "}· {formatElevationChange(entry.elevation - selectedElevation)} vs selected
+                    </span>
+                  )}
+                </div>
+              )}
+              {entry.leg && (
+                <div className="text-[11px] font-mono text-sky-300">
+                  Next leg: {formatLeg(entry.leg)}
+                </div>
+              )}
               {entry.callout && (
                 <div className="text-[11px] font-mono uppercase text-amber-300">
                   Callout: {entry.callout}
                 </div>
               )}
+              {entry.id === selectedId && (
+                <CoordinateCopyButtons position={entry.position} className="mt-2" />
+              )}
               {renderActions(entry)}
             </div>
           </li>
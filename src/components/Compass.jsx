@@ -1,5 +1,16 @@
 import { useMemo } from 'react';
 import { calculateRelativeBearing } from '../hooks/useCompass.js';
+import {
+  convertBearing,
+  formatAngleOffset,
+  NORTH_REFERENCES,
+  NORTH_REFERENCE_LABELS,
+  NORTH_REFERENCE_SUFFIXES
+} from '../utils/bearings.js';
+import { formatPosition } from '../utils/coordinates.js';
+import { formatElevation, formatElevationChange } from '../utils/dem.js';
+import { CategoryBadge } from './CheckpointDetails.jsx';
+import CoordinateCopyButtons from './CoordinateCopyButtons.jsx';
 
 const formatDistance = (distance) => {
   if (distance == null) return 'N/A';
@@ -11,6 +22,7 @@ const MILS_PER_RADIAN = 3200 / Math.PI;
 
 const Compass = ({
   heading,
+  magneticHeading = null,
   bearing,
   distance,
   error,
@@ -25,7 +37,13 @@ const Compass = ({
   selectedTarget = null,
   onSelectTarget,
   bearingUnit = 'degrees',
-  onToggleBearingUnit
+  onToggleBearingUnit,
+  northReference = 'true',
+  onNorthReferenceChange,
+  northAngles = null,
+  coordinateFormat = 'decimal',
+  isFixedLocation = false,
+  onClearFixedLocation
 }) => {
   const relativeBearing = useMemo(
     () => calculateRelativeBearing(heading, bearing),
@@ -55,12 +73,7 @@ const Compass = ({
   const compassButtonDisabled = !isSupported && !needsPermission;
   const canSelectTargets = typeof onSelectTarget === 'function';
 
-  const formatCoordinates = (position) => {
-    if (!position) return null;
-    const { lat, lng } = position;
-    if (typeof lat !== 'number' || typeof lng !== 'number') return null;
-    return `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
-  };
+  const formatCoordinates = (position) => formatPosition(position, coordinateFormat) || null;
 
   const handleSelectTarget = (id) => {
     if (canSelectTargets) {
@@ -71,9 +84,15 @@ const Compass = ({
   const targetListTitle = selectedTarget ? 'Other checkpoints' : 'Select a checkpoint';
   const selectedCoordinates = formatCoordinates(selectedTarget?.position);
 
-  const convertAngle = (value) => {
+  // Incoming bearings are true; without a position there is nothing to convert them with.
+  const displayReference = northAngles ? northReference : null;
+
+  // Angles are true unless `from` says otherwise; those are shown in their own reference.
+  const convertAngle = (value, from = 'true') => {
     if (value == null) return null;
-    const normalized = ((value % 360) + 360) % 360;
+    const reference = from === 'true' ? displayReference ?? 'true' : from;
+    const normalized = convertBearing(value, from, reference, northAngles);
+    if (normalized == null) return null;
     if (bearingUnit === 'mils') {
       const radians = (normalized * Math.PI) / 180;
       const milValue = (radians * MILS_PER_RADIAN + 6400) % 6400;
@@ -82,14 +101,16 @@ const Compass = ({
     return normalized;
   };
 
-  const formatAngle = (value) => {
+  const formatAngle = (value, from = 'true') => {
     if (value == null) return 'N/A';
-    const converted = convertAngle(value);
+    const converted = convertAngle(value, from);
     if (converted == null) return 'N/A';
+    const reference = from === 'true' ? displayReference : from;
+    const suffix = reference ? ` ${NORTH_REFERENCE_SUFFIXES[reference]}` : '';
     if (bearingUnit === 'mils') {
-      return `${converted.toFixed(1)} mil`;
+      return `${converted.toFixed(1)} mil${suffix}`;
     }
-    return `${converted.toFixed(0)}°`;
+    return `${converted.toFixed(0)}°${suffix}`;
   };
 
   const handleToggleUnit = () => {
@@ -100,7 +121,10 @@ const Compass = ({
 
   const hasTargetBearing = bearing != null && heading != null;
   const pointerRotation = hasTargetBearing ? relativeBearing ?? 0 : null;
-  const northRotation = heading != null ? ((360 - heading) % 360) : null;
+  // Without a fix the heading cannot be turned into true, so the dial falls back to the raw
+  // magnetic reading and labels it as magnetic.
+  const dialHeading = heading ?? magneticHeading;
+  const northRotation = dialHeading != null ? ((360 - dialHeading) % 360) : null;
   const compassDisabled = needsPermission || !isSupported;
   const containerToneClass = compassDisabled
     ? 'border border-rose-500 text-rose-200'
@@ -141,6 +165,24 @@ const Compass = ({
         </div>
       </div>
 
+      <div className="flex w-full items-center justify-center gap-1" role="group" aria-label="North reference">
+        {NORTH_REFERENCES.map((reference) => (
+          <button
+            key={reference}
+            type="button"
+            className={`rounded-full border px-3 py-1 text-[11px] font-semibold transition disabled:cursor-not-allowed disabled:opacity-60 ${
+              northReference === reference
+                ? 'border-sky-500 bg-sky-500/10 text-sky-200'
+                : 'border-slate-700 text-slate-400 hover:border-slate-500 hover:text-slate-200'
+            }`}
+            onClick={() => onNorthReferenceChange?.(reference)}
+            disabled={typeof onNorthReferenceChange !== 'function'}
+          >
+            {NORTH_REFERENCE_LABELS[reference]}
+          </button>
+        ))}
+      </div>
+
       <div className={`relative flex h-44 w-44 items-center justify-center rounded-full shadow-inner shadow-slate-950/40 ${compassCircleClass}`}>
         <div className="absolute inset-3 rounded-full border border-slate-800" aria-hidden="true"></div>
         
@@ -215,13 +257,41 @@ const Compass = ({
           </div>
         )}
         <span className="absolute bottom-4 text-xs text-slate-300">
-          {heading != null ? formatAngle(heading) : '—'}
+          {heading != null
+            ? formatAngle(heading)
+            : magneticHeading != null
+              ? formatAngle(magneticHeading, 'magnetic')
+              : '—'}
         </span>
       </div>
 
       <div className="space-y-1 text-xs text-slate-300">
         <p>Target bearing: {formatAngle(bearing)}</p>
         <p>Distance: {formatDistance(distance)}</p>
+        {northAngles ? (
+          <p className="text-[11px] text-slate-400">
+            Grid–magnetic angle {formatAngleOffset(northAngles.gridMagneticAngle)} · Declination{' '}
+            {formatAngleOffset(northAngles.declination)} ({northAngles.date.toLocaleDateString()})
+          </p>
+        ) : (
+          <p className="text-[11px] text-slate-400">
+            Bearings are true north until a location fix is available.
+          </p>
+        )}
+        {isFixedLocation && (
+          <p className="text-[11px] text-amber-300">
+            Using a resected position instead of GPS.{' '}
+            {typeof onClearFixedLocation === 'function' && (
+              <button
+                type="button"
+                className="underline hover:text-amber-100"
+                onClick={onClearFixedLocation}
+              >
+                Use GPS
+              </button>
+            )}
+          </p>
+        )}
         {(isRequestingLocation || (locationEnabled && !hasLocationFix)) && (
           <p className="text-[11px] text-slate-400">Awaiting GPS fix… keep the device in the open.</p>
         )}
@@ -240,9 +310,22 @@ const Compass = ({
         <p className="text-xs font-semibold uppercase tracking-wide text-sky-300">Active checkpoint</p>
         {selectedTarget ? (
           <div className="mt-2">
-            <p className="text-sm font-semibold text-slate-100">{selectedTarget.label}</p>
+            <p className="flex items-center gap-1.5 text-sm font-semibold text-slate-100">
+              <CategoryBadge category={selectedTarget.category} size={16} />
+              {selectedTarget.label}
+            </p>
+            {selectedTarget.note && (
+              <p className="whitespace-pre-line text-[11px] text-slate-300">{selectedTarget.note}</p>
+            )}
             {selectedCoordinates && (
-              <p className="text-[11px] text-slate-400">{selectedCoordinates}</p>
+              <p className="font-mono text-[11px] text-slate-400">{selectedCoordinates}</p>
+            )}
+            {selectedTarget.elevation != null && (
+              <p className="text-[11px] text-slate-300">Elevation {formatElevation(selectedTarget.elevation)}</p>
+            )}
+            <CoordinateCopyButtons position={selectedTarget.position} className="mt-1" />
+            {selectedTarget.gridReference && (
+              <p className="font-mono text-[11px] text-emerald-300">Grid {selectedTarget.gridReference}</p>
             )}
           </div>
         ) : (
@@ -299,10 +382,27 @@ const Compass = ({
                     </svg>
                   </div>
                   <div>
-                    <p className="font-semibold text-slate-100">{target.label}</p>
+                    <p className="flex items-center gap-1 font-semibold text-slate-100">
+                      <CategoryBadge category={target.category} size={14} />
+                      {target.label}
+                    </p>
+                    {target.note && <p className="text-[10px] text-slate-300">{target.note}</p>}
                     <p className="text-[11px] text-slate-400">
                       {target.bearing != null ? formatAngle(target.bearing) : '—'}
                     </p>
+                    {target.gridReference && (
+                      <p className="font-mono text-[10px] text-emerald-300">{target.gridReference}</p>
+                    )}
+                    {target.elevation != null && (
+                      <p className="text-[10px] text-slate-400">
+                        {formatElevation(target.elevation)}
+                        {selectedTarget?.elevation != null &&
+                          ` · ${formatElevationChange(target.elevation - selectedTarget.elevation)} vs ${selectedTarget.label}`}
+                      </p>
+                    )}
+                    {formatCoordinates(target.position) && (
+                      <p className="font-mono text-[10px] text-slate-500">{formatCoordinates(target.position)}</p>
+                    )}
                   </div>
                 </div>
                 <span className="text-[11px] text-slate-400">{formatDistance(target.distance)}</span>
@@ -0,0 +1,55 @@
+import { useEffect, useRef, useState } from 'react';
+import { copyText } from '../utils/clipboard.js';
+import { COORDINATE_FORMATS, COORDINATE_FORMAT_LABELS, formatPosition } from '../utils/coordinates.js';
+
+const defaultButtonClass =
+  'rounded border border-slate-700 px-1.5 py-0.5 text-[10px] font-semibold text-slate-300 hover:border-sky-500 hover:text-sky-200';
+
+// One copy button per coordinate format, so a position can be read out or pasted in whichever
+// form the other party uses.
+const CoordinateCopyButtons = ({ position, buttonClassName = defaultButtonClass, className = '' }) => {
+  const [copiedFormat, setCopiedFormat] = useState(null);
+  const timeoutRef = useRef(null);
+
+  useEffect(
+    () => () => {
+      if (timeoutRef.current) window.clearTimeout(timeoutRef.current);
+    },
+    []
+  );
+
+  if (!position) return null;
+
+  const handleCopy = async (event, format) => {
+    event.stopPropagation();
+    let copied = false;
+    try {
+      copied = await copyText(formatPosition(position, format));
+    } catch (error) {
+      copied = false;
+    }
+    setCopiedFormat(copied ? format : 'failed');
+    if (timeoutRef.current) window.clearTimeout(timeoutRef.current);
+    timeoutRef.current = window.setTimeout(() => setCopiedFormat(null), 2000);
+  };
+
+  return (
+    <div className={`flex flex-wrap items-center gap-1 ${className}`}>
+      {COORDINATE_FORMATS.map((format) => (
+        <button
+          key={format}
+          type="button"
+          className={buttonClassName}
+          onClick={(event) => handleCopy(event, format)}
+          onKeyDown={(event) => event.stopPropagation()}
+          title={`Copy ${formatPosition(position, format)}`}
+        >
+          {copiedFormat === format ? 'Copied' : `Copy ${COORDINATE_FORMAT_LABELS[format]}`}
+        </button>
+      ))}
+      {copiedFormat === 'failed' && <span className="text-[10px] text-rose-400">Copy failed</span>}
+    </div>
+  );
+};
+
+export default CoordinateCopyButtons;
@@ -0,0 +1,157 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useCheckpoints } from '../hooks/useCheckpoints.js';
+import { calculateBearing, calculateDistance } from '../hooks/useCompass.js';
+import { useGrid } from '../hooks/useGrid.js';
+import { convertBearing, northReferenceAngles, NORTH_REFERENCE_SUFFIXES } from '../utils/bearings.js';
+import { copyText } from '../utils/clipboard.js';
+import { formatPosition } from '../utils/coordinates.js';
+import { describeGridReference } from '../utils/grid.js';
+import { encodeLocationCode } from '../utils/routeUtils.js';
+
+const formatDistance = (meters) =>
+  meters < 1000 ? `${meters.toFixed(0)} m` : `${(meters / 1000).toFixed(2)} km`;
+
+// Fixed sight in the middle of the map; the readout describes whatever sits under it.
+export const Crosshair = () => (
+  <div className="pointer-events-none absolute left-1/2 top-1/2 z-[980] -translate-x-1/2 -translate-y-1/2">
+    <svg width="44" height="44" viewBox="0 0 44 44" aria-hidden="true">
+      <g stroke="#ffffff" strokeWidth="4" strokeLinecap="round">
+        <line x1="22" y1="2" x2="22" y2="16" />
+        <line x1="22" y1="28" x2="22" y2="42" />
+        <line x1="2" y1="22" x2="16" y2="22" />
+        <line x1="28" y1="22" x2="42" y2="22" />
+      </g>
+      <g stroke="#e11d48" strokeWidth="2" strokeLinecap="round">
+        <line x1="22" y1="2" x2="22" y2="16" />
+        <line x1="22" y1="28" x2="22" y2="42" />
+        <line x1="2" y1="22" x2="16" y2="22" />
+        <line x1="28" y1="22" x2="42" y2="22" />
+      </g>
+      <circle cx="22" cy="22" r="2" fill="#e11d48" stroke="#ffffff" strokeWidth="1" />
+    </svg>
+  </div>
+);
+
+const CrosshairReadout = ({ position, userLocation, themeStyles, onClose }) => {
+  const { setStart, setEnd, addCheckpoint } = useCheckpoints();
+  const { system, precision, origin, originReference, calibration, northReference, coordinateFormat } = useGrid();
+  const [feedback, setFeedback] = useState(null);
+  const feedbackTimeoutRef = useRef(null);
+
+  useEffect(
+    () => () => {
+      if (feedbackTimeoutRef.current) window.clearTimeout(feedbackTimeoutRef.current);
+    },
+    []
+  );
+
+  const gridReference = useMemo(
+    () => describeGridReference({ point: position, system, precision, origin, originReference, calibration }),
+    [position, system, precision, origin, originReference, calibration]
+  );
+
+  const fromUser = useMemo(() => {
+    if (!position || !userLocation) return null;
+    const angles = northReferenceAngles({ point: userLocation, system, calibration });
+    return {
+      bearing: convertBearing(calculateBearing(userLocation, position), 'true', northReference, angles),
+      distance: calculateDistance(userLocation, position)
+    };
+  }, [position, userLocation, system, calibration, northReference]);
+
+  if (!position) return null;
+
+  const point = { lat: position.lat, lng: position.lng };
+  const locationCode = encodeLocationCode(point);
+
+  const showFeedback = (message) => {
+    setFeedback(message);
+    if (feedbackTimeoutRef.current) window.clearTimeout(feedbackTimeoutRef.current);
+    feedbackTimeoutRef.current = window.setTimeout(() => setFeedback(null), 2000);
+  };
+
+  const handlePlace = (type) => {
+    if (type === 'start') setStart(point);
+    else if (type === 'end') setEnd(point);
+    else addCheckpoint(point);
+    showFeedback(type === 'start' ? 'Start placed' : type === 'end' ? 'End placed' : 'Checkpoint added');
+  };
+
+  const handleCopy = async (text, label) => {
+    let copied = false;
+    try {
+      copied = await copyText(text);
+    } catch (error) {
+      copied = false;
+    }
+    showFeedback(copied ? `${label} copied` : 'Copy failed');
+  };
+
+  const buttonClass = `${themeStyles.panelToggle} px-2`;
+
+  return (
+    <div
+      className="pointer-events-none absolute left-1/2 z-[995] w-[min(92vw,22rem)] -translate-x-1/2"
+      style={{ bottom: 'calc(env(safe-area-inset-bottom, 0px) + 5rem)' }}
+    >
+      <div className={`${themeStyles.panel} pointer-events-auto w-full text-[12px]`} role="region" aria-label="Crosshair readout">
+        <div className="flex items-start justify-between gap-2">
+          <div className="min-w-0">
+            <p className="text-[10px] font-semibold uppercase tracking-wide opacity-70">Grid ref at crosshair</p>
+            <p className="font-mono text-lg font-semibold leading-tight" aria-live="polite">
+              {gridReference ?? '—'}
+            </p>
+            {!gridReference && (
+              <p className="text-[11px] opacity-70">Set up the grid in Grid tools to read references.</p>
+            )}
+          </div>
+          <button type="button" className={themeStyles.panelButton} onClick={onClose}>
+            Close
+          </button>
+        </div>
+        <p className="mt-1 font-mono text-[11px]">{formatPosition(point, coordinateFormat)}</p>
+        <p className="font-mono text-[11px] opacity-80">Code {locationCode}</p>
+        <p className="text-[11px] opacity-80">
+          {fromUser
+            ? `From you: ${fromUser.bearing == null ? '—' : `${String(Math.round(fromUser.bearing) % 360).padStart(3, '0')}° ${NORTH_REFERENCE_SUFFIXES[northReference]}`} · ${formatDistance(fromUser.distance)}`
+            : 'Enable location for bearing and distance from you.'}
+        </p>
+        <div className="mt-2 flex flex-wrap gap-1">
+          <button type="button" className={buttonClass} onClick={() => handlePlace('start')}>
+            Start here
+          </button>
+          <button type="button" className={buttonClass} onClick={() => handlePlace('checkpoint')}>
+            Checkpoint here
+          </button>
+          <button type="button" className={buttonClass} onClick={() => handlePlace('end')}>
+            End here
+          </button>
+        </div>
+        <div className="mt-1 flex flex-wrap items-center gap-1">
+          {gridReference && (
+            <button type="button" className={buttonClass} onClick={() => handleCopy(gridReference, 'Grid ref')}>
+              Copy ref
+            </button>
+          )}
+          <button type="button" className={buttonClass} onClick={() => handleCopy(locationCode, 'Code')}>
+            Copy code
+          </button>
+          <button
+            type="button"
+            className={buttonClass}
+            onClick={() => handleCopy(formatPosition(point, coordinateFormat), 'Lat/lng')}
+          >
+            Copy lat/lng
+          </button>
+          {feedback && (
+            <span role="status" className="text-[11px] font-semibold text-emerald-500">
+              {feedback}
+            </span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CrosshairReadout;
@@ -0,0 +1,215 @@
+import { useMemo } from 'react';
+import { useRouteProfile } from '../hooks/useRouteProfile.js';
+import { formatElevation, formatElevationChange } from '../utils/dem.js';
+import { STEEP_GRADE } from '../utils/profile.js';
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 110;
+const CHART_PADDING = { top: 8, right: 6, bottom: 16, left: 30 };
+
+const formatDistance = (meters) =>
+  meters >= 1000 ? `${(meters / 1000).toFixed(2)} km` : `${Math.round(meters)} m`;
+
+const formatGrade = (grade) => {
+  if (grade == null) return '—';
+  return `${Math.round(Math.abs(grade) * 100)}% ${grade >= 0 ? 'up' : 'down'}`;
+};
+
+const ElevationProfile = () => {
+  const { waypoints, profile, hasElevationData } = useRouteProfile();
+
+  const chart = useMemo(() => {
+    if (!profile?.totals) return null;
+    const { distance, minElevation, maxElevation } = profile.totals;
+    // Keep at least 20 m of relief so flat routes do not exaggerate noise.
+    const range = Math.max(maxElevation - minElevation, 20);
+    const floor = minElevation - range * 0.1;
+    const ceiling = floor + range * 1.2;
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const x = (meters) => CHART_PADDING.left + (meters / distance) * plotWidth;
+    const y = (elevation) => CHART_PADDING.top + (1 - (elevation - floor) / (ceiling - floor)) * plotHeight;
+    const baseline = CHART_PADDING.top + plotHeight;
+
+    // Gaps in terrain coverage split the profile into separate runs.
+    const runs = [];
+    let current = [];
+    profile.samples.forEach((sample) => {
+      if (sample.elevation == null) {
+        if (current.length > 1) runs.push(current);
+        current = [];
+        return;
+      }
+      current.push(sample);
+    });
+    if (current.length > 1) runs.push(current);
+
+    const areas = runs.map((run) => {
+      const line = run.map((sample) => `${x(sample.distance).toFixed(1)},${y(sample.elevation).toFixed(1)}`);
+      return `M${x(run[0].distance).toFixed(1)},${baseline} L${line.join(' L')} L${x(run[run.length - 1].distance).toFixed(1)},${baseline} Z`;
+    });
+
+    let legStart = 0;
+    const legMarkers = profile.legs.map((leg) => {
+      legStart += leg.distance;
+      return x(legStart);
+    });
+
+    return {
+      areas,
+      legMarkers: legMarkers.slice(0, -1),
+      steep: profile.steepSegments.map((segment) => ({
+        x: x(segment.fromDistance),
+        width: Math.max(x(segment.toDistance) - x(segment.fromDistance), 1.5),
+        grade: segment.grade
+      })),
+      baseline,
+      top: CHART_PADDING.top,
+      labels: {
+        max: { y: y(maxElevation), text: formatElevation(maxElevation) },
+        min: { y: y(minElevation), text: formatElevation(minElevation) }
+      }
+    };
+  }, [profile]);
+
+  if (waypoints.length < 2) {
+    return null;
+  }
+
+  if (!hasElevationData) {
+    return (
+      <div className="mt-3 rounded-xl border border-slate-800 bg-slate-950 p-3 text-[11px] text-slate-400">
+        Import elevation data from the map settings to see the route profile.
+      </div>
+    );
+  }
+
+  if (!profile?.totals) {
+    return (
+      <div className="mt-3 rounded-xl border border-slate-800 bg-slate-950 p-3 text-[11px] text-slate-400">
+        The imported elevation data does not cover this route.
+      </div>
+    );
+  }
+
+  const { totals } = profile;
+  const steepestSegments = [...profile.steepSegments]
+    .sort((a, b) => Math.abs(b.grade) - Math.abs(a.grade))
+    .slice(0, 3);
+
+  return (
+    <div className="mt-3 rounded-xl border border-slate-800 bg-slate-950 p-3 text-[11px] text-slate-200">
+      <div className="flex items-baseline justify-between gap-2">
+        <p className="text-xs font-semibold uppercase tracking-wide text-sky-300">Elevation profile</p>
+        <p className="text-slate-400">
+          {formatDistance(totals.distance)} · <span className="text-emerald-300">+{Math.round(totals.ascent)} m</span>{' '}
+          <span className="text-rose-300">−{Math.round(totals.descent)} m</span>
+        </p>
+      </div>
+
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        className="mt-2 w-full"
+        role="img"
+        aria-label={`Elevation profile: ${Math.round(totals.ascent)} m ascent, ${Math.round(totals.descent)} m descent`}
+      >
+        {chart.steep.map((segment, index) => (
+          <rect
+            key={`steep-${index}`}
+            x={segment.x}
+            y={chart.top}
+            width={segment.width}
+            height={chart.baseline - chart.top}
+            className="fill-rose-500/25"
+          />
+        ))}
+        {chart.areas.map((path, index) => (
+          <path key={`area-${index}`} d={path} className="fill-sky-500/30 stroke-sky-300" strokeWidth="1" />
+        ))}
+        {chart.legMarkers.map((markerX, index) => (
+          <line
+            key={`leg-${index}`}
+            x1={markerX}
+            x2={markerX}
+            y1={chart.top}
+            y2={chart.baseline}
+            className="stroke-slate-500"
+            strokeDasharray="2 2"
+            strokeWidth="0.75"
+          />
+        ))}
+        <line
+          x1={CHART_PADDING.left}
+          x2={CHART_WIDTH - CHART_PADDING.right}
+          y1={chart.baseline}
+          y2={chart.baseline}
+          className="stroke-slate-600"
+          strokeWidth="0.75"
+        />
+        <text x={CHART_PADDING.left - 3} y={chart.labels.max.y + 3} textAnchor="end" className="fill-slate-400 text-[8px]">
+          {chart.labels.max.text}
+        </text>
+        <text x={CHART_PADDING.left - 3} y={chart.labels.min.y + 3} textAnchor="end" className="fill-slate-400 text-[8px]">
+          {chart.labels.min.text}
+        </text>
+        <text x={CHART_PADDING.left} y={CHART_HEIGHT - 3} className="fill-slate-500 text-[8px]">
+          0
+        </text>
+        <text x={CHART_WIDTH - CHART_PADDING.right} y={CHART_HEIGHT - 3} textAnchor="end" className="fill-slate-500 text-[8px]">
+          {formatDistance(totals.distance)}
+        </text>
+      </svg>
+
+      <table className="mt-2 w-full text-left">
+        <thead className="text-[10px] uppercase tracking-wide text-slate-500">
+          <tr>
+            <th className="font-semibold">Leg</th>
+            <th className="font-semibold">Dist</th>
+            <th className="font-semibold">Up</th>
+            <th className="font-semibold">Down</th>
+            <th className="font-semibold">Steepest</th>
+          </tr>
+        </thead>
+        <tbody>
+          {profile.legs.map((leg) => (
+            <tr key={leg.index} className="text-slate-300">
+              <td>
+                {waypoints[leg.index].label}→{waypoints[leg.index + 1].label}
+              </td>
+              <td>{formatDistance(leg.distance)}</td>
+              <td className="text-emerald-300">{formatElevationChange(leg.ascent)}</td>
+              <td className="text-rose-300">{formatElevationChange(-leg.descent)}</td>
+              <td className={leg.maxGrade != null && Math.abs(leg.maxGrade) >= STEEP_GRADE ? 'text-amber-300' : ''}>
+                {formatGrade(leg.maxGrade)}
+                {leg.hasGaps ? ' *' : ''}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {steepestSegments.length > 0 ? (
+        <div className="mt-2 text-amber-300">
+          <p className="font-semibold">Steep sections (≥{Math.round(STEEP_GRADE * 100)}%), shown in red:</p>
+          <ul className="list-disc pl-4">
+            {steepestSegments.map((segment, index) => (
+              <li key={index}>
+                {waypoints[segment.legIndex].label}→{waypoints[segment.legIndex + 1].label},{' '}
+                {formatDistance(segment.fromDistance)}–{formatDistance(segment.toDistance)}: {formatGrade(segment.grade)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ) : (
+        <p className="mt-2 text-slate-400">
+          No sections steeper than {Math.round(STEEP_GRADE * 100)}%. Steepest: {formatGrade(totals.maxGrade)}.
+        </p>
+      )}
+      {totals.coverage < 1 && (
+        <p className="mt-1 text-slate-500">* Part of the route is outside the imported elevation data.</p>
+      )}
+    </div>
+  );
+};
+
+export default ElevationProfile;
@@ -0,0 +1,100 @@
+import { useMemo, useState } from 'react';
+import { Marker, Polyline, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import { gridLinesInBounds, gridSpacingForResolution, polylineCrossing } from '../utils/grid.js';
+import { tileResolution } from '../utils/tiles.js';
+
+// Labels sit this far inside the top and left edges of the map, like the figures on a paper sheet.
+const LABEL_INSET_PX = 10;
+const LABEL_MARGIN_PX = 24;
+
+const createLabelIcon = (text, { color, halo }, edge) =>
+  L.divIcon({
+    className: '',
+    html: `<span style="color:${color};text-shadow:0 0 3px ${halo},0 0 3px ${halo};" class="block text-[11px] font-bold leading-none">${text}</span>`,
+    iconSize: [32, 12],
+    iconAnchor: edge === 'top' ? [16, 0] : [0, 6]
+  });
+
+const readView = (map) => ({
+  bounds: map.getBounds(),
+  size: map.getSize(),
+  zoom: map.getZoom()
+});
+
+// Grid lines of the active system drawn over the map, with spacing chosen from the zoom level and
+// numbered labels along the top and left edges of the view.
+const GridOverlay = ({ system, origin, originReference, calibration, color = '#1d4ed8', halo = '#ffffff' }) => {
+  const map = useMap();
+  const [view, setView] = useState(() => readView(map));
+
+  useMapEvents({
+    moveend: () => setView(readView(map)),
+    resize: () => setView(readView(map))
+  });
+
+  const lines = useMemo(() => {
+    const centre = view.bounds.getCenter();
+    const spacing = gridSpacingForResolution(tileResolution(centre.lat, view.zoom));
+    if (!spacing) return [];
+    // Pad so short pans do not reveal the edge of the drawn grid before moveend.
+    const padded = view.bounds.pad(0.5);
+    return gridLinesInBounds({
+      bounds: {
+        south: padded.getSouth(),
+        west: padded.getWest(),
+        north: padded.getNorth(),
+        east: padded.getEast()
+      },
+      system,
+      spacingMeters: spacing,
+      origin,
+      originReference,
+      calibration
+    });
+  }, [calibration, origin, originReference, system, view]);
+
+  // Recomputed with view so labels return to the edges after each pan or zoom.
+  const labels = useMemo(() => {
+    const items = [];
+    lines.forEach((line) => {
+      const points = line.positions.map((position) => map.latLngToContainerPoint([position.lat, position.lng]));
+      if (line.axis === 'easting') {
+        const x = polylineCrossing(points, 'y', LABEL_INSET_PX);
+        if (x == null || x < LABEL_MARGIN_PX || x > view.size.x - LABEL_MARGIN_PX) return;
+        items.push({
+          key: `e-${line.value}`,
+          position: map.containerPointToLatLng([x, LABEL_INSET_PX]),
+          icon: createLabelIcon(line.label, { color, halo }, 'top')
+        });
+      } else {
+        const y = polylineCrossing(points, 'x', LABEL_INSET_PX);
+        if (y == null || y < LABEL_MARGIN_PX || y > view.size.y - LABEL_MARGIN_PX) return;
+        items.push({
+          key: `n-${line.value}`,
+          position: map.containerPointToLatLng([LABEL_INSET_PX, y]),
+          icon: createLabelIcon(line.label, { color, halo }, 'left')
+        });
+      }
+    });
+    return items;
+  }, [color, halo, lines, map, view]);
+
+  return (
+    <>
+      {lines.map((line) => (
+        <Polyline
+          key={`${line.axis}-${line.value}`}
+          positions={line.positions.map((position) => [position.lat, position.lng])}
+          pathOptions={{ color, weight: 1, opacity: 0.6 }}
+          interactive={false}
+        />
+      ))}
+      {labels.map((label) => (
+        <Marker key={label.key} position={label.position} icon={label.icon} interactive={false} keyboard={false} />
+      ))}
+    </>
+  );
+};
+
+export default GridOverlay;
@@ -1,15 +1,28 @@
 import { useEffect, useMemo, useState } from 'react';
+import {
+  convertBearing,
+  formatAngleOffset,
+  northReferenceAngles,
+  NORTH_REFERENCES,
+  NORTH_REFERENCE_LABELS,
+  NORTH_REFERENCE_SUFFIXES
+} from '../utils/bearings.js';
+import BearingFixTool from './BearingFixTool.jsx';
+import TraverseEditor from './TraverseEditor.jsx';
 import { useGrid } from '../hooks/useGrid.js';
 import { useCheckpoints } from '../hooks/useCheckpoints.js';
+import CoordinateCopyButtons from './CoordinateCopyButtons.jsx';
+import { formatPosition, LOCATION_INPUT_KINDS, parseLocationInput } from '../utils/coordinates.js';
 import {
+  describeGridReference,
   destinationFromBearing,
-  gridReferenceToLatLng,
-  latLngToGridReference,
-  normaliseGridDigits,
+  detectGridPrecision,
+  GRID_PRECISIONS,
+  gridSquareAround,
+  isAbsoluteGridSystem,
   precisionToUnitMeters
 } from '../utils/grid.js';
 
-const formatLatLng = (value) => (value != null ? value.toFixed(6) : '—');
 const formatMeters = (value) => {
   if (value == null || Number.isNaN(value)) return '—';
   if (value >= 1000) return `${(value / 1000).toFixed(2)} km`;
@@ -17,6 +30,32 @@ const formatMeters = (value) => {
   return `${value.toFixed(1)} m`;
 };
 
+const precisionLabel = (precision) => {
+  const unitMeters = precisionToUnitMeters(precision);
+  return `${precision}-fig (${unitMeters >= 1000 ? `${unitMeters / 1000} km` : `${unitMeters} m`})`;
+};
+
+const gridSystemOptions = [
+  { id: 'local', label: 'Local grid' },
+  { id: 'mgrs', label: 'MGRS / UTM' },
+  { id: 'osgb', label: 'OS National Grid' }
+];
+
+const absoluteSystemDetails = {
+  mgrs: {
+    name: 'MGRS',
+    example: '30U WB 12345 67890',
+    datum: 'WGS84 / UTM',
+    help: 'Type the zone, square letters and digits, e.g. 30U WB 12345 67890.'
+  },
+  osgb: {
+    name: 'National Grid',
+    example: 'SU 1234 5678',
+    datum: 'OSGB36 / Airy 1830',
+    help: 'Type the two square letters from the map sheet and the digits, e.g. SU 1234 5678.'
+  }
+};
+
 const HelpToggle = ({ show, onToggle }) => (
   <button
     type="button"
@@ -32,22 +71,31 @@ const HelpToggle = ({ show, onToggle }) => (
   </button>
 );
 
-const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange }) => {
+const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange, onAdoptPosition }) => {
   const {
+    system,
     origin,
     originReference,
     precision,
-    setOrigin,
-    setOriginReference,
+    calibrationPoints,
+    calibration,
+    mapPick,
+    northReference,
+    coordinateFormat,
+    setSystem,
+    setNorthReference,
     setPrecision,
+    addCalibrationPoint,
+    removeCalibrationPoint,
     resetGrid
   } = useGrid();
-  const { setStart, setEnd, addCheckpoint } = useCheckpoints();
+  const { setStart, setEnd, addCheckpoint, placementMode, setPlacementMode } = useCheckpoints();
 
   const [originEast, setOriginEast] = useState('');
   const [originNorth, setOriginNorth] = useState('');
-  const [targetEast, setTargetEast] = useState('');
-  const [targetNorth, setTargetNorth] = useState('');
+  const [targetReferenceText, setTargetReferenceText] = useState('');
+  const [resolvedDescription, setResolvedDescription] = useState(null);
+  const [bearingOriginReference, setBearingOriginReference] = useState('');
   const [statusMessage, setStatusMessage] = useState(null);
   const [resolvedLocation, setResolvedLocation] = useState(null);
   const [errorMessage, setErrorMessage] = useState(null);
@@ -57,33 +105,60 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
   const [distanceInput, setDistanceInput] = useState('');
   const [bearingLocation, setBearingLocation] = useState(null);
   const [bearingMetadata, setBearingMetadata] = useState(null);
+  const [calibrationSource, setCalibrationSource] = useState('user');
   const [activeTab, setActiveTab] = useState('origin');
+  const [bearingFixResult, setBearingFixResult] = useState(null);
+  const [projectMode, setProjectMode] = useState('single');
+  const [traverseResult, setTraverseResult] = useState(null);
   const [showHelp, setShowHelp] = useState(false);
-
-  useEffect(() => {
-    if (originReference) {
-      setOriginEast(originReference.easting?.toString().padStart(precision, '0') ?? '');
-      setOriginNorth(originReference.northing?.toString().padStart(precision, '0') ?? '');
-    }
-  }, [originReference, precision]);
+  // Bumped by a reset so the bearing-fix and traverse tools remount with empty inputs.
+  const [resetCount, setResetCount] = useState(0);
 
   const originSummary = useMemo(() => {
-    if (!origin || !originReference) {
+    if (!calibration) {
       return null;
     }
-    try {
-      const current = latLngToGridReference({
-        origin,
-        originReference,
-        point: origin,
-        precision
-      });
-      return `${current.easting} / ${current.northing}`;
-    } catch (error) {
-      console.warn(error);
-      return null;
+    const count = calibrationPoints.length;
+    const pointsLabel = `${count} point${count === 1 ? '' : 's'}`;
+    if (count < 2) {
+      return `${pointsLabel}, translation only`;
     }
-  }, [origin, originReference, precision]);
+    return `${pointsLabel}, scale ${calibration.scale.toFixed(4)}, rotation ${calibration.rotationDegrees.toFixed(2)}°`;
+  }, [calibration, calibrationPoints.length]);
+
+  const residualById = useMemo(() => {
+    const lookup = new Map();
+    (calibration?.residuals ?? []).forEach((residual) => lookup.set(residual.id, residual.meters));
+    return lookup;
+  }, [calibration]);
+
+  const worstResidualId = useMemo(() => {
+    if (!calibration || calibrationPoints.length < 3) return null;
+    return calibration.residuals.reduce(
+      (worst, residual) => (!worst || residual.meters > worst.meters ? residual : worst),
+      null
+    )?.id ?? null;
+  }, [calibration, calibrationPoints.length]);
+
+  const isPickingCalibration =
+    placementMode?.type === 'gridPick' && placementMode.purpose === 'calibration';
+  const pickedCalibrationPosition =
+    mapPick?.purpose === 'calibration' ? mapPick.position : null;
+
+  const isAbsolute = isAbsoluteGridSystem(system);
+  const systemDetails = absoluteSystemDetails[system] ?? null;
+
+  const gridContext = { system, origin, originReference, calibration };
+
+  const formatLatLng = (position) => formatPosition(position, coordinateFormat);
+
+  const describeReference = (point) =>
+    describeGridReference({ point, system, precision, origin, originReference, calibration });
+
+  const userReference = useMemo(
+    () => (isAbsolute ? describeGridReference({ point: userLocation, system, precision }) : null),
+    [isAbsolute, userLocation, system, precision]
+  );
 
   const bearingPreviewDegrees = useMemo(() => {
     if (!bearingValue) return null;
@@ -100,38 +175,58 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
   const bearingDegreesUsed = bearingMetadata?.bearingDegrees ?? null;
   const bearingMilsUsed = bearingDegreesUsed != null ? (bearingDegreesUsed * 6400) / 360 : null;
 
-  const handleSetOrigin = () => {
-    // 1. Determine Location (GPS preferred, then Selected)
-    let locationToUse = userLocation;
-    if (!locationToUse) {
-      if (selectedPosition) {
-        locationToUse = selectedPosition;
-      } else {
-        setErrorMessage('Waiting for GPS location (or select a point on the map).');
-        return;
-      }
-    }
+  const localNorthAngles = useMemo(
+    () =>
+      northReferenceAngles({
+        point: userLocation ?? selectedPosition ?? origin,
+        system,
+        calibration
+      }),
+    [userLocation, selectedPosition, origin, system, calibration]
+  );
 
-    // 2. Validate Grid Reference Input
-    const e = originEast.trim();
-    const n = originNorth.trim();
+  const formatBearingIn = (trueBearing, reference, angles) => {
+    const bearing = convertBearing(trueBearing, 'true', reference, angles);
+    return bearing == null ? '—' : `${bearing.toFixed(1)}° ${NORTH_REFERENCE_SUFFIXES[reference]}`;
+  };
 
-    if (!e || !n) {
-      setErrorMessage('Enter grid reference digits.');
-      return;
+  const resolveCalibrationLocation = () => {
+    if (calibrationSource === 'user') {
+      if (!userLocation) {
+        throw new Error('Waiting for GPS location (or pick another source).');
+      }
+      return userLocation;
+    }
+    if (calibrationSource === 'selected') {
+      if (!selectedPosition) {
+        throw new Error('Select a marker on the map to calibrate against.');
+      }
+      return selectedPosition;
+    }
+    if (!pickedCalibrationPosition) {
+      throw new Error('Tap "Pick on map" and then tap the point on the map.');
     }
+    return pickedCalibrationPosition;
+  };
 
-    if (e.length !== n.length) {
-      setErrorMessage('Easting and Northing must have same number of digits.');
+  const handleAddCalibrationPoint = () => {
+    // 1. Determine Location (GPS fix, selected marker or map tap)
+    let locationToUse;
+    try {
+      locationToUse = resolveCalibrationLocation();
+    } catch (error) {
+      setErrorMessage(error.message);
       return;
     }
 
-    // 3. Auto-detect Precision
-    let newPrecision = 3;
-    if (e.length === 3) newPrecision = 3;
-    else if (e.length === 4) newPrecision = 4;
-    else {
-      setErrorMessage('Grid ref must be 3 or 4 digits (e.g. 123 456).');
+    // 2. Validate Grid Reference Input and auto-detect precision (1 to 5 figures)
+    const e = originEast.trim();
+    const n = originNorth.trim();
+    let newPrecision;
+    try {
+      newPrecision = detectGridPrecision(e, n);
+    } catch (error) {
+      setErrorMessage(error.message);
       return;
     }
 
@@ -144,17 +239,39 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
         throw new Error('Grid reference must be numbers.');
       }
 
-      setOrigin(locationToUse);
-      setOriginReference({ easting, northing, precision: newPrecision });
+      addCalibrationPoint({
+        position: locationToUse,
+        reference: { easting, northing, precision: newPrecision }
+      });
       setPrecision(newPrecision);
-      
+      setOriginEast('');
+      setOriginNorth('');
+
+      const total = calibrationPoints.length + 1;
       setErrorMessage(null);
-      setStatusMessage(`Grid calibrated to ${newPrecision}-figure reference.`);
+      setStatusMessage(
+        total === 1
+          ? `Grid calibrated to ${newPrecision}-figure reference. Add a second point to correct rotation and scale.`
+          : `Calibration point ${total} added. Check the residuals for outliers.`
+      );
     } catch (error) {
       setErrorMessage(error.message);
     }
   };
 
+  const handleRemoveCalibrationPoint = (id) => {
+    removeCalibrationPoint(id);
+    setStatusMessage('Calibration point removed and grid refitted.');
+    setErrorMessage(null);
+  };
+
+  const handlePickCalibrationOnMap = () => {
+    setCalibrationSource('map');
+    setPlacementMode({ type: 'gridPick', purpose: 'calibration' });
+    setErrorMessage(null);
+    setStatusMessage(isPickingCalibration ? null : 'Tap the map where the grid reference lies.');
+  };
+
   const resolveBearingOrigin = () => {
     if (bearingSource === 'user') {
       if (!userLocation) {
@@ -168,6 +285,16 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
       }
       return selectedPosition;
     }
+    if (bearingSource === 'reference') {
+      if (!bearingOriginReference.trim()) {
+        throw new Error('Enter a grid reference or coordinates for the start point.');
+      }
+      const parsed = parseLocationInput(bearingOriginReference, gridContext);
+      if (!parsed.position) {
+        throw new Error('A route share code cannot be used as a start point.');
+      }
+      return parsed.position;
+    }
     throw new Error('Select a valid start point.');
   };
 
@@ -192,14 +319,22 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
         ? (bearingNumber * 360) / 6400
         : bearingNumber;
       const normalizedBearing = ((bearingDegrees % 360) + 360) % 360;
+      const angles = northReferenceAngles({ point: originPoint, system, calibration });
+      const trueBearing = convertBearing(normalizedBearing, northReference, 'true', angles);
+      if (trueBearing == null) {
+        throw new Error('Unable to convert the bearing to true north at this origin.');
+      }
       const location = destinationFromBearing({
         origin: originPoint,
-        bearingDegrees: normalizedBearing,
+        bearingDegrees: trueBearing,
         distanceMeters: distanceNumber
       });
       setBearingLocation(location);
       setBearingMetadata({
         bearingDegrees: normalizedBearing,
+        northReference,
+        trueBearing,
+        angles,
         bearingInput: bearingNumber,
         bearingUnit: bearingUnitInput,
         distanceMeters: distanceNumber,
@@ -215,30 +350,31 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
   };
 
   const resolveGridReference = () => {
-    if (!targetEast || !targetNorth) {
-      setErrorMessage('Enter both easting and northing for the grid reference.');
+    if (!targetReferenceText.trim()) {
+      setErrorMessage(
+        isAbsolute
+          ? `Enter a ${systemDetails.name} reference, e.g. ${systemDetails.example}, or coordinates.`
+          : 'Enter a grid reference such as 123 456, or coordinates.'
+      );
       return;
     }
     try {
-      const candidate = gridReferenceToLatLng({
-        origin,
-        originReference,
-        targetReference: {
-          easting: targetEast,
-          northing: targetNorth,
-          precision
-        },
-        precision
-      });
-      setResolvedLocation(candidate);
-      setStatusMessage('Grid reference resolved.');
+      const parsed = parseLocationInput(targetReferenceText, gridContext);
+      if (!parsed.position) {
+        throw new Error('That is a route share code. Load it from the Share panel on the map.');
+      }
+      setResolvedLocation(parsed.position);
+      setResolvedDescription(parsed.description);
+      setStatusMessage(`${LOCATION_INPUT_KINDS[parsed.kind]} resolved.`);
       setErrorMessage(null);
     } catch (error) {
       setResolvedLocation(null);
+      setResolvedDescription(null);
       setErrorMessage(error.message);
     }
   };
 
+
   const handleCreate = (mode, location = resolvedLocation, context = 'grid reference') => {
     if (!location) {
       setErrorMessage(`Resolve a ${context} first.`);
@@ -259,10 +395,15 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
 
   const handleReset = () => {
     resetGrid();
+    if (isPickingCalibration) {
+      setPlacementMode(null);
+    }
+    setCalibrationSource('user');
     setOriginEast('');
     setOriginNorth('');
-    setTargetEast('');
-    setTargetNorth('');
+    setTargetReferenceText('');
+    setResolvedDescription(null);
+    setBearingOriginReference('');
     setResolvedLocation(null);
     setBearingSource('user');
     setBearingValue('');
@@ -270,38 +411,118 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
     setDistanceInput('');
     setBearingLocation(null);
     setBearingMetadata(null);
+    setBearingFixResult(null);
+    setTraverseResult(null);
+    setResetCount((count) => count + 1);
     setStatusMessage('Grid settings cleared.');
     setErrorMessage(null);
   };
 
   const unitMeters = precisionToUnitMeters(precision);
 
+  const handleSystemChange = (nextSystem) => {
+    if (nextSystem === system) return;
+    setSystem(nextSystem);
+    // The bearing start point is left alone: a typed start is parsed with the same location input
+    // as the converter, which reads coordinates and references in any grid system.
+    setResolvedLocation(null);
+    setErrorMessage(null);
+    setStatusMessage(
+      isAbsoluteGridSystem(nextSystem)
+        ? `Using ${absoluteSystemDetails[nextSystem].name} references. No calibration needed.`
+        : 'Using the calibrated local grid.'
+    );
+  };
+
   useEffect(() => {
     if (onPreviewLocationChange) {
+      const squareFor = (point) => gridSquareAround({ point, system, precision, calibration });
       if (activeTab === 'convert' && resolvedLocation) {
-        onPreviewLocationChange({ position: resolvedLocation, source: origin });
-      } else if (activeTab === 'project' && bearingLocation) {
+        onPreviewLocationChange({
+          position: resolvedLocation,
+          source: isAbsolute ? null : origin,
+          square: squareFor(resolvedLocation)
+        });
+      } else if ((activeTab === 'resect' || activeTab === 'intersect') && bearingFixResult) {
+        onPreviewLocationChange({
+          position: bearingFixResult.position,
+          source: null,
+          square: squareFor(bearingFixResult.position),
+          triangle: bearingFixResult.triangle.length >= 3 ? bearingFixResult.triangle : null,
+          ellipse: activeTab === 'intersect' ? bearingFixResult.confidence.ellipse : null,
+          rays: bearingFixResult.points.map((point) => [point.point, bearingFixResult.position])
+        });
+      } else if (activeTab === 'project' && projectMode === 'traverse' && traverseResult) {
+        const lastPoint = traverseResult.points[traverseResult.points.length - 1];
+        onPreviewLocationChange({
+          position: lastPoint,
+          source: null,
+          square: squareFor(lastPoint),
+          path: traverseResult.points
+        });
+      } else if (activeTab === 'project' && projectMode === 'single' && bearingLocation) {
         onPreviewLocationChange({
           position: bearingLocation,
-          source: bearingMetadata?.origin ?? null
+          source: bearingMetadata?.origin ?? null,
+          square: squareFor(bearingLocation)
         });
       } else {
         onPreviewLocationChange(null);
       }
     }
-  }, [activeTab, resolvedLocation, bearingLocation, bearingMetadata, origin, onPreviewLocationChange]);
+  }, [
+    activeTab,
+    resolvedLocation,
+    bearingLocation,
+    bearingMetadata,
+    bearingFixResult,
+    projectMode,
+    traverseResult,
+    origin,
+    isAbsolute,
+    system,
+    precision,
+    calibration,
+    onPreviewLocationChange
+  ]);
 
   return (
     <div className="flex flex-col gap-3 rounded-2xl bg-slate-900 p-4 text-xs text-slate-200 shadow-lg shadow-slate-950">
       <div className="flex items-center justify-between gap-2">
         <h2 className="text-base font-semibold text-sky-200">Grid Tools</h2>
         <div className="flex gap-1">
-          <span className="rounded-full border border-slate-700 px-2 py-1 text-[10px] font-semibold text-slate-400">
-            {precision}-fig mode
-          </span>
+          <select
+            value={precision}
+            onChange={(event) => setPrecision(Number(event.target.value))}
+            className="rounded-full border border-slate-700 bg-slate-900 px-2 py-1 text-[10px] font-semibold text-slate-400 focus:border-sky-500 focus:outline-none"
+            aria-label="Grid reference precision"
+          >
+            {GRID_PRECISIONS.map((value) => (
+              <option key={value} value={value}>
+                {precisionLabel(value)}
+              </option>
+            ))}
+          </select>
         </div>
       </div>
 
+      <div className="flex gap-2">
+        {gridSystemOptions.map((option) => (
+          <button
+            key={option.id}
+            type="button"
+            onClick={() => handleSystemChange(option.id)}
+            className={`flex-1 rounded-md border py-1.5 text-[11px] font-semibold transition ${
+              system === option.id
+                ? 'border-sky-500 bg-sky-500/10 text-sky-200'
+                : 'border-slate-700 text-slate-400 hover:border-slate-500 hover:text-slate-200'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
       <div className="flex gap-1 rounded-lg border border-slate-800 bg-slate-950 p-1">
         <button
           type="button"
@@ -336,8 +557,47 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
         >
           Project
         </button>
+        <button
+          type="button"
+          onClick={() => setActiveTab('resect')}
+          className={`flex-1 rounded-md py-1.5 text-[11px] font-semibold transition ${
+            activeTab === 'resect'
+              ? 'bg-slate-800 text-sky-200 shadow-sm'
+              : 'text-slate-400 hover:bg-slate-900 hover:text-slate-200'
+          }`}
+        >
+          Resect
+        </button>
+        <button
+          type="button"
+          onClick={() => setActiveTab('intersect')}
+          className={`flex-1 rounded-md py-1.5 text-[11px] font-semibold transition ${
+            activeTab === 'intersect'
+              ? 'bg-slate-800 text-sky-200 shadow-sm'
+              : 'text-slate-400 hover:bg-slate-900 hover:text-slate-200'
+          }`}
+        >
+          Intersect
+        </button>
       </div>
 
+      {activeTab === 'resect' && (
+        <BearingFixTool
+          key={`resection-${resetCount}`}
+          mode="resection"
+          onResultChange={setBearingFixResult}
+          onAdoptPosition={onAdoptPosition}
+        />
+      )}
+
+      {activeTab === 'intersect' && (
+        <BearingFixTool
+          key={`intersection-${resetCount}`}
+          mode="intersection"
+          onResultChange={setBearingFixResult}
+        />
+      )}
+
       {activeTab === 'origin' && (
         <div className="rounded-xl border border-slate-800 bg-slate-950 p-3">
           <div className="mb-3 flex items-start justify-between gap-2">
@@ -346,7 +606,7 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
                 Calibrate Grid Origin
               </h3>
               <p className="mt-1 text-[11px] text-slate-400">
-                Sync your current location to a grid reference.
+                Link known positions to their grid references.
               </p>
             </div>
             <HelpToggle show={showHelp} onToggle={() => setShowHelp(!showHelp)} />
@@ -356,68 +616,174 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
             <div className="mb-4 rounded-lg bg-slate-900 p-2 text-[11px] text-slate-300">
               <p className="mb-1 font-semibold text-sky-200">How to calibrate:</p>
               <p className="text-slate-400">
-                Enter the Grid Reference for your current location (e.g. from a paper map) and tap
-                'Set Origin'. The app will link your GPS position to that grid reference.
+                Choose where the point is (GPS fix, a selected marker or a tap on the map), enter
+                its grid reference from the paper map and tap 'Add Point'.
               </p>
-              <p className="mt-2 text-slate-500 italic">
-                Note: If GPS is unavailable, select a point on the map first.
+              <p className="mt-2 text-slate-400">
+                One point only shifts the grid. Two or more points also correct rotation and scale,
+                and from three points each one shows a residual: the distance between where you
+                said it was and where the fitted grid puts it. Remove a point with a large residual
+                and the grid is refitted from the rest.
               </p>
             </div>
           )}
 
-          <div className="flex flex-col gap-3">
-            <div className="grid grid-cols-2 gap-2">
-              <label className="flex flex-col gap-1">
-                <span className="text-[10px] uppercase tracking-wide text-slate-400">
-                  Easting
-                </span>
-                <input
-                  value={originEast}
-                  onChange={(event) => setOriginEast(event.target.value)}
-                  className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
-                  placeholder="e.g. 123"
-                />
-              </label>
-              <label className="flex flex-col gap-1">
-                <span className="text-[10px] uppercase tracking-wide text-slate-400">
-                  Northing
+          {isAbsolute ? (
+            <div className="flex flex-col gap-2 rounded-md border border-slate-800 bg-slate-900 p-3 text-[11px]">
+              <p className="text-slate-300">
+                {systemDetails.name} references are absolute ({systemDetails.datum}), so no
+                calibration is needed. Switch back to the local grid to calibrate against an
+                unknown map sheet.
+              </p>
+              <p className="text-slate-400">
+                Your position:{' '}
+                <span className="font-mono text-emerald-300">
+                  {userReference ?? (userLocation ? 'Outside this grid' : 'Waiting for GPS fix...')}
                 </span>
-                <input
-                  value={originNorth}
-                  onChange={(event) => setOriginNorth(event.target.value)}
-                  className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
-                  placeholder="e.g. 456"
-                />
-              </label>
+              </p>
             </div>
+          ) : (
+            <div className="flex flex-col gap-3">
+              <div>
+                <span className="text-[10px] uppercase tracking-wide text-slate-400">Point location</span>
+                <div className="mt-1 flex gap-2">
+                  {[
+                    { id: 'user', label: 'GPS Fix' },
+                    { id: 'selected', label: 'Selected Marker' }
+                  ].map((option) => (
+                    <button
+                      key={option.id}
+                      type="button"
+                      onClick={() => setCalibrationSource(option.id)}
+                      className={`flex-1 rounded-md border py-2 text-[11px] font-semibold transition ${
+                        calibrationSource === option.id
+                          ? 'border-sky-500 bg-sky-500/10 text-sky-200'
+                          : 'border-slate-700 text-slate-400 hover:border-slate-500 hover:text-slate-200'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={handlePickCalibrationOnMap}
+                    className={`flex-1 rounded-md border py-2 text-[11px] font-semibold transition ${
+                      calibrationSource === 'map'
+                        ? 'border-sky-500 bg-sky-500/10 text-sky-200'
+                        : 'border-slate-700 text-slate-400 hover:border-slate-500 hover:text-slate-200'
+                    }`}
+                  >
+                    {isPickingCalibration ? 'Tap map…' : 'Pick on Map'}
+                  </button>
+                </div>
+                {!userLocation && calibrationSource === 'user' && (
+                  <p className="mt-1 text-[10px] text-rose-400">Waiting for GPS fix...</p>
+                )}
+                {!selectedPosition && calibrationSource === 'selected' && (
+                  <p className="mt-1 text-[10px] text-rose-400">No marker selected on map.</p>
+                )}
+                {calibrationSource === 'map' && pickedCalibrationPosition && (
+                  <p className="mt-1 text-[10px] text-slate-400">
+                    Picked {formatLatLng(pickedCalibrationPosition)}
+                  </p>
+                )}
+              </div>
 
-            <div className="flex gap-2">
-              <button
-                type="button"
-                className="flex-1 rounded-md border border-sky-500 bg-sky-500/10 px-3 py-2 font-semibold text-sky-200 hover:bg-sky-500/20"
-                onClick={handleSetOrigin}
-              >
-                Set Origin
-              </button>
-              <button
-                type="button"
-                className="rounded-md border border-slate-700 px-3 py-2 font-semibold text-slate-300 hover:border-rose-500 hover:text-rose-200"
-                onClick={handleReset}
-              >
-                Clear
-              </button>
-            </div>
+              <div className="grid grid-cols-2 gap-2">
+                <label className="flex flex-col gap-1">
+                  <span className="text-[10px] uppercase tracking-wide text-slate-400">
+                    Easting
+                  </span>
+                  <input
+                    value={originEast}
+                    onChange={(event) => setOriginEast(event.target.value)}
+                    className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
+                    placeholder="e.g. 123"
+                  />
+                </label>
+                <label className="flex flex-col gap-1">
+                  <span className="text-[10px] uppercase tracking-wide text-slate-400">
+                    Northing
+                  </span>
+                  <input
+                    value={originNorth}
+                    onChange={(event) => setOriginNorth(event.target.value)}
+                    className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
+                    placeholder="e.g. 456"
+                  />
+                </label>
+              </div>
 
-            <div className="mt-1 text-center text-[11px]">
-              {originSummary ? (
-                <span className="text-emerald-400">
-                  Active: {originSummary} ({precision}-fig)
-                </span>
-              ) : (
-                <span className="text-slate-500">Origin not set</span>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  className="flex-1 rounded-md border border-sky-500 bg-sky-500/10 px-3 py-2 font-semibold text-sky-200 hover:bg-sky-500/20"
+                  onClick={handleAddCalibrationPoint}
+                >
+                  Add Point
+                </button>
+                <button
+                  type="button"
+                  className="rounded-md border border-slate-700 px-3 py-2 font-semibold text-slate-300 hover:border-rose-500 hover:text-rose-200"
+                  onClick={handleReset}
+                >
+                  Clear
+                </button>
+              </div>
+
+              {calibrationPoints.length > 0 && (
+                <ul className="flex flex-col gap-1">
+                  {calibrationPoints.map((point, index) => {
+                    const residual = residualById.get(point.id);
+                    const isWorst = point.id === worstResidualId;
+                    return (
+                      <li
+                        key={point.id}
+                        className={`flex items-center justify-between gap-2 rounded-md border px-2 py-1.5 text-[11px] ${
+                          isWorst ? 'border-amber-500/60 bg-amber-500/5' : 'border-slate-800 bg-slate-900'
+                        }`}
+                      >
+                        <div>
+                          <p className="font-mono text-slate-200">
+                            #{index + 1} {String(point.reference.easting).padStart(point.reference.precision, '0')}{' '}
+                            {String(point.reference.northing).padStart(point.reference.precision, '0')}
+                          </p>
+                          <p className="text-[10px] text-slate-500">
+                            {formatLatLng(point.position)}
+                          </p>
+                        </div>
+                        <div className="flex items-center gap-2">
+                          {calibrationPoints.length >= 3 && residual != null && (
+                            <span className={isWorst ? 'text-amber-300' : 'text-slate-400'}>
+                              ± {formatMeters(residual)}
+                            </span>
+                          )}
+                          <button
+                            type="button"
+                            className="rounded border border-rose-500 px-2 py-0.5 text-[10px] font-medium text-rose-300 transition hover:bg-rose-900 hover:text-rose-100"
+                            onClick={() => handleRemoveCalibrationPoint(point.id)}
+                          >
+                            Drop
+                          </button>
+                        </div>
+                      </li>
+                    );
+                  })}
+                </ul>
               )}
+
+              <div className="mt-1 text-center text-[11px]">
+                {originSummary ? (
+                  <span className="text-emerald-400">
+                    Active: {originSummary} ({precision}-fig)
+                    {calibrationPoints.length >= 3 && ` · RMS ${formatMeters(calibration.rmsMeters)}`}
+                  </span>
+                ) : (
+                  <span className="text-slate-500">Grid not calibrated</span>
+                )}
+              </div>
             </div>
-          </div>
+          )}
         </div>
       )}
 
@@ -429,7 +795,9 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
                 Convert Grid Ref
               </h3>
               <p className="mt-1 text-[11px] text-slate-400">
-                Enter a grid reference to find its location on the map relative to your origin.
+                {isAbsolute
+                  ? `Enter a full ${systemDetails.name} reference to find its location on the map.`
+                  : 'Enter a grid reference to find its location on the map relative to your origin.'}
               </p>
             </div>
             <HelpToggle show={showHelp} onToggle={() => setShowHelp(!showHelp)} />
@@ -438,34 +806,36 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
           {showHelp && (
             <div className="mb-4 rounded-lg bg-slate-900 p-2 text-[11px] text-slate-300">
               <p className="mb-1 font-semibold text-sky-200">How to convert:</p>
-              <p className="text-slate-400">
-                Once you have calibrated the origin, you can enter any other grid reference here. The
-                app will calculate the offset from the origin and show you exactly where that point
-                is on the map.
-              </p>
+              {isAbsolute ? (
+                <p className="text-slate-400">
+                  {systemDetails.help} Spaces are optional and 2 to 10 digits are accepted. Lat/lng in
+                  decimal degrees or degrees and minutes also works.
+                </p>
+              ) : (
+                <p className="text-slate-400">
+                  Once you have calibrated the origin, you can enter any other grid reference here, such
+                  as 123 456 or GR 123456. The app will calculate the offset from the origin and show you
+                  exactly where that point is on the map. Lat/lng and location codes are accepted too.
+                </p>
+              )}
             </div>
           )}
 
-          <div className="grid grid-cols-2 gap-2">
-            <label className="flex flex-col gap-1">
-              <span className="text-[10px] uppercase tracking-wide text-slate-400">Easting</span>
-              <input
-                value={targetEast}
-                onChange={(event) => setTargetEast(event.target.value)}
-                className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
-                placeholder={'e.g. '.concat('2'.repeat(precision))}
-              />
-            </label>
-            <label className="flex flex-col gap-1">
-              <span className="text-[10px] uppercase tracking-wide text-slate-400">Northing</span>
-              <input
-                value={targetNorth}
-                onChange={(event) => setTargetNorth(event.target.value)}
-                className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
-                placeholder={'e.g. '.concat('3'.repeat(precision))}
-              />
-            </label>
-          </div>
+          <label className="flex flex-col gap-1">
+            <span className="text-[10px] uppercase tracking-wide text-slate-400">
+              {isAbsolute ? `${systemDetails.name} reference` : 'Grid reference'} or coordinates
+            </span>
+            <input
+              value={targetReferenceText}
+              onChange={(event) => setTargetReferenceText(event.target.value)}
+              onKeyDown={(event) => {
+                if (event.key === 'Enter') resolveGridReference();
+              }}
+              className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 font-mono text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
+              placeholder={`e.g. ${isAbsolute ? systemDetails.example : `GR ${'2'.repeat(precision)}${'3'.repeat(precision)}`}`}
+              spellCheck={false}
+            />
+          </label>
           <div className="mt-3 flex items-center justify-between">
             <button
               type="button"
@@ -475,15 +845,20 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
               Preview location
             </button>
             <span className="text-[11px] text-slate-400">
-              1 digit = {unitMeters} m offset
+              {isAbsolute ? systemDetails.datum : `1 digit = ${unitMeters} m offset`}
             </span>
           </div>
           {resolvedLocation && (
             <div className="mt-3 rounded-md border border-slate-800 bg-slate-900 p-3 text-[11px] text-slate-200">
               <p className="font-semibold text-sky-200">Resolved coordinates</p>
-              <p className="mt-1 text-slate-300">
-                Lat {formatLatLng(resolvedLocation.lat)} | Lng {formatLatLng(resolvedLocation.lng)}
-              </p>
+              {resolvedDescription && (
+                <p className="mt-1 text-slate-400">Understood as: {resolvedDescription}</p>
+              )}
+              <p className="mt-1 font-mono text-slate-300">{formatLatLng(resolvedLocation)}</p>
+              <CoordinateCopyButtons position={resolvedLocation} className="mt-1" />
+              {describeReference(resolvedLocation) && (
+                <p className="font-mono text-slate-400">Grid {describeReference(resolvedLocation)}</p>
+              )}
               <div className="mt-3 flex flex-wrap gap-2">
                 <button
                   type="button"
@@ -527,12 +902,38 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
             <HelpToggle show={showHelp} onToggle={() => setShowHelp(!showHelp)} />
           </div>
 
+          <div className="mb-3 flex gap-2">
+            {[
+              { id: 'single', label: 'Single leg' },
+              { id: 'traverse', label: 'Traverse' }
+            ].map((option) => (
+              <button
+                key={option.id}
+                type="button"
+                onClick={() => setProjectMode(option.id)}
+                className={`flex-1 rounded-md border py-1.5 text-[11px] font-semibold transition ${
+                  projectMode === option.id
+                    ? 'border-sky-500 bg-sky-500/10 text-sky-200'
+                    : 'border-slate-700 text-slate-400 hover:border-slate-500 hover:text-slate-200'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
           {showHelp && (
             <div className="mb-4 rounded-lg bg-slate-900 p-2 text-[11px] text-slate-300">
               <p className="mb-1 font-semibold text-sky-200">How to project:</p>
               <ol className="list-decimal space-y-1 pl-4 text-slate-400">
-                <li>Choose a start point (your location or a selected marker).</li>
-                <li>Enter the bearing (direction) and distance to travel.</li>
+                <li>
+                  Choose a start point (your location, a selected marker or a typed grid reference or
+                  coordinates).
+                </li>
+                <li>
+                  Enter the bearing (direction) and distance to travel, or switch to Traverse to chain
+                  several legs.
+                </li>
                 <li>Click 'Project location' to see the destination on the map.</li>
               </ol>
             </div>
@@ -563,7 +964,27 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
               >
                 Selected Marker
               </button>
+              <button
+                type="button"
+                onClick={() => setBearingSource('reference')}
+                className={`flex-1 rounded-md border py-2 text-[11px] font-semibold transition ${
+                  bearingSource === 'reference'
+                    ? 'border-sky-500 bg-sky-500/10 text-sky-200'
+                    : 'border-slate-700 text-slate-400 hover:border-slate-500 hover:text-slate-200'
+                }`}
+              >
+                Grid Ref
+              </button>
             </div>
+            {bearingSource === 'reference' && (
+              <input
+                value={bearingOriginReference}
+                onChange={(event) => setBearingOriginReference(event.target.value)}
+                className="mt-2 w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1 font-mono text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
+                placeholder={`e.g. ${isAbsolute ? systemDetails.example : '123 456'} or 51.5074, -0.1278`}
+                spellCheck={false}
+              />
+            )}
             {!userLocation && bearingSource === 'user' && (
               <p className="mt-1 text-[10px] text-rose-400">Waiting for GPS fix...</p>
             )}
@@ -572,16 +993,45 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
             )}
           </div>
 
+          <div className="mt-3 flex flex-col gap-1">
+            <span className="text-[10px] uppercase tracking-wide text-slate-400">Bearing north reference</span>
+            <div className="flex gap-2">
+              {NORTH_REFERENCES.map((reference) => (
+                <button
+                  key={reference}
+                  type="button"
+                  className={`flex-1 rounded-md px-2 py-1 text-[11px] font-semibold ${
+                    northReference === reference
+                      ? 'border border-sky-500 text-sky-200'
+                      : 'border border-slate-700 text-slate-200 hover:border-sky-500 hover:text-sky-200'
+                  }`}
+                  onClick={() => setNorthReference(reference)}
+                >
+                  {NORTH_REFERENCE_LABELS[reference]}
+                </button>
+              ))}
+            </div>
+            <p className="text-[10px] text-slate-500">
+              {localNorthAngles
+                ? `Grid–magnetic angle here ${formatAngleOffset(localNorthAngles.gridMagneticAngle)} (declination ${formatAngleOffset(
+                    localNorthAngles.declination
+                  )}, convergence ${formatAngleOffset(localNorthAngles.convergence, 2)}) on ${localNorthAngles.date.toLocaleDateString()}.`
+                : 'Get a location fix or select a marker to show the grid–magnetic angle.'}
+            </p>
+          </div>
+
           <div className="mt-3 grid gap-2 sm:grid-cols-2">
-            <label className="flex flex-col gap-1">
-              <span className="text-[10px] uppercase tracking-wide text-slate-400">Bearing</span>
-              <input
-                value={bearingValue}
-                onChange={(event) => setBearingValue(event.target.value)}
-                className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
-                placeholder={bearingUnitInput === 'degrees' ? '0 — 360°' : '0 — 6400 mil'}
-              />
-            </label>
+            {projectMode === 'single' && (
+              <label className="flex flex-col gap-1">
+                <span className="text-[10px] uppercase tracking-wide text-slate-400">Bearing</span>
+                <input
+                  value={bearingValue}
+                  onChange={(event) => setBearingValue(event.target.value)}
+                  className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
+                  placeholder={bearingUnitInput === 'degrees' ? '0 — 360°' : '0 — 6400 mil'}
+                />
+              </label>
+            )}
             <div className="flex flex-col gap-1">
               <span className="text-[10px] uppercase tracking-wide text-slate-400">Units</span>
               <div className="flex gap-2">
@@ -611,81 +1061,105 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
             </div>
           </div>
 
-          <div className="mt-3 grid gap-2 sm:grid-cols-2">
-            <label className="flex flex-col gap-1">
-              <span className="text-[10px] uppercase tracking-wide text-slate-400">Distance (m)</span>
-              <input
-                value={distanceInput}
-                onChange={(event) => setDistanceInput(event.target.value)}
-                className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
-                placeholder="e.g. 250"
-              />
-            </label>
-            <div className="flex flex-col justify-end text-[11px] text-slate-400">
-              <span>
-                {bearingPreviewDegrees != null
-                  ? `≈ ${bearingPreviewDegrees.toFixed(1)}° / ${bearingPreviewMils?.toFixed(0) ?? '—'} mil`
-                  : 'Enter a bearing to preview conversions.'}
-              </span>
-            </div>
-          </div>
-
-          <div className="mt-3 flex items-center justify-between">
-            <button
-              type="button"
-              className="rounded-md border border-sky-500 px-3 py-1 text-[11px] font-semibold text-sky-200 hover:bg-sky-900"
-              onClick={projectBearingLocation}
-            >
-              Project location
-            </button>
-            <span className="text-[11px] text-slate-400">
-              Distance measured in straight line
-            </span>
-          </div>
+          {projectMode === 'single' ? (
+            <>
+              <div className="mt-3 grid gap-2 sm:grid-cols-2">
+                <label className="flex flex-col gap-1">
+                  <span className="text-[10px] uppercase tracking-wide text-slate-400">Distance (m)</span>
+                  <input
+                    value={distanceInput}
+                    onChange={(event) => setDistanceInput(event.target.value)}
+                    className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
+                    placeholder="e.g. 250"
+                  />
+                </label>
+                <div className="flex flex-col justify-end text-[11px] text-slate-400">
+                  <span>
+                    {bearingPreviewDegrees != null
+                      ? `≈ ${bearingPreviewDegrees.toFixed(1)}° / ${bearingPreviewMils?.toFixed(0) ?? '—'} mil`
+                      : 'Enter a bearing to preview conversions.'}
+                  </span>
+                </div>
+              </div>
 
-          {bearingLocation && (
-            <div className="mt-3 rounded-md border border-slate-800 bg-slate-900 p-3 text-[11px] text-slate-200">
-              <p className="font-semibold text-sky-200">Projected coordinates</p>
-              <p className="mt-1 text-slate-300">
-                Lat {formatLatLng(bearingLocation.lat)} | Lng {formatLatLng(bearingLocation.lng)}
-              </p>
-              <p className="text-slate-400">
-                Bearing used:{' '}
-                {bearingDegreesUsed != null
-                  ? `${bearingDegreesUsed.toFixed(1)}°${
-                      bearingMilsUsed != null ? ` (${bearingMilsUsed.toFixed(0)} mil)` : ''
-                    }`
-                  : '—'}
-              </p>
-              {bearingMetadata?.distanceMeters != null && (
-                <p className="text-slate-400">
-                  Distance: {formatMeters(bearingMetadata.distanceMeters)}
-                </p>
-              )}
-              <div className="mt-3 flex flex-wrap gap-2">
-                <button
-                  type="button"
-                  className="rounded-md border border-emerald-500 px-3 py-1 text-[11px] font-semibold text-emerald-200 hover:bg-emerald-900"
-                  onClick={() => handleCreate('start', bearingLocation, 'bearing projection')}
-                >
-                  Set start
-                </button>
-                <button
-                  type="button"
-                  className="rounded-md border border-orange-500 px-3 py-1 text-[11px] font-semibold text-orange-200 hover:bg-orange-900"
-                  onClick={() => handleCreate('end', bearingLocation, 'bearing projection')}
-                >
-                  Set end
-                </button>
+              <div className="mt-3 flex items-center justify-between">
                 <button
                   type="button"
                   className="rounded-md border border-sky-500 px-3 py-1 text-[11px] font-semibold text-sky-200 hover:bg-sky-900"
-                  onClick={() => handleCreate('checkpoint', bearingLocation, 'bearing projection')}
+                  onClick={projectBearingLocation}
                 >
-                  Add checkpoint
+                  Project location
                 </button>
+                <span className="text-[11px] text-slate-400">
+                  Distance measured in straight line
+                </span>
               </div>
-            </div>
+
+              {bearingLocation && (
+                <div className="mt-3 rounded-md border border-slate-800 bg-slate-900 p-3 text-[11px] text-slate-200">
+                  <p className="font-semibold text-sky-200">Projected coordinates</p>
+                  <p className="mt-1 font-mono text-slate-300">{formatLatLng(bearingLocation)}</p>
+                  <CoordinateCopyButtons position={bearingLocation} className="mt-1" />
+                  {describeReference(bearingLocation) && (
+                    <p className="font-mono text-slate-400">Grid {describeReference(bearingLocation)}</p>
+                  )}
+                  <p className="text-slate-400">
+                    Bearing used:{' '}
+                    {bearingDegreesUsed != null
+                      ? `${bearingDegreesUsed.toFixed(1)}° ${NORTH_REFERENCE_SUFFIXES[bearingMetadata.northReference]}${
+                          bearingMilsUsed != null ? ` (${bearingMilsUsed.toFixed(0)} mil)` : ''
+                        }`
+                      : '—'}
+                  </p>
+                  {bearingMetadata?.trueBearing != null && (
+                    <p className="text-slate-400">
+                      ={' '}
+                      {NORTH_REFERENCES.filter((reference) => reference !== bearingMetadata.northReference)
+                        .map((reference) =>
+                          formatBearingIn(bearingMetadata.trueBearing, reference, bearingMetadata.angles)
+                        )
+                        .join(' / ')}
+                    </p>
+                  )}
+                  {bearingMetadata?.distanceMeters != null && (
+                    <p className="text-slate-400">
+                      Distance: {formatMeters(bearingMetadata.distanceMeters)}
+                    </p>
+                  )}
+                  <div className="mt-3 flex flex-wrap gap-2">
+                    <button
+                      type="button"
+                      className="rounded-md border border-emerald-500 px-3 py-1 text-[11px] font-semibold text-emerald-200 hover:bg-emerald-900"
+                      onClick={() => handleCreate('start', bearingLocation, 'bearing projection')}
+                    >
+                      Set start
+                    </button>
+                    <button
+                      type="button"
+                      className="rounded-md border border-orange-500 px-3 py-1 text-[11px] font-semibold text-orange-200 hover:bg-orange-900"
+                      onClick={() => handleCreate('end', bearingLocation, 'bearing projection')}
+                    >
+                      Set end
+                    </button>
+                    <button
+                      type="button"
+                      className="rounded-md border border-sky-500 px-3 py-1 text-[11px] font-semibold text-sky-200 hover:bg-sky-900"
+                      onClick={() => handleCreate('checkpoint', bearingLocation, 'bearing projection')}
+                    >
+                      Add checkpoint
+                    </button>
+                  </div>
+                </div>
+              )}
+            </>
+          ) : (
+            <TraverseEditor
+              key={resetCount}
+              resolveStart={resolveBearingOrigin}
+              bearingUnit={bearingUnitInput}
+              describeReference={describeReference}
+              onResultChange={setTraverseResult}
+            />
           )}
         </div>
       )}
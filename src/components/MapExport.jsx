@@ -0,0 +1,253 @@
+import { useEffect, useMemo, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { useGridStore } from '../hooks/useGrid.js';
+import { useRouteProfile } from '../hooks/useRouteProfile.js';
+import { northReferenceAngles } from '../utils/bearings.js';
+import {
+  DEFAULT_MAP_EXPORT_SETTINGS,
+  exportPageLayout,
+  formatScale,
+  PAPER_ORIENTATIONS,
+  PAPER_SIZES,
+  PRINT_MARGIN_MM,
+  PRINT_SCALES,
+  renderMapExport
+} from '../utils/mapExport.js';
+import RouteCard from './RouteCard.jsx';
+
+const formatGroundSize = (meters) => `${(meters / 1000).toFixed(1)} km`;
+
+const routeCentre = (waypoints) => {
+  if (waypoints.length === 0) return null;
+  const lats = waypoints.map((waypoint) => waypoint.position.lat);
+  const lngs = waypoints.map((waypoint) => waypoint.position.lng);
+  return {
+    lat: (Math.min(...lats) + Math.max(...lats)) / 2,
+    lng: (Math.min(...lngs) + Math.max(...lngs)) / 2
+  };
+};
+
+const MapExport = ({ themeStyles, tileProvider, getMapCentre }) => {
+  const { waypoints } = useRouteProfile();
+  const system = useGridStore((state) => state.system);
+  const origin = useGridStore((state) => state.origin);
+  const originReference = useGridStore((state) => state.originReference);
+  const calibration = useGridStore((state) => state.calibration);
+  const [settings, setSettings] = useState(DEFAULT_MAP_EXPORT_SETTINGS);
+  const [centreOn, setCentreOn] = useState('route');
+  const [sheet, setSheet] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [isPrinting, setIsPrinting] = useState(false);
+
+  const layout = useMemo(() => exportPageLayout(settings), [settings]);
+  const hasRoute = waypoints.length > 0;
+
+  useEffect(() => {
+    if (!sheet) return undefined;
+    return () => URL.revokeObjectURL(sheet.url);
+  }, [sheet]);
+
+  // Any change to the inputs makes the prepared sheet stale.
+  useEffect(() => {
+    setSheet(null);
+  }, [settings, centreOn, tileProvider, waypoints, system, origin, originReference, calibration]);
+
+  useEffect(() => {
+    if (!isPrinting || !sheet) return undefined;
+    const pageStyle = document.createElement('style');
+    pageStyle.textContent = `@page { size: ${sheet.layout.pageWidth}mm ${sheet.layout.pageHeight}mm; margin: ${PRINT_MARGIN_MM}mm; }`;
+    document.head.appendChild(pageStyle);
+    document.body.classList.add('printing-map-export');
+    const finish = () => setIsPrinting(false);
+    window.addEventListener('afterprint', finish);
+    // Let the portal mount before the print dialog snapshots the page.
+    const frame = window.requestAnimationFrame(() => window.print());
+    return () => {
+      window.cancelAnimationFrame(frame);
+      window.removeEventListener('afterprint', finish);
+      document.body.classList.remove('printing-map-export');
+      pageStyle.remove();
+    };
+  }, [isPrinting, sheet]);
+
+  const updateSetting = (key, value) => setSettings((current) => ({ ...current, [key]: value }));
+
+  const handlePrepare = async () => {
+    const centre = centreOn === 'route' && hasRoute ? routeCentre(waypoints) : getMapCentre?.();
+    setError(null);
+    setProgress({ done: 0, total: 0 });
+    try {
+      const grid = { system, origin, originReference, calibration };
+      const result = await renderMapExport({
+        centre,
+        settings,
+        provider: tileProvider,
+        waypoints,
+        grid,
+        angles: centre ? northReferenceAngles({ point: centre, system, calibration }) : null,
+        onProgress: (done, total) => setProgress({ done, total })
+      });
+      const blob = await new Promise((resolve, reject) => {
+        result.canvas.toBlob(
+          (value) => (value ? resolve(value) : reject(new Error('Unable to encode the map image.'))),
+          'image/png'
+        );
+      });
+      setSheet({ ...result, url: URL.createObjectURL(blob) });
+    } catch (renderError) {
+      setError(renderError.message ?? 'Unable to prepare the map for printing.');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const optionClass = (isActive) =>
+    `${themeStyles.panelToggle} px-2 ${
+      isActive ? 'ring-1 ring-sky-400 text-sky-500 border-sky-400' : 'opacity-80 hover:opacity-100'
+    }`;
+
+  const notes = [];
+  if (sheet?.missingTiles > 0) {
+    notes.push(
+      `${sheet.missingTiles} of ${sheet.tileCount} tiles could not be loaded and will print blank. Cache the area or reconnect and prepare again.`
+    );
+  }
+  if (sheet?.offSheetWaypoints > 0) {
+    notes.push(
+      `${sheet.offSheetWaypoints} waypoint${sheet.offSheetWaypoints === 1 ? ' is' : 's are'} off the sheet. Try ${formatScale(50000)} or a larger paper size.`
+    );
+  }
+
+  return (
+    <section className={`${themeStyles.layerOption} flex flex-col gap-2`}>
+      <div>
+        <p className="text-[12px] font-semibold leading-tight">Print map</p>
+        <p className={themeStyles.layerOptionDescription}>
+          True-scale sheet of the current base map with grid lines, route and checkpoints. The route
+          card prints on the reverse.
+        </p>
+      </div>
+      <div className="flex flex-wrap gap-1" role="group" aria-label="Print scale">
+        {PRINT_SCALES.map((scale) => (
+          <button
+            key={scale}
+            type="button"
+            className={optionClass(settings.scale === scale)}
+            onClick={() => updateSetting('scale', scale)}
+            aria-pressed={settings.scale === scale}
+          >
+            {formatScale(scale)}
+          </button>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-1" role="group" aria-label="Paper">
+        {Object.entries(PAPER_SIZES).map(([id, paper]) => (
+          <button
+            key={id}
+            type="button"
+            className={optionClass(settings.paper === id)}
+            onClick={() => updateSetting('paper', id)}
+            aria-pressed={settings.paper === id}
+          >
+            {paper.label}
+          </button>
+        ))}
+        {PAPER_ORIENTATIONS.map((orientation) => (
+          <button
+            key={orientation}
+            type="button"
+            className={`${optionClass(settings.orientation === orientation)} capitalize`}
+            onClick={() => updateSetting('orientation', orientation)}
+            aria-pressed={settings.orientation === orientation}
+          >
+            {orientation}
+          </button>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-1" role="group" aria-label="Centre the sheet on">
+        <button
+          type="button"
+          className={optionClass(centreOn === 'route' && hasRoute)}
+          onClick={() => setCentreOn('route')}
+          aria-pressed={centreOn === 'route' && hasRoute}
+          disabled={!hasRoute}
+        >
+          Centre on route
+        </button>
+        <button
+          type="button"
+          className={optionClass(centreOn === 'map' || !hasRoute)}
+          onClick={() => setCentreOn('map')}
+          aria-pressed={centreOn === 'map' || !hasRoute}
+        >
+          Centre on map view
+        </button>
+      </div>
+      <p className={themeStyles.layerOptionDescription}>
+        Covers {formatGroundSize(layout.groundWidth)} × {formatGroundSize(layout.groundHeight)} of ground
+        using {tileProvider.label}.
+      </p>
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="button"
+          className={`${themeStyles.panelButton} ${progress ? 'opacity-60 pointer-events-none' : ''}`}
+          onClick={handlePrepare}
+          disabled={Boolean(progress)}
+        >
+          {progress
+            ? `Loading tiles ${progress.done}/${progress.total || '…'}`
+            : sheet
+              ? 'Prepare again'
+              : 'Prepare sheet'}
+        </button>
+        {sheet && (
+          <button type="button" className={themeStyles.panelButton} onClick={() => setIsPrinting(true)}>
+            Print / PDF
+          </button>
+        )}
+      </div>
+      {sheet && (
+        <img
+          src={sheet.url}
+          alt={`Print preview at ${formatScale(settings.scale)}`}
+          className="w-full rounded border border-slate-400 bg-white"
+        />
+      )}
+      {sheet && (
+        <p className={themeStyles.layerOptionDescription}>
+          Print at 100% / actual size (no “fit to page”) so distances measure true at {formatScale(settings.scale)}.
+        </p>
+      )}
+      {notes.map((note) => (
+        <p key={note} role="status" className="text-[11px] font-semibold text-amber-500">
+          {note}
+        </p>
+      ))}
+      {error && (
+        <p role="status" className="text-[11px] font-semibold text-rose-500">
+          {error}
+        </p>
+      )}
+      {isPrinting &&
+        sheet &&
+        createPortal(
+          <div className="map-export-print">
+            <img
+              src={sheet.url}
+              alt=""
+              style={{ width: `${sheet.layout.sheetWidth}mm`, height: `${sheet.layout.sheetHeight}mm` }}
+            />
+            {waypoints.length >= 2 && (
+              <div className="map-export-reverse">
+                <RouteCard />
+              </div>
+            )}
+          </div>,
+          document.body
+        )}
+    </section>
+  );
+};
+
+export default MapExport;
@@ -1,15 +1,56 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import { AttributionControl, MapContainer, Marker, Polyline, TileLayer, useMapEvents, useMap } from 'react-leaflet';
+import {
+  AttributionControl,
+  MapContainer,
+  Marker,
+  Polygon,
+  Polyline,
+  Popup,
+  TileLayer,
+  Tooltip,
+  useMapEvents,
+  useMap
+} from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import { useCheckpoints } from '../hooks/useCheckpoints.js';
+import { useElevation } from '../hooks/useElevation.js';
+import { useGridStore } from '../hooks/useGrid.js';
+import { usePlanLibraryStore } from '../hooks/usePlanLibrary.js';
+import { useRouteProfile } from '../hooks/useRouteProfile.js';
 import {
   buildRouteShareSnapshot,
   decodeRouteShare,
   encodeRouteShare,
-  encodeLocationCode,
-  decodeLocationCode
+  encodeLocationCode
 } from '../utils/routeUtils.js';
+import {
+  COORDINATE_FORMATS,
+  COORDINATE_FORMAT_LABELS,
+  formatPosition,
+  parseLocationInput
+} from '../utils/coordinates.js';
+import CheckpointDetailsForm from './CheckpointDetails.jsx';
+import CoordinateCopyButtons from './CoordinateCopyButtons.jsx';
+import CrosshairReadout, { Crosshair } from './CrosshairReadout.jsx';
+import GridOverlay from './GridOverlay.jsx';
+import MapExport from './MapExport.jsx';
+import {
+  CHECKPOINT_CATEGORIES,
+  CHECKPOINT_CATEGORY_IDS,
+  checkpointGlyphSvg,
+  checkpointLabel,
+  routeCheckpoints
+} from '../utils/checkpoints.js';
+import { steepSegmentPaths } from '../utils/profile.js';
+import {
+  buildTileUrl,
+  latLngToTile,
+  MAX_TILE_FETCH_CONCURRENCY,
+  orderedProviderIds,
+  TILE_CACHE_NAME,
+  tileProviders
+} from '../utils/tiles.js';
 
 const MapDropHandler = ({ onDropItem }) => {
   const map = useMap();
@@ -113,94 +154,8 @@ const ToolbarButton = ({
 
 const defaultPosition = [51.505, 10];
 
-const tileProviders = {
-  street: {
-    id: 'street',
-    label: 'OpenStreetMap Standard',
-    description: 'Balanced street map with global coverage sourced from the OpenStreetMap community.',
-    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
-    attribution:
-      '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-    subdomains: ['a', 'b', 'c'],
-    maxZoom: 19,
-    minZoom: 3,
-    category: 'Streets'
-  },
-  light: {
-    id: 'light',
-    label: 'Carto Light',
-    description: 'Soft grayscale basemap designed for daylight navigation with minimal visual noise.',
-    url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}.png',
-    attribution:
-      '&copy; <a href="https://carto.com/attributions">CARTO</a> | Map data &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-    subdomains: ['a', 'b', 'c', 'd'],
-    maxZoom: 19,
-    minZoom: 3,
-    category: 'Streets'
-  },
-  dark: {
-    id: 'dark',
-    label: 'Carto Dark Matter',
-    description: 'Night-friendly basemap with high contrast roads and landmarks on a deep navy canvas.',
-    url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png',
-    attribution:
-      '&copy; <a href="https://carto.com/attributions">CARTO</a> | Map data &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-    subdomains: ['a', 'b', 'c', 'd'],
-    maxZoom: 19,
-    minZoom: 3,
-    category: 'Streets'
-  },
-  voyager: {
-    id: 'voyager',
-    label: 'Carto Voyager',
-    description: 'Colorful, detail-rich cartography ideal for orientation and wayfinding at multiple zoom levels.',
-    url: 'https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}.png',
-    attribution:
-      '&copy; <a href="https://carto.com/attributions">CARTO</a> | Map data &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-    subdomains: ['a', 'b', 'c', 'd'],
-    maxZoom: 19,
-    minZoom: 3,
-    category: 'Streets'
-  },
-  hot: {
-    id: 'hot',
-    label: 'OSM Humanitarian',
-    description: 'Humanitarian OpenStreetMap Team basemap with emphasis on populated areas and infrastructure.',
-    url: 'https://{s}.tile.openstreetmap.fr/hot/{z}/{x}/{y}.png',
-    attribution:
-      '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors, <a href="https://www.hotosm.org/">Humanitarian OpenStreetMap Team</a>',
-    subdomains: ['a', 'b', 'c'],
-    maxZoom: 19,
-    minZoom: 3,
-    category: 'Streets'
-  },
-  topo: {
-    id: 'topo',
-    label: 'OpenTopoMap',
-    description: 'Topographic map derived from OSM data with contour lines and terrain shading.',
-    url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
-    attribution:
-      'Map data: &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors | SRTM | <a href="https://opentopomap.org">OpenTopoMap</a>',
-    subdomains: ['a', 'b', 'c'],
-    maxZoom: 17,
-    minZoom: 3,
-    category: 'Outdoor'
-  },
-  satellite: {
-    id: 'satellite',
-    label: 'Esri World Imagery',
-    description: 'High-resolution satellite and aerial imagery from Esri and the GIS user community.',
-    url: 'https://services.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
-    attribution:
-      'Imagery &copy; Esri, i-cubed, USDA, USGS, AEX, GeoEye, Getmapping, Aerogrid, IGN, IGP, UPR-EGP, and the GIS User Community',
-    subdomains: [],
-    maxZoom: 19,
-    minZoom: 3,
-    category: 'Imagery'
-  }
-};
-
-const orderedProviderIds = ['street', 'light', 'dark', 'voyager', 'hot', 'topo', 'satellite'];
+const smallPanelButtonClass =
+  'rounded-lg border border-slate-400 px-1.5 py-0.5 text-[10px] font-semibold opacity-80 transition hover:border-sky-400 hover:opacity-100';
 
 const toolbarThemes = {
   light: {
@@ -247,8 +202,6 @@ const toolbarThemes = {
   }
 };
 
-const MAX_TILE_FETCH_CONCURRENCY = 6;
-
 const helpSections = [
   {
     id: 'getting-started',
@@ -257,6 +210,11 @@ const helpSections = [
       'Allow location access, choose a base map that fits the terrain, and tap on the map to place the start and finish markers.',
     points: [
       'Tap the placement tools under the Route tab to add Start, End, or intermediate checkpoints onto the map.',
+      'Tap a checkpoint marker to give it a name, a category icon (control, water, RV, hazard) and a note. These travel with the share code.',
+      'Optimise order in the Route tab reorders three or more checkpoints for the shortest straight-line route between start and end, and shows the saving before you apply it.',
+      'Switch the event to Score to give each control points, set a time limit and walking speed, and let Plan best course pick which controls to visit. The Compass tab then keeps your score and time left.',
+      'With live GPS, reaching the arrival radius of the selected target (set in the Route tab; fixes less accurate than the radius are ignored) marks it reached, buzzes the phone and points the compass at the next checkpoint.',
+      'Undo and Redo in the Route tab (Ctrl+Z / Ctrl+Shift+Z on a keyboard) step back through route edits, including accidental drags and Clear.',
       'Switch between the light and night toolbar themes for readability in different lighting conditions.'
     ]
   },
@@ -268,7 +226,8 @@ const helpSections = [
     points: [
       'Menu toggles the quick actions panel where you can jump to Compass, Route, or Grid tools.',
       'Compass opens the heading overlay showing bearings to your selected checkpoint.',
-      'Route leads to the checkpoint manager where you can add or remove checkpoints.'
+      'Route leads to the checkpoint manager where you can add or remove checkpoints, and to your saved plans. Imported share codes open as a new plan.',
+      'Crosshair reads the grid reference, lat/lng and location code at the map centre as you pan, and can drop a start, checkpoint or end there.'
     ]
   },
   {
@@ -280,37 +239,12 @@ const helpSections = [
       'OpenStreetMap Street is the fallback layer and works reliably online or with low mobile reception.',
       'Carto Light or Dark provide high-contrast styling that is easier to read in bright sun or at night.',
       'OpenTopoMap is ideal for land navigation where contours and terrain shading matter.',
-      'Esri Satellite is ideal when you need to see real details, but is heavy on mobile data.'
+      'Esri Satellite is ideal when you need to see real details, but is heavy on mobile data.',
+      'Turn on the grid overlay in Settings to read grid references straight off the screen. It is remembered for each base map.'
     ]
   }
 ];
 
-const latLngToTile = (lat, lng, zoom) => {
-  const latRad = (lat * Math.PI) / 180;
-  const scale = 2 ** zoom;
-  const x = Math.floor(((lng + 180) / 360) * scale);
-  const y = Math.floor(
-    ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * scale
-  );
-  const maxIndex = scale - 1;
-  return {
-    x: Math.min(Math.max(x, 0), maxIndex),
-    y: Math.min(Math.max(y, 0), maxIndex),
-    z: zoom
-  };
-};
-
-const buildTileUrl = (template, subdomains, { x, y, z }) => {
-  const domainPool = Array.isArray(subdomains) && subdomains.length > 0 ? subdomains : [''];
-  const index = Math.abs((x + y) % domainPool.length);
-  const subdomain = domainPool[index];
-  return template
-    .replace('{s}', subdomain)
-    .replace('{x}', x)
-    .replace('{y}', y)
-    .replace('{z}', z);
-};
-
 const createIcon = (color, label) =>
   L.divIcon({
     className: 'flex items-center justify-center rounded-full text-xs font-semibold text-white shadow-lg shadow-slate-900/50',
@@ -321,6 +255,9 @@ const startIcon = createIcon('#22c55e', 'S');
 const endIcon = createIcon('#ef4444', 'F');
 const checkpointIcon = createIcon('#3b82f6', '•');
 const previewIcon = createIcon('#d946ef', '•');
+const categoryIcons = Object.fromEntries(
+  CHECKPOINT_CATEGORY_IDS.map((id) => [id, createIcon(CHECKPOINT_CATEGORIES[id].color, checkpointGlyphSvg(id))])
+);
 
 const createUserIcon = (heading) =>
   L.divIcon({
@@ -337,6 +274,12 @@ const createUserIcon = (heading) =>
     iconAnchor: [22, 22]
   });
 
+const gridPickLabels = {
+  calibration: 'Grid calibration point',
+  resection: 'Resection feature',
+  intersection: 'Intersection station'
+};
+
 const PlacementHandler = () => {
   const {
     placementMode,
@@ -345,6 +288,7 @@ const PlacementHandler = () => {
     addCheckpoint,
     setPlacementMode
   } = useCheckpoints();
+  const setMapPick = useGridStore((state) => state.setMapPick);
 
   useMapEvents({
     click: (event) => {
@@ -363,6 +307,8 @@ const PlacementHandler = () => {
         const insertIndex =
           typeof mode.insertIndex === 'number' ? mode.insertIndex : undefined;
         addCheckpoint({ lat: latlng.lat, lng: latlng.lng }, insertIndex);
+      } else if (mode.type === 'gridPick') {
+        setMapPick(mode.purpose, { lat: latlng.lat, lng: latlng.lng });
       }
       setPlacementMode(null);
     }
@@ -371,6 +317,20 @@ const PlacementHandler = () => {
   return null;
 };
 
+const MapCentreTracker = ({ onChange }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    onChange(map.getCenter());
+  }, [map, onChange]);
+
+  useMapEvents({
+    move: () => onChange(map.getCenter())
+  });
+
+  return null;
+};
+
 const MapView = ({
   userLocation,
   userHeading,
@@ -397,12 +357,13 @@ const MapView = ({
     end,
     checkpoints,
     connectVia,
+    eventMode,
     selectedId,
     selectCheckpoint,
     updateCheckpoint,
+    updateCheckpointDetails,
     setPlacementMode,
     toggleConnectMode,
-    loadRouteSnapshot,
     placementMode,
     setStart,
     setEnd,
@@ -423,6 +384,8 @@ const MapView = ({
   const [shareCalloutValue, setShareCalloutValue] = useState('');
   const [shareCalloutTarget, setShareCalloutTarget] = useState('checkpoint');
   const [shareCalloutStatus, setShareCalloutStatus] = useState(null);
+  const [isCrosshairOn, setIsCrosshairOn] = useState(false);
+  const [crosshairCentre, setCrosshairCentre] = useState(null);
   const cacheStatusTimeoutRef = useRef(null);
   const tileFailureRef = useRef(0);
   const latestUserLocationRef = useRef(null);
@@ -430,8 +393,41 @@ const MapView = ({
   const shareCopyTimeoutRef = useRef(null);
   const shareImportTimeoutRef = useRef(null);
   const shareCalloutTimeoutRef = useRef(null);
+  const gridSystem = useGridStore((state) => state.system);
+  const gridOrigin = useGridStore((state) => state.origin);
+  const gridOriginReference = useGridStore((state) => state.originReference);
+  const gridCalibration = useGridStore((state) => state.calibration);
+  const coordinateFormat = useGridStore((state) => state.coordinateFormat);
+  const importSharedRoute = usePlanLibraryStore((state) => state.importSharedRoute);
+  const {
+    models: elevationModels,
+    isImporting: isImportingElevation,
+    error: elevationError,
+    importFiles: importElevationFiles,
+    removeModel: removeElevationModel
+  } = useElevation();
+  const elevationInputRef = useRef(null);
+  const setCoordinateFormat = useGridStore((state) => state.setCoordinateFormat);
+  const gridOverlayLayers = useGridStore((state) => state.gridOverlayLayers);
+  const setGridOverlay = useGridStore((state) => state.setGridOverlay);
+  const gridContext = useMemo(
+    () => ({
+      system: gridSystem,
+      origin: gridOrigin,
+      originReference: gridOriginReference,
+      calibration: gridCalibration
+    }),
+    [gridCalibration, gridOrigin, gridOriginReference, gridSystem]
+  );
 
   const tileProvider = tileProviders[baseLayer] ?? tileProviders.street;
+  const showGridOverlay = Boolean(gridOverlayLayers[tileProvider.id]);
+  const canDrawGrid = gridSystem !== 'local' || Boolean(gridCalibration || (gridOrigin && gridOriginReference));
+  // Dark and imagery layers need a light grid to stay readable.
+  const gridOverlayStyle =
+    tileProvider.id === 'dark' || tileProvider.id === 'satellite'
+      ? { color: '#fde047', halo: '#0f172a' }
+      : { color: '#1d4ed8', halo: '#ffffff' };
   const themeStyles = toolbarThemes[toolbarTheme] ?? toolbarThemes.light;
   const mapThemeClass = toolbarTheme === 'dark' ? 'map-theme-dark' : 'map-theme-light';
   const mapCenter = userLocation ? [userLocation.lat, userLocation.lng] : defaultPosition;
@@ -500,7 +496,7 @@ const MapView = ({
     shareSnapshot.checkpoints.forEach((checkpoint, index) => {
       codes.push({
         key: `checkpoint-${index}`,
-        label: `Checkpoint ${index + 1}`,
+        label: checkpointLabel(checkpoint, index),
         code: encodeLocationCode(checkpoint),
         position: checkpoint
       });
@@ -516,10 +512,10 @@ const MapView = ({
     return codes.filter((entry) => Boolean(entry.code));
   }, [shareSnapshot]);
 
-  const formatLocation = useCallback((position) => {
-    if (!position) return '';
-    return `${position.lat.toFixed(4)}, ${position.lng.toFixed(4)}`;
-  }, []);
+  const formatLocation = useCallback(
+    (position) => formatPosition(position, coordinateFormat),
+    [coordinateFormat]
+  );
 
   const getFeedbackToneClass = useCallback((tone) => {
     if (tone === 'success') return 'text-emerald-500';
@@ -618,14 +614,14 @@ const MapView = ({
       return;
     }
 
-    loadRouteSnapshot(snapshot);
+    importSharedRoute(snapshot);
     setShareImportValue('');
     showShareImportFeedback(
       'success',
-      'Route imported. Close this panel to review it on the map.',
+      'Route imported as a new plan. Close this panel to review it on the map.',
       4000
     );
-  }, [loadRouteSnapshot, shareImportValue, showShareImportFeedback]);
+  }, [importSharedRoute, shareImportValue, showShareImportFeedback]);
 
   const handleShareImportChange = useCallback(
     (event) => {
@@ -681,6 +677,7 @@ const MapView = ({
     if (!mode?.type) return null;
     if (mode.type === 'start') return 'Start point';
     if (mode.type === 'end') return 'End point';
+    if (mode.type === 'gridPick') return gridPickLabels[mode.purpose] ?? 'Grid point';
     if (mode.type === 'checkpoint') {
       if (typeof mode.insertIndex === 'number') {
         return `Checkpoint (position ${mode.insertIndex + 1})`;
@@ -911,6 +908,20 @@ const MapView = ({
     [setShareCalloutStatus, shareCalloutTimeoutRef]
   );
 
+  const getMapCentre = useCallback(() => {
+    const centre = mapRef.current?.getCenter();
+    return centre ? { lat: centre.lat, lng: centre.lng } : null;
+  }, []);
+
+  const handleElevationFiles = useCallback(
+    async (event) => {
+      const { files } = event.target;
+      await importElevationFiles(files);
+      event.target.value = '';
+    },
+    [importElevationFiles]
+  );
+
   const handlePrefetchTiles = useCallback(async () => {
     if (!isMapReady || !mapRef.current) {
       showCacheStatus('Map not ready yet.', 'warning');
@@ -977,7 +988,7 @@ const MapView = ({
     try {
       setIsCaching(true);
       showCacheStatus('Caching satellite tiles nearby…', 'info', null);
-      const cache = await caches.open('cadet-map-tile-cache');
+      const cache = await caches.open(TILE_CACHE_NAME);
       let successCount = 0;
       const errors = [];
 
@@ -1107,8 +1118,7 @@ const MapView = ({
   );
 
   const handleShareCalloutChange = useCallback((event) => {
-    const nextValue = event.target.value.replace(/\s+/g, '').toLowerCase();
-    setShareCalloutValue(nextValue);
+    setShareCalloutValue(event.target.value);
     setShareCalloutStatus(null);
     if (shareCalloutTimeoutRef.current && typeof window !== 'undefined') {
       window.clearTimeout(shareCalloutTimeoutRef.current);
@@ -1120,36 +1130,69 @@ const MapView = ({
     setShareCalloutTarget(event.target.value);
   }, []);
 
+  const parsedCallout = useMemo(() => {
+    if (!shareCalloutValue.trim()) return null;
+    try {
+      return { result: parseLocationInput(shareCalloutValue, gridContext) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [gridContext, shareCalloutValue]);
+
+  const handleGoToCallout = useCallback(() => {
+    const position = parsedCallout?.result?.position;
+    if (!position || !mapRef.current) return;
+    mapRef.current.flyTo([position.lat, position.lng], Math.max(mapRef.current.getZoom(), 15), {
+      animate: true
+    });
+  }, [parsedCallout]);
+
   const handleApplyCallout = useCallback(() => {
-    const trimmed = shareCalloutValue.trim().toLowerCase();
-    if (!trimmed) {
-      showShareCalloutFeedback('warning', 'Enter a callout code to place it.');
+    if (!shareCalloutValue.trim()) {
+      showShareCalloutFeedback('warning', 'Enter a location or code to place it.');
       return;
     }
-    if (trimmed.length < 4 || trimmed.length > 12) {
-      showShareCalloutFeedback('error', 'Callouts should be between 4 and 12 characters.');
+    if (!parsedCallout?.result) {
+      showShareCalloutFeedback('error', parsedCallout?.error ?? 'That location could not be read.', 4000);
       return;
     }
 
-    const position = decodeLocationCode(trimmed);
-    if (!position) {
-      showShareCalloutFeedback('error', 'That code could not be decoded. Double-check the letters.');
-      return;
-    }
-
-    if (shareCalloutTarget === 'start') {
+    const { kind, position, snapshot } = parsedCallout.result;
+    if (kind === 'route') {
+      importSharedRoute(snapshot);
+      showShareCalloutFeedback('success', 'Route imported from share code as a new plan.', 3000);
+    } else if (shareCalloutTarget === 'start') {
       setStart(position);
-      showShareCalloutFeedback('success', 'Start marker updated from callout.', 3000);
+      showShareCalloutFeedback('success', 'Start marker placed.', 3000);
     } else if (shareCalloutTarget === 'end') {
       setEnd(position);
-      showShareCalloutFeedback('success', 'End marker updated from callout.', 3000);
+      showShareCalloutFeedback('success', 'Finish marker placed.', 3000);
     } else {
       addCheckpoint(position);
-      showShareCalloutFeedback('success', 'Checkpoint added from callout.', 3000);
+      showShareCalloutFeedback('success', 'Checkpoint added.', 3000);
     }
 
     setShareCalloutValue('');
-  }, [addCheckpoint, decodeLocationCode, setEnd, setStart, shareCalloutTarget, shareCalloutValue, showShareCalloutFeedback]);
+  }, [
+    addCheckpoint,
+    importSharedRoute,
+    parsedCallout,
+    setEnd,
+    setStart,
+    shareCalloutTarget,
+    shareCalloutValue,
+    showShareCalloutFeedback
+  ]);
+
+  const handleShareCalloutKeyDown = useCallback(
+    (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        handleApplyCallout();
+      }
+    },
+    [handleApplyCallout]
+  );
 
   const settingsToggleClass = useMemo(
     () =>
@@ -1181,15 +1224,18 @@ const MapView = ({
     [settingsView, themeStyles.panelToggle]
   );
 
+  const { profile: routeProfile } = useRouteProfile();
+  const steepPaths = useMemo(() => steepSegmentPaths(routeProfile), [routeProfile]);
+
   const directPath = useMemo(() => {
     const path = [];
     if (start) path.push([start.position.lat, start.position.lng]);
-    checkpoints.forEach((checkpoint) => {
+    routeCheckpoints(checkpoints, eventMode).forEach((checkpoint) => {
       path.push([checkpoint.position.lat, checkpoint.position.lng]);
     });
     if (end) path.push([end.position.lat, end.position.lng]);
     return path;
-  }, [start, checkpoints, end]);
+  }, [start, checkpoints, end, eventMode]);
 
   return (
     <div className="relative h-full w-full flex-1">
@@ -1217,6 +1263,8 @@ const MapView = ({
           eventHandlers={tileEventHandlers}
         />
         <PlacementHandler />
+        {isCrosshairOn && <MapCentreTracker onChange={setCrosshairCentre} />}
+        {showGridOverlay && canDrawGrid && <GridOverlay {...gridContext} {...gridOverlayStyle} />}
 
         {userLocation && (
           <Marker
@@ -1238,7 +1286,11 @@ const MapView = ({
                 setStart({ lat, lng });
               }
             }}
-          />
+          >
+            <Tooltip direction="top" offset={[0, -16]}>
+              Start
+            </Tooltip>
+          </Marker>
         )}
 
         {end && (
@@ -1253,14 +1305,18 @@ const MapView = ({
                 setEnd({ lat, lng });
               }
             }}
-          />
+          >
+            <Tooltip direction="top" offset={[0, -16]}>
+              Finish
+            </Tooltip>
+          </Marker>
         )}
 
-        {checkpoints.map((checkpoint) => (
+        {checkpoints.map((checkpoint, index) => (
           <Marker
             key={checkpoint.id}
             position={[checkpoint.position.lat, checkpoint.position.lng]}
-            icon={checkpointIcon}
+            icon={categoryIcons[checkpoint.category] ?? checkpointIcon}
             draggable
             eventHandlers={{
               click: () => selectCheckpoint(checkpoint.id),
@@ -1269,7 +1325,24 @@ const MapView = ({
                 updateCheckpoint(checkpoint.id, { lat, lng });
               }
             }}
-          />
+          >
+            <Tooltip direction="top" offset={[0, -16]}>
+              <span className="font-semibold">{checkpointLabel(checkpoint, index)}</span>
+              {checkpoint.category && ` · ${CHECKPOINT_CATEGORIES[checkpoint.category].label}`}
+              {checkpoint.note && <span className="block max-w-[14rem] whitespace-normal">{checkpoint.note}</span>}
+            </Tooltip>
+            <Popup>
+              <CheckpointDetailsForm
+                key={`${checkpoint.name}|${checkpoint.note}|${checkpoint.category}`}
+                checkpoint={checkpoint}
+                fallbackLabel={`Checkpoint ${index + 1}`}
+                onSave={(details) => {
+                  updateCheckpointDetails(checkpoint.id, details);
+                  mapRef.current?.closePopup();
+                }}
+              />
+            </Popup>
+          </Marker>
         ))}
 
         {previewLocation?.position && (
@@ -1288,6 +1361,40 @@ const MapView = ({
                 pathOptions={{ color: '#d946ef', weight: 3, dashArray: '5 5', opacity: 0.6 }}
               />
             )}
+            {previewLocation.rays?.map(([from, to], index) => (
+              <Polyline
+                key={`preview-ray-${index}`}
+                positions={[
+                  [from.lat, from.lng],
+                  [to.lat, to.lng]
+                ]}
+                pathOptions={{ color: '#f59e0b', weight: 2, dashArray: '4 6', opacity: 0.7 }}
+              />
+            ))}
+            {previewLocation.path && (
+              <Polyline
+                positions={previewLocation.path.map((point) => [point.lat, point.lng])}
+                pathOptions={{ color: '#d946ef', weight: 3, opacity: 0.8 }}
+              />
+            )}
+            {previewLocation.ellipse && (
+              <Polygon
+                positions={previewLocation.ellipse.map((point) => [point.lat, point.lng])}
+                pathOptions={{ color: '#f59e0b', weight: 1, dashArray: '3 4', fillOpacity: 0.15, opacity: 0.8 }}
+              />
+            )}
+            {previewLocation.triangle && (
+              <Polygon
+                positions={previewLocation.triangle.map((corner) => [corner.lat, corner.lng])}
+                pathOptions={{ color: '#f59e0b', weight: 2, fillOpacity: 0.25, opacity: 0.9 }}
+              />
+            )}
+            {previewLocation.square && (
+              <Polygon
+                positions={previewLocation.square.map((corner) => [corner.lat, corner.lng])}
+                pathOptions={{ color: '#d946ef', weight: 2, fillOpacity: 0.08, opacity: 0.7 }}
+              />
+            )}
           </>
         )}
 
@@ -1305,6 +1412,16 @@ const MapView = ({
           />
         )}
 
+        {steepPaths.map((segment, index) =>
+          segment.positions.length >= 2 ? (
+            <Polyline
+              key={`steep-${index}`}
+              positions={segment.positions}
+              pathOptions={{ color: '#e11d48', weight: 6, opacity: 0.85 }}
+            />
+          ) : null
+        )}
+
         {userLocation &&
           targets
             .filter((target) => target.position)
@@ -1363,6 +1480,14 @@ const MapView = ({
             title="Open route tools"
             themeStyles={themeStyles}
           />
+          <ToolbarButton
+            iconName="crosshair"
+            label="Crosshair"
+            onClick={() => setIsCrosshairOn((current) => !current)}
+            title="Read the grid reference at the map centre"
+            isActive={isCrosshairOn}
+            themeStyles={themeStyles}
+          />
           <ToolbarButton
             iconName="settings"
             label="Settings"
@@ -1379,6 +1504,18 @@ const MapView = ({
         )}
       </div>
 
+      {isCrosshairOn && (
+        <>
+          <Crosshair />
+          <CrosshairReadout
+            position={crosshairCentre}
+            userLocation={userLocation}
+            themeStyles={themeStyles}
+            onClose={() => setIsCrosshairOn(false)}
+          />
+        </>
+      )}
+
       {/* Bottom-left floating button (viewport anchored) */}
       <div
         className="pointer-events-none absolute z-[990] flex flex-col items-start gap-3"
@@ -1570,44 +1707,64 @@ const MapView = ({
                   </section>
                   <section className={`${themeStyles.layerOption} flex flex-col gap-2`}>
                     <div>
-                      <p className="text-[12px] font-semibold leading-tight">Plot callout</p>
+                      <p className="text-[12px] font-semibold leading-tight">Go to / place</p>
                       <p className={themeStyles.layerOptionDescription}>
-                        Drop a shared geohash onto the map as a start, checkpoint, or finish marker.
+                        Paste a grid reference, lat/lng (decimal or degrees and minutes), location code or
+                        route share code.
                       </p>
                     </div>
                     <input
                       type="text"
-                      className={`${shareInputClass} w-full rounded-xl px-3 py-2 text-[11px] uppercase tracking-wide`}
+                      className={`${shareInputClass} w-full rounded-xl px-3 py-2 text-[11px]`}
                       value={shareCalloutValue}
                       onChange={handleShareCalloutChange}
-                      placeholder="e.g. u4pruydqq"
+                      onKeyDown={handleShareCalloutKeyDown}
+                      placeholder="e.g. SU 1234 5678, 51.5074 -0.1278, u4pruydqq"
                       spellCheck={false}
-                      aria-label="Enter a location callout code"
+                      aria-label="Enter a location or code"
                     />
-                    <div className="flex items-center gap-2">
-                      <label htmlFor="callout-target" className="text-[11px] font-semibold opacity-70">
-                        Place as
-                      </label>
-                      <select
-                        id="callout-target"
-                        className={`${shareInputClass} w-full rounded-xl px-3 py-2 text-[11px]`}
-                        value={shareCalloutTarget}
-                        onChange={handleShareCalloutTargetChange}
+                    {parsedCallout && (
+                      <p
+                        className={`text-[11px] ${
+                          parsedCallout.result ? 'opacity-70' : getFeedbackToneClass('warning')
+                        }`}
                       >
-                        <option value="checkpoint">Checkpoint</option>
-                        <option value="start">Start</option>
-                        <option value="end">Finish</option>
-                      </select>
-                    </div>
-                    <div className="flex items-center justify-between gap-2">
+                        {parsedCallout.result
+                          ? `Understood as: ${parsedCallout.result.description}`
+                          : parsedCallout.error}
+                      </p>
+                    )}
+                    {parsedCallout?.result?.kind !== 'route' && (
+                      <div className="flex items-center gap-2">
+                        <label htmlFor="callout-target" className="text-[11px] font-semibold opacity-70">
+                          Place as
+                        </label>
+                        <select
+                          id="callout-target"
+                          className={`${shareInputClass} w-full rounded-xl px-3 py-2 text-[11px]`}
+                          value={shareCalloutTarget}
+                          onChange={handleShareCalloutTargetChange}
+                        >
+                          <option value="checkpoint">Checkpoint</option>
+                          <option value="start">Start</option>
+                          <option value="end">Finish</option>
+                        </select>
+                      </div>
+                    )}
+                    <div className="flex flex-wrap items-center gap-2">
                       <button
                         type="button"
-                        className={`${themeStyles.panelButton} ${shareCalloutValue.trim() ? '' : 'pointer-events-none opacity-50'}`}
+                        className={`${themeStyles.panelButton} ${parsedCallout?.result ? '' : 'pointer-events-none opacity-50'}`}
                         onClick={handleApplyCallout}
-                        disabled={!shareCalloutValue.trim()}
+                        disabled={!parsedCallout?.result}
                       >
-                        Place callout
+                        {parsedCallout?.result?.kind === 'route' ? 'Load route' : 'Place'}
                       </button>
+                      {parsedCallout?.result?.position && (
+                        <button type="button" className={themeStyles.panelButton} onClick={handleGoToCallout}>
+                          Go to
+                        </button>
+                      )}
                       {shareCalloutStatus && (
                         <span
                           role="status"
@@ -1635,6 +1792,11 @@ const MapView = ({
                             </span>
                             <span>{entry.code}</span>
                             <span className="opacity-60">{formatLocation(entry.position)}</span>
+                            <CoordinateCopyButtons
+                              position={entry.position}
+                              className="mt-1 font-sans"
+                              buttonClassName={smallPanelButtonClass}
+                            />
                           </li>
                         ))}
                       </ul>
@@ -1653,6 +1815,48 @@ const MapView = ({
                       {toolbarTheme === 'light' ? 'Light' : 'Night'}
                     </button>
                   </div>
+                  <div className="flex items-center justify-between gap-3">
+                    <div>
+                      <span className="font-medium">Coordinates</span>
+                      <p className="text-[11px] opacity-70">Lat/lng display and copy format</p>
+                    </div>
+                    <div className="flex gap-1" role="group" aria-label="Coordinate format">
+                      {COORDINATE_FORMATS.map((format) => (
+                        <button
+                          key={format}
+                          type="button"
+                          className={`${themeStyles.panelToggle} px-2 ${
+                            coordinateFormat === format
+                              ? 'ring-1 ring-sky-400 text-sky-500 border-sky-400'
+                              : 'opacity-80 hover:opacity-100'
+                          }`}
+                          onClick={() => setCoordinateFormat(format)}
+                          aria-pressed={coordinateFormat === format}
+                        >
+                          {COORDINATE_FORMAT_LABELS[format]}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <div className="flex items-center justify-between gap-3">
+                    <div>
+                      <span className="font-medium">Grid overlay</span>
+                      <p className="text-[11px] opacity-70">
+                        {canDrawGrid
+                          ? `Grid lines on ${tileProvider.label}; spacing follows the zoom`
+                          : 'Set a grid origin or calibration in Grid tools first'}
+                      </p>
+                    </div>
+                    <button
+                      type="button"
+                      className={`${themeStyles.panelToggle} ${canDrawGrid ? '' : 'opacity-60 pointer-events-none'}`}
+                      onClick={() => setGridOverlay(tileProvider.id, !showGridOverlay)}
+                      aria-pressed={showGridOverlay}
+                      disabled={!canDrawGrid}
+                    >
+                      {showGridOverlay ? 'On' : 'Off'}
+                    </button>
+                  </div>
                   <div>
                     <span className="font-medium">Map layers</span>
                     <p className="text-[11px] opacity-70">Choose the basemap that suits your mission.</p>
@@ -1697,6 +1901,67 @@ const MapView = ({
                       {cacheButtonLabel}
                     </button>
                   </div>
+                  <section className={`${themeStyles.layerOption} flex flex-col gap-2`}>
+                    <div className="flex items-start justify-between gap-2">
+                      <div>
+                        <p className="text-[12px] font-semibold leading-tight">Elevation data</p>
+                        <p className={themeStyles.layerOptionDescription}>
+                          Import SRTM .hgt tiles or lat/lng GeoTIFFs. They are stored on this device and
+                          work offline.
+                        </p>
+                      </div>
+                      <button
+                        type="button"
+                        className={`${themeStyles.panelButton} ${isImportingElevation ? 'opacity-60 pointer-events-none' : ''}`}
+                        onClick={() => elevationInputRef.current?.click()}
+                        disabled={isImportingElevation}
+                      >
+                        {isImportingElevation ? 'Importing…' : 'Import'}
+                      </button>
+                      <input
+                        ref={elevationInputRef}
+                        type="file"
+                        accept=".hgt,.tif,.tiff"
+                        multiple
+                        className="hidden"
+                        onChange={handleElevationFiles}
+                      />
+                    </div>
+                    {elevationModels.length > 0 && (
+                      <ul className="flex flex-col gap-1 text-[11px]">
+                        {elevationModels.map((model) => (
+                          <li key={model.id} className="flex items-center justify-between gap-2">
+                            <div className="min-w-0">
+                              <p className="truncate font-semibold">{model.name}</p>
+                              <p className="opacity-60">
+                                {model.bounds.south.toFixed(2)}…{model.bounds.north.toFixed(2)}°,{' '}
+                                {model.bounds.west.toFixed(2)}…{model.bounds.east.toFixed(2)}° · ≈
+                                {Math.round(model.cellHeight * 111320)}&nbsp;m cells
+                              </p>
+                            </div>
+                            <button
+                              type="button"
+                              className={smallPanelButtonClass}
+                              onClick={() => removeElevationModel(model.id)}
+                              aria-label={`Remove ${model.name}`}
+                            >
+                              Remove
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {elevationError && (
+                      <p role="status" className={`text-[11px] font-semibold ${getFeedbackToneClass('error')}`}>
+                        {elevationError}
+                      </p>
+                    )}
+                  </section>
+                  <MapExport
+                    themeStyles={themeStyles}
+                    tileProvider={tileProvider}
+                    getMapCentre={getMapCentre}
+                  />
                   <section className={`${themeStyles.layerOption} flex flex-col gap-2`}>
                     <div className="flex items-start justify-between gap-2">
                       <div>
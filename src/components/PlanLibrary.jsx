@@ -0,0 +1,181 @@
+import { useMemo, useState } from 'react';
+import { DEFAULT_PLAN_NAME, usePlanLibrary } from '../hooks/usePlanLibrary.js';
+
+const buttonClass =
+  'rounded border border-slate-700 px-2 py-1 text-[11px] font-medium text-slate-200 transition hover:border-sky-500 hover:bg-slate-800';
+
+const inputClass =
+  'min-w-0 flex-1 rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none';
+
+const formatUpdated = (timestamp) => {
+  if (!timestamp) return 'unknown';
+  const date = new Date(timestamp);
+  const isToday = date.toDateString() === new Date().toDateString();
+  return isToday
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString();
+};
+
+const describeRoute = (route) => {
+  const count = Array.isArray(route?.checkpoints) ? route.checkpoints.length : 0;
+  const parts = [];
+  if (route?.start) parts.push('start');
+  parts.push(`${count} checkpoint${count === 1 ? '' : 's'}`);
+  if (route?.end) parts.push('end');
+  return parts.join(', ');
+};
+
+const PlanLibrary = () => {
+  const {
+    plans,
+    activePlanId,
+    newPlan,
+    savePlanAs,
+    duplicatePlan,
+    renamePlan,
+    updatePlanNotes,
+    switchPlan,
+    deletePlan
+  } = usePlanLibrary();
+  const [nameDraft, setNameDraft] = useState('');
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameDraft, setRenameDraft] = useState('');
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+
+  const sortedPlans = useMemo(() => [...plans].sort((a, b) => b.updatedAt - a.updatedAt), [plans]);
+  const activePlan = plans.find((plan) => plan.id === activePlanId) ?? null;
+
+  const handleCreate = (create) => () => {
+    create(nameDraft);
+    setNameDraft('');
+  };
+
+  const startRename = (plan) => {
+    setRenamingId(plan.id);
+    setRenameDraft(plan.name);
+    setConfirmDeleteId(null);
+  };
+
+  const commitRename = () => {
+    if (renamingId) renamePlan(renamingId, renameDraft);
+    setRenamingId(null);
+  };
+
+  const handleRenameKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      commitRename();
+    } else if (event.key === 'Escape') {
+      setRenamingId(null);
+    }
+  };
+
+  const handleDelete = (id) => {
+    if (confirmDeleteId !== id) {
+      setConfirmDeleteId(id);
+      return;
+    }
+    deletePlan(id);
+    setConfirmDeleteId(null);
+  };
+
+  return (
+    <div className="mb-3 flex flex-col gap-2 rounded-xl bg-slate-900 p-4 text-xs text-slate-200 shadow-lg shadow-slate-950">
+      <div className="flex items-baseline justify-between gap-2">
+        <h2 className="text-base font-semibold text-sky-200">Plans</h2>
+        {activePlan && (
+          <p className="truncate text-[11px] text-slate-400">
+            Open: <span className="font-semibold text-slate-200">{activePlan.name}</span>
+          </p>
+        )}
+      </div>
+      <p className="text-[11px] text-slate-400">
+        Changes to the route and grid save to the open plan as you work.
+      </p>
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          className={inputClass}
+          value={nameDraft}
+          onChange={(event) => setNameDraft(event.target.value)}
+          placeholder={DEFAULT_PLAN_NAME}
+          aria-label="Plan name"
+        />
+        <button type="button" className={buttonClass} onClick={handleCreate(savePlanAs)}>
+          Save as
+        </button>
+        <button type="button" className={buttonClass} onClick={handleCreate(newPlan)}>
+          New
+        </button>
+      </div>
+
+      {activePlan && (
+        <label className="flex flex-col gap-1">
+          <span className="text-[10px] uppercase tracking-wide text-slate-400">Notes</span>
+          <textarea
+            className="min-h-[3.5rem] rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
+            value={activePlan.notes}
+            onChange={(event) => updatePlanNotes(activePlan.id, event.target.value)}
+            placeholder="Kit, timings, meeting point…"
+          />
+        </label>
+      )}
+
+      <ul className="space-y-1">
+        {sortedPlans.map((plan) => {
+          const isActive = plan.id === activePlanId;
+          return (
+            <li
+              key={plan.id}
+              className={`rounded-md border px-2 py-1.5 ${
+                isActive ? 'border-sky-500 bg-sky-900/40' : 'border-slate-800 bg-slate-950'
+              }`}
+            >
+              {renamingId === plan.id ? (
+                <input
+                  type="text"
+                  className={`${inputClass} w-full`}
+                  value={renameDraft}
+                  onChange={(event) => setRenameDraft(event.target.value)}
+                  onBlur={commitRename}
+                  onKeyDown={handleRenameKeyDown}
+                  aria-label="New plan name"
+                  autoFocus
+                />
+              ) : (
+                <div className="flex items-baseline justify-between gap-2">
+                  <span className="truncate font-semibold">{plan.name}</span>
+                  <span className="shrink-0 text-[10px] text-slate-500">{formatUpdated(plan.updatedAt)}</span>
+                </div>
+              )}
+              <p className="text-[10px] text-slate-400">{describeRoute(plan.route)}</p>
+              <div className="mt-1 flex flex-wrap gap-1">
+                {!isActive && (
+                  <button type="button" className={buttonClass} onClick={() => switchPlan(plan.id)}>
+                    Open
+                  </button>
+                )}
+                <button type="button" className={buttonClass} onClick={() => startRename(plan)}>
+                  Rename
+                </button>
+                <button type="button" className={buttonClass} onClick={() => duplicatePlan(plan.id)}>
+                  Duplicate
+                </button>
+                <button
+                  type="button"
+                  className={`${buttonClass} ${confirmDeleteId === plan.id ? 'border-rose-500 text-rose-300' : ''}`}
+                  onClick={() => handleDelete(plan.id)}
+                >
+                  {confirmDeleteId === plan.id ? 'Confirm delete' : 'Delete'}
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default PlanLibrary;
@@ -0,0 +1,200 @@
+import { useMemo } from 'react';
+import { useElevation } from '../hooks/useElevation.js';
+import { useGrid } from '../hooks/useGrid.js';
+import { useRouteCardSettings } from '../hooks/useRouteCardSettings.js';
+import { useRouteProfile } from '../hooks/useRouteProfile.js';
+import { describeGridReference } from '../utils/grid.js';
+import {
+  buildRouteCard,
+  formatCardBearing,
+  formatCardMils,
+  formatDuration,
+  routeCardToCsv,
+  TIME_METHODS,
+  TIME_METHOD_LABELS
+} from '../utils/routeCard.js';
+
+const formatDistance = (meters) =>
+  meters >= 1000 ? `${(meters / 1000).toFixed(2)} km` : `${Math.round(meters)} m`;
+
+const formatHeight = (meters) => (meters == null ? '—' : `${Math.round(meters)} m`);
+
+const inputClass =
+  'w-16 rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none';
+
+const RouteCard = () => {
+  const { system, precision, origin, originReference, calibration } = useGrid();
+  const { elevationAt } = useElevation();
+  const { waypoints, profile } = useRouteProfile();
+  const settings = useRouteCardSettings((state) => state.settings);
+  const updateSettings = useRouteCardSettings((state) => state.updateSettings);
+
+  const card = useMemo(
+    () =>
+      buildRouteCard({
+        waypoints,
+        system,
+        calibration,
+        describe: (point) =>
+          describeGridReference({ point, system, precision, origin, originReference, calibration }),
+        profile,
+        elevationAt,
+        settings
+      }),
+    [waypoints, system, precision, origin, originReference, calibration, profile, elevationAt, settings]
+  );
+
+  if (!card) return null;
+
+  const updateSetting = (key) => (event) => {
+    const value = key === 'method' ? event.target.value : Number(event.target.value);
+    updateSettings({ [key]: value });
+  };
+
+  const handleExportCsv = () => {
+    const blob = new Blob([routeCardToCsv(card)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `route-card-${new Date().toISOString().slice(0, 10)}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const methodSummary =
+    card.settings.method === 'tobler'
+      ? `Tobler's hiking function, ${card.settings.speedKmh} km/h on the flat`
+      : `Naismith, ${card.settings.speedKmh} km/h + ${card.settings.climbMinutesPer100m} min per 100 m climb`;
+
+  return (
+    <div className="route-card-print mt-3 rounded-xl border border-slate-800 bg-slate-950 p-3 text-[11px] text-slate-200 print:border-0 print:bg-white print:p-0 print:text-black">
+      <div className="flex items-baseline justify-between gap-2">
+        <p className="text-xs font-semibold uppercase tracking-wide text-sky-300 print:text-base print:text-black">
+          Route card
+        </p>
+        <p className="text-slate-400 print:text-black">
+          {formatDistance(card.totals.distance)} · {formatDuration(card.totals.minutes)}
+        </p>
+      </div>
+
+      <div className="mt-2 flex flex-wrap items-end gap-2 print:hidden">
+        <label className="flex flex-col gap-1">
+          <span className="text-[10px] uppercase tracking-wide text-slate-400">Method</span>
+          <select
+            value={settings.method}
+            onChange={updateSetting('method')}
+            className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
+          >
+            {TIME_METHODS.map((method) => (
+              <option key={method} value={method}>
+                {TIME_METHOD_LABELS[method]}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-[10px] uppercase tracking-wide text-slate-400">Speed km/h</span>
+          <input
+            type="number"
+            min="0.5"
+            step="0.5"
+            value={settings.speedKmh}
+            onChange={updateSetting('speedKmh')}
+            className={inputClass}
+          />
+        </label>
+        {settings.method === 'naismith' && (
+          <label className="flex flex-col gap-1">
+            <span className="text-[10px] uppercase tracking-wide text-slate-400">Min / 100 m up</span>
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={settings.climbMinutesPer100m}
+              onChange={updateSetting('climbMinutesPer100m')}
+              className={inputClass}
+            />
+          </label>
+        )}
+      </div>
+
+      <div className="mt-2 overflow-x-auto">
+        <table className="w-full text-left print:border-collapse print:text-[10pt]">
+          <thead className="text-[10px] uppercase tracking-wide text-slate-500 print:text-black">
+            <tr>
+              <th className="pr-2 font-semibold">Leg</th>
+              <th className="pr-2 font-semibold">From → To</th>
+              <th className="pr-2 font-semibold">Grid brg</th>
+              <th className="pr-2 font-semibold">Dist</th>
+              <th className="pr-2 font-semibold">Gain</th>
+              <th className="pr-2 font-semibold">Time</th>
+              <th className="font-semibold">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {card.legs.map((leg) => (
+              <tr key={leg.index} className="align-top text-slate-300 print:text-black">
+                <td className="pr-2">{leg.index + 1}</td>
+                <td className="pr-2">
+                  <div>
+                    {leg.from} → {leg.to}
+                  </div>
+                  {(leg.fromReference || leg.toReference) && (
+                    <div className="font-mono text-[10px] text-emerald-300 print:text-black">
+                      {leg.fromReference ?? '—'} → {leg.toReference ?? '—'}
+                    </div>
+                  )}
+                </td>
+                <td className="pr-2 font-mono">
+                  {formatCardBearing(leg.gridBearing)}
+                  <div className="text-[10px] text-slate-400 print:text-black">{formatCardMils(leg.gridBearingMils)} mil</div>
+                </td>
+                <td className="pr-2">{formatDistance(leg.distance)}</td>
+                <td className="pr-2">{formatHeight(leg.ascent)}</td>
+                <td className="pr-2">{formatDuration(leg.minutes)}</td>
+                <td>{formatDuration(leg.cumulativeMinutes)}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="font-semibold text-slate-100 print:text-black">
+              <td className="pr-2" colSpan={3}>
+                Total
+              </td>
+              <td className="pr-2">{formatDistance(card.totals.distance)}</td>
+              <td className="pr-2">{card.hasHeights ? formatHeight(card.totals.ascent) : '—'}</td>
+              <td className="pr-2">{formatDuration(card.totals.minutes)}</td>
+              <td />
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+
+      <p className="mt-2 text-slate-500 print:text-black">
+        {methodSummary}.
+        {!card.hasHeights && ' Import elevation data to include height gain.'}
+      </p>
+
+      <div className="mt-2 flex gap-2 print:hidden">
+        <button
+          type="button"
+          className="rounded-md border border-sky-500 px-3 py-1 text-[11px] font-semibold text-sky-200 hover:bg-sky-900"
+          onClick={() => window.print()}
+        >
+          Print / PDF
+        </button>
+        <button
+          type="button"
+          className="rounded-md border border-slate-700 px-3 py-1 text-[11px] font-semibold text-slate-200 hover:border-sky-500 hover:text-sky-200"
+          onClick={handleExportCsv}
+        >
+          Export CSV
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RouteCard;
@@ -0,0 +1,102 @@
+import { useEffect, useState } from 'react';
+import { useCheckpoints } from '../hooks/useCheckpoints.js';
+import { checkpointLabel, controlPoints } from '../utils/checkpoints.js';
+
+const buttonClass =
+  'rounded border border-slate-700 px-2 py-1 text-[11px] font-medium text-slate-200 transition hover:border-sky-500 hover:bg-slate-800';
+
+const formatClock = (milliseconds) => {
+  const totalSeconds = Math.floor(Math.abs(milliseconds) / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${milliseconds < 0 ? '+' : ''}${minutes}:${seconds}`;
+};
+
+// Running total and time left for a score event, shown above the compass while out on the course.
+const ScoreBoard = () => {
+  const {
+    checkpoints,
+    selectedId,
+    scoreSettings,
+    visits,
+    eventStartedAt,
+    startEventClock,
+    resetEventClock,
+    markVisited,
+    clearVisit
+  } = useCheckpoints();
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!eventStartedAt) return undefined;
+    setNow(Date.now());
+    const timer = window.setInterval(() => setNow(Date.now()), 1000);
+    return () => window.clearInterval(timer);
+  }, [eventStartedAt]);
+
+  const score = checkpoints.reduce(
+    (total, checkpoint) => (visits[checkpoint.id] ? total + controlPoints(checkpoint) : total),
+    0
+  );
+  const maxScore = checkpoints.reduce((total, checkpoint) => total + controlPoints(checkpoint), 0);
+  const visitedCount = checkpoints.filter((checkpoint) => visits[checkpoint.id]).length;
+  const remaining = eventStartedAt ? eventStartedAt + scoreSettings.timeLimitMinutes * 60000 - now : null;
+  const isOvertime = remaining != null && remaining < 0;
+
+  const targetIndex = checkpoints.findIndex((checkpoint) => checkpoint.id === selectedId);
+  const target = targetIndex >= 0 ? checkpoints[targetIndex] : null;
+
+  return (
+    <div className="mb-3 rounded-xl border border-amber-500/40 bg-slate-950 p-3 text-xs text-slate-200">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <p className="text-[10px] uppercase tracking-wide text-slate-400">Score</p>
+          <p className="text-2xl font-semibold text-amber-200">
+            {score}
+            <span className="text-sm font-normal text-slate-400"> / {maxScore} pts</span>
+          </p>
+          <p className="text-[11px] text-slate-400">
+            {visitedCount} of {checkpoints.length} controls
+          </p>
+        </div>
+        <div className="text-right">
+          <p className="text-[10px] uppercase tracking-wide text-slate-400">{isOvertime ? 'Overtime' : 'Time left'}</p>
+          <p className={`font-mono text-2xl font-semibold ${isOvertime ? 'text-rose-300' : 'text-sky-200'}`}>
+            {remaining == null ? `${scoreSettings.timeLimitMinutes}:00` : formatClock(remaining)}
+          </p>
+          {eventStartedAt ? (
+            <button type="button" className={buttonClass} onClick={resetEventClock}>
+              Reset
+            </button>
+          ) : (
+            <button type="button" className={buttonClass} onClick={startEventClock}>
+              Start clock
+            </button>
+          )}
+        </div>
+      </div>
+      {target && (
+        <div className="mt-2 flex items-center justify-between gap-2 border-t border-slate-800 pt-2">
+          <span className="truncate">
+            {checkpointLabel(target, targetIndex)} · {controlPoints(target)} pts
+          </span>
+          {visits[target.id] ? (
+            <button type="button" className={buttonClass} onClick={() => clearVisit(target.id)}>
+              Unmark
+            </button>
+          ) : (
+            <button
+              type="button"
+              className={`${buttonClass} border-emerald-500 text-emerald-200`}
+              onClick={() => markVisited(target.id)}
+            >
+              Mark reached
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScoreBoard;
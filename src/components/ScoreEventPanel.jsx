@@ -0,0 +1,190 @@
+import { useEffect, useState } from 'react';
+import { useCheckpoints, useCheckpointsStore } from '../hooks/useCheckpoints.js';
+import { useDeferredTask } from '../hooks/useDeferredTask.js';
+import { controlPoints } from '../utils/checkpoints.js';
+import { planScoreCourse } from '../utils/routeOptimiser.js';
+
+const buttonClass =
+  'rounded border border-slate-700 px-2 py-1 text-[11px] font-medium text-slate-200 transition hover:border-sky-500 hover:bg-slate-800';
+const activeButtonClass = 'border-sky-500 bg-sky-900 text-sky-100';
+
+const formatKilometres = (meters) => `${(meters / 1000).toFixed(2)} km`;
+
+// Straight-line metres covered in the time limit at the planned walking speed.
+export const scoreDistanceBudget = ({ timeLimitMinutes, speedKmh }) => ((speedKmh * 1000) / 60) * timeLimitMinutes;
+
+// Keeps a draft while typing so clearing the field does not snap back to the default.
+const SettingInput = ({ label, value, step, onCommit }) => {
+  const [draft, setDraft] = useState(String(value));
+
+  useEffect(() => {
+    setDraft(String(value));
+  }, [value]);
+
+  const commit = () => {
+    const number = Number(draft);
+    if (draft.trim() !== '' && Number.isFinite(number) && number > 0) {
+      onCommit(number);
+    } else {
+      setDraft(String(value));
+    }
+  };
+
+  return (
+    <label className="flex flex-col gap-1">
+      <span className="text-[10px] uppercase tracking-wide text-slate-400">{label}</span>
+      <input
+        type="number"
+        min="0"
+        step={step}
+        className="w-full rounded-md border border-slate-700 bg-slate-900 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
+        value={draft}
+        onChange={(event) => setDraft(event.target.value)}
+        onBlur={commit}
+        onKeyDown={(event) => {
+          if (event.key === 'Enter') commit();
+        }}
+      />
+    </label>
+  );
+};
+
+const ScoreEventPanel = () => {
+  const { start, end, checkpoints, eventMode, setEventMode, scoreSettings, updateScoreSettings, applyScorePlan } =
+    useCheckpoints();
+  const [plan, setPlan] = useState(null);
+  const { run: runPlan, cancel: cancelPlan } = useDeferredTask();
+
+  // A suggested course only makes sense for the controls and budget it was worked out for.
+  useEffect(() => {
+    cancelPlan();
+    setPlan(null);
+  }, [start, end, checkpoints, scoreSettings, eventMode, cancelPlan]);
+
+  const isScore = eventMode === 'score';
+  const totalPoints = checkpoints.reduce((total, checkpoint) => total + controlPoints(checkpoint), 0);
+
+  const handlePlan = () => {
+    setPlan({ status: 'running' });
+    runPlan(() => {
+      const result = planScoreCourse({
+        start: start?.position ?? null,
+        end: end?.position ?? null,
+        points: checkpoints.map((checkpoint) => checkpoint.position),
+        values: checkpoints.map(controlPoints),
+        maxDistance: scoreDistanceBudget(scoreSettings)
+      });
+      const current = useCheckpointsStore.getState();
+      if (
+        current.checkpoints !== checkpoints ||
+        current.start !== start ||
+        current.end !== end ||
+        current.scoreSettings !== scoreSettings
+      ) {
+        setPlan(null);
+        return;
+      }
+      setPlan({
+        status: 'ready',
+        ids: result.order.map((index) => checkpoints[index].id),
+        score: result.score,
+        distance: result.distance,
+        minutes: result.distance / ((scoreSettings.speedKmh * 1000) / 60),
+        isFeasible: result.isFeasible,
+        isComplete: result.isComplete
+      });
+    });
+  };
+
+  const handleApply = () => {
+    applyScorePlan(plan.ids);
+    setPlan(null);
+  };
+
+  return (
+    <div className="rounded-md border border-slate-800 bg-slate-950 p-3 text-xs text-slate-300">
+      <div className="flex items-center justify-between gap-2">
+        <span>Event</span>
+        <div className="flex gap-1" role="group" aria-label="Event type">
+          <button
+            type="button"
+            className={`${buttonClass} ${!isScore ? activeButtonClass : ''}`}
+            onClick={() => setEventMode('route')}
+            aria-pressed={!isScore}
+          >
+            Route
+          </button>
+          <button
+            type="button"
+            className={`${buttonClass} ${isScore ? activeButtonClass : ''}`}
+            onClick={() => setEventMode('score')}
+            aria-pressed={isScore}
+          >
+            Score
+          </button>
+        </div>
+      </div>
+
+      {isScore && (
+        <div className="mt-2 space-y-2">
+          <div className="grid grid-cols-2 gap-2">
+            <SettingInput
+              label="Time limit (min)"
+              value={scoreSettings.timeLimitMinutes}
+              step="5"
+              onCommit={(timeLimitMinutes) => updateScoreSettings({ timeLimitMinutes })}
+            />
+            <SettingInput
+              label="Speed (km/h)"
+              value={scoreSettings.speedKmh}
+              step="0.5"
+              onCommit={(speedKmh) => updateScoreSettings({ speedKmh })}
+            />
+          </div>
+          <div className="flex items-center justify-between gap-2">
+            <span className="text-[11px] text-slate-400">
+              {checkpoints.length} controls, {totalPoints} pts · budget {formatKilometres(scoreDistanceBudget(scoreSettings))}
+            </span>
+            <button
+              type="button"
+              className={`${buttonClass} disabled:opacity-50`}
+              onClick={handlePlan}
+              disabled={checkpoints.length === 0 || plan?.status === 'running'}
+            >
+              {plan?.status === 'running' ? 'Planning…' : 'Plan best course'}
+            </button>
+          </div>
+          {plan?.status === 'ready' && (
+            <div className="space-y-2">
+              {plan.isFeasible ? (
+                <p>
+                  {plan.ids.length} of {checkpoints.length} controls,{' '}
+                  <span className="font-semibold text-emerald-300">{plan.score} pts</span>, {formatKilometres(plan.distance)}{' '}
+                  (~{Math.round(plan.minutes)} min)
+                </p>
+              ) : (
+                <p className="text-rose-300">Start to finish alone is further than the time limit allows.</p>
+              )}
+              <p className="text-[11px] text-slate-500">
+                Straight-line distances at a steady speed; leave time in hand for terrain
+                {plan.isComplete ? '' : '. Search stopped early for this many controls'}.
+              </p>
+              <div className="flex gap-2">
+                {plan.isFeasible && (
+                  <button type="button" className={`${buttonClass} ${activeButtonClass}`} onClick={handleApply}>
+                    Apply course
+                  </button>
+                )}
+                <button type="button" className={buttonClass} onClick={() => setPlan(null)}>
+                  {plan.isFeasible ? 'Keep current' : 'Close'}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScoreEventPanel;
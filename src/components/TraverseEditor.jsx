@@ -0,0 +1,193 @@
+import { useEffect, useState } from 'react';
+import { useCheckpoints } from '../hooks/useCheckpoints.js';
+import { useGrid } from '../hooks/useGrid.js';
+import { convertBearing, northReferenceAngles, NORTH_REFERENCE_SUFFIXES } from '../utils/bearings.js';
+import { formatPosition } from '../utils/coordinates.js';
+import { milsToDegrees, projectTraverse } from '../utils/grid.js';
+
+const formatMeters = (value) => {
+  if (value == null || Number.isNaN(value)) return '—';
+  if (value >= 1000) return `${(value / 1000).toFixed(2)} km`;
+  if (value >= 10) return `${value.toFixed(0)} m`;
+  return `${value.toFixed(1)} m`;
+};
+
+const createLeg = () => ({
+  id: `leg-${Math.random().toString(36).slice(2, 9)}`,
+  bearing: '',
+  distance: ''
+});
+
+const TraverseEditor = ({ resolveStart, bearingUnit, describeReference, onResultChange }) => {
+  const { system, calibration, northReference, coordinateFormat } = useGrid();
+  const { addCheckpoints } = useCheckpoints();
+
+  const [legs, setLegs] = useState(() => [createLeg(), createLeg()]);
+  const [isClosed, setIsClosed] = useState(false);
+  const [result, setResult] = useState(null);
+  const [errorMessage, setErrorMessage] = useState(null);
+  const [statusMessage, setStatusMessage] = useState(null);
+
+  useEffect(() => {
+    if (onResultChange) onResultChange(result);
+  }, [result, onResultChange]);
+
+  useEffect(() => () => onResultChange?.(null), [onResultChange]);
+
+  const updateLeg = (id, changes) => {
+    setLegs((current) => current.map((leg) => (leg.id === id ? { ...leg, ...changes } : leg)));
+  };
+
+  const removeLeg = (id) => {
+    setLegs((current) => (current.length > 1 ? current.filter((leg) => leg.id !== id) : current));
+  };
+
+  const handleProject = () => {
+    try {
+      const start = resolveStart();
+      const parsedLegs = legs.map((leg, index) => {
+        const bearing = Number(leg.bearing);
+        const distance = Number(leg.distance);
+        if (leg.bearing.trim() === '' || Number.isNaN(bearing)) {
+          throw new Error(`Leg ${index + 1}: bearing must be a number.`);
+        }
+        if (leg.distance.trim() === '' || Number.isNaN(distance) || distance < 0) {
+          throw new Error(`Leg ${index + 1}: distance must be zero or greater.`);
+        }
+        return {
+          bearingDegrees: bearingUnit === 'mils' ? milsToDegrees(bearing) : bearing,
+          distanceMeters: distance
+        };
+      });
+      const traverse = projectTraverse({
+        start,
+        legs: parsedLegs,
+        toTrueBearing: (bearing, point) => {
+          const trueBearing = convertBearing(
+            bearing,
+            northReference,
+            'true',
+            northReferenceAngles({ point, system, calibration })
+          );
+          if (trueBearing == null) {
+            throw new Error('Unable to convert a leg bearing to true north.');
+          }
+          return trueBearing;
+        }
+      });
+      setResult({ ...traverse, isClosed });
+      setErrorMessage(null);
+      setStatusMessage(`Traverse of ${parsedLegs.length} legs previewed on the map.`);
+    } catch (error) {
+      setResult(null);
+      setErrorMessage(error.message ?? 'Unable to project traverse.');
+    }
+  };
+
+  // A closed traverse should finish on its start, so its last point is not a new checkpoint.
+  const createdPoints = result
+    ? result.points.slice(1, result.isClosed ? -1 : undefined)
+    : [];
+
+  const handleCreateCheckpoints = () => {
+    if (createdPoints.length === 0) return;
+    addCheckpoints(createdPoints);
+    setStatusMessage(`${createdPoints.length} checkpoints added from the traverse.`);
+  };
+
+  const unitSuffix = `${bearingUnit === 'mils' ? 'mil' : '°'} ${NORTH_REFERENCE_SUFFIXES[northReference]}`;
+
+  return (
+    <div className="mt-3">
+      <div className="space-y-2">
+        {legs.map((leg, index) => (
+          <div key={leg.id} className="grid grid-cols-[3rem_1fr_1fr_auto] items-center gap-2">
+            <span className="text-[11px] font-semibold text-slate-400">Leg {index + 1}</span>
+            <input
+              value={leg.bearing}
+              onChange={(event) => updateLeg(leg.id, { bearing: event.target.value })}
+              className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
+              placeholder={`Bearing ${unitSuffix}`}
+              inputMode="decimal"
+            />
+            <input
+              value={leg.distance}
+              onChange={(event) => updateLeg(leg.id, { distance: event.target.value })}
+              className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
+              placeholder="Distance m"
+              inputMode="decimal"
+            />
+            <button
+              type="button"
+              className="rounded-md border border-slate-700 px-2 py-1 text-[10px] font-semibold text-slate-400 hover:border-rose-500 hover:text-rose-200 disabled:cursor-not-allowed disabled:opacity-40"
+              onClick={() => removeLeg(leg.id)}
+              disabled={legs.length <= 1}
+              aria-label={`Remove leg ${index + 1}`}
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          className="rounded-md border border-slate-700 px-3 py-1 text-[11px] font-semibold text-slate-200 hover:border-sky-500 hover:text-sky-200"
+          onClick={() => setLegs((current) => [...current, createLeg()])}
+        >
+          Add leg
+        </button>
+        <label className="flex items-center gap-1 text-[11px] text-slate-300">
+          <input
+            type="checkbox"
+            checked={isClosed}
+            onChange={(event) => setIsClosed(event.target.checked)}
+            className="accent-sky-500"
+          />
+          Closed traverse (returns to start)
+        </label>
+        <button
+          type="button"
+          className="ml-auto rounded-md border border-sky-500 px-3 py-1 text-[11px] font-semibold text-sky-200 hover:bg-sky-900"
+          onClick={handleProject}
+        >
+          Project traverse
+        </button>
+      </div>
+
+      {result && (
+        <div className="mt-3 rounded-md border border-slate-800 bg-slate-900 p-3 text-[11px] text-slate-200">
+          <p className="font-semibold text-sky-200">Traverse</p>
+          <ol className="mt-1 list-decimal space-y-0.5 pl-4 text-slate-300">
+            {result.points.slice(1).map((point, index) => (
+              <li key={`${point.lat}-${point.lng}-${index}`}>
+                {describeReference(point) ?? formatPosition(point, coordinateFormat)}
+              </li>
+            ))}
+          </ol>
+          <p className="mt-1 text-slate-400">Total length: {formatMeters(result.totalMeters)}</p>
+          {result.isClosed && (
+            <p className={result.closure.ratio < 100 ? 'text-amber-300' : 'text-slate-400'}>
+              Closure error: {formatMeters(result.closure.meters)} on {result.closure.bearingDegrees.toFixed(0)}° T
+              {Number.isFinite(result.closure.ratio) ? ` (1:${Math.round(result.closure.ratio)})` : ' (exact)'}
+            </p>
+          )}
+          <button
+            type="button"
+            className="mt-3 rounded-md border border-sky-500 px-3 py-1 text-[11px] font-semibold text-sky-200 hover:bg-sky-900 disabled:cursor-not-allowed disabled:opacity-60"
+            onClick={handleCreateCheckpoints}
+            disabled={createdPoints.length === 0}
+          >
+            Add {createdPoints.length} checkpoints
+          </button>
+        </div>
+      )}
+
+      {statusMessage && <p className="mt-2 text-[11px] text-emerald-300">{statusMessage}</p>}
+      {errorMessage && <p className="mt-2 text-[11px] text-rose-400">{errorMessage}</p>}
+    </div>
+  );
+};
+
+export default TraverseEditor;
@@ -0,0 +1,55 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useCheckpoints } from './useCheckpoints.js';
+import { calculateDistance } from './useCompass.js';
+import { checkpointLabel, isOnRoute, isWithinArrivalRadius } from '../utils/checkpoints.js';
+
+const ARRIVAL_VIBRATION_PATTERN = [200, 100, 200];
+const ARRIVAL_NOTICE_MS = 5000;
+
+// Marks the selected checkpoint visited once a GPS fix is within the plan's arrival radius, then
+// selects the next unvisited one along the route. Returns the latest arrival for an on-screen notice.
+export const useArrivalDetection = ({ location, accuracy }) => {
+  const { start, end, checkpoints, eventMode, selectedId, visits, arrivalRadius, markVisited, selectCheckpoint } =
+    useCheckpoints();
+  const [arrival, setArrival] = useState(null);
+
+  const targets = useMemo(() => {
+    const items = [];
+    if (start) items.push({ id: 'start', label: 'Start', position: start.position, isOnRoute: true });
+    checkpoints.forEach((checkpoint, index) => {
+      items.push({
+        id: checkpoint.id,
+        label: checkpointLabel(checkpoint, index),
+        position: checkpoint.position,
+        isOnRoute: isOnRoute(checkpoint, eventMode)
+      });
+    });
+    if (end) items.push({ id: 'end', label: 'End', position: end.position, isOnRoute: true });
+    return items;
+  }, [start, checkpoints, end, eventMode]);
+
+  useEffect(() => {
+    if (!location || !selectedId || visits[selectedId]) return;
+    const index = targets.findIndex((target) => target.id === selectedId);
+    if (index < 0) return;
+    const target = targets[index];
+    if (!isWithinArrivalRadius(calculateDistance(location, target.position), accuracy, arrivalRadius)) return;
+
+    const visitedAt = Date.now();
+    markVisited(target.id, visitedAt);
+    const next = targets.slice(index + 1).find((candidate) => candidate.isOnRoute && !visits[candidate.id]) ?? null;
+    if (next) selectCheckpoint(next.id);
+    if (typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function') {
+      navigator.vibrate(ARRIVAL_VIBRATION_PATTERN);
+    }
+    setArrival({ id: target.id, label: target.label, nextLabel: next?.label ?? null, visitedAt });
+  }, [location, accuracy, arrivalRadius, selectedId, targets, visits, markVisited, selectCheckpoint]);
+
+  useEffect(() => {
+    if (!arrival) return undefined;
+    const timer = window.setTimeout(() => setArrival(null), ARRIVAL_NOTICE_MS);
+    return () => window.clearTimeout(timer);
+  }, [arrival]);
+
+  return { arrival, dismissArrival: () => setArrival(null) };
+};
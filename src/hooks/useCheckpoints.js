@@ -1,4 +1,17 @@
 import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import {
+  controlPoints,
+  DEFAULT_ARRIVAL_RADIUS,
+  DEFAULT_SCORE_SETTINGS,
+  EVENT_MODES,
+  normaliseArrivalRadius,
+  normaliseCheckpointDetails,
+  normaliseControlPoints,
+  normaliseScoreFields,
+  normaliseScoreSettings
+} from '../utils/checkpoints.js';
+import { isStoredPosition, persistOptions } from '../utils/persistence.js';
 import { normaliseRouteShareSnapshot, ROUTE_SHARE_VERSION } from '../utils/routeUtils.js';
 
 const createId = (prefix) => `${prefix}-${Math.random().toString(36).slice(2, 9)}`;
@@ -9,7 +22,63 @@ const initialState = {
   checkpoints: [],
   selectedId: null,
   connectVia: 'direct',
-  placementMode: null
+  placementMode: null,
+  // Score events: the mode and settings belong to the plan, visits and the clock to the attempt.
+  eventMode: 'route',
+  scoreSettings: DEFAULT_SCORE_SETTINGS,
+  visits: {},
+  eventStartedAt: null,
+  // Metres from a checkpoint at which the compass counts it as reached and moves on.
+  arrivalRadius: DEFAULT_ARRIVAL_RADIUS
+};
+
+// Settings that belong to the plan rather than the route, so clearing or replacing the route keeps them.
+const eventSettingsOf = (state) => ({
+  eventMode: state.eventMode,
+  scoreSettings: state.scoreSettings,
+  arrivalRadius: state.arrivalRadius
+});
+
+// Route edits that can be undone. Kept in memory only, so a reload starts a fresh history.
+const HISTORY_LIMIT = 50;
+
+const routeOf = (state) => ({
+  start: state.start,
+  end: state.end,
+  checkpoints: state.checkpoints,
+  connectVia: state.connectVia
+});
+
+// Applies an edit and keeps the route it replaces so it can be restored; edits that return the
+// state unchanged leave the history alone.
+const record = (set, update) =>
+  set((state) => {
+    const changes = update(state);
+    if (changes === state) return state;
+    return {
+      ...changes,
+      past: [...state.past, routeOf(state)].slice(-HISTORY_LIMIT),
+      future: []
+    };
+  });
+
+const routeIds = (route) => [
+  ...(route.start ? ['start'] : []),
+  ...(route.end ? ['end'] : []),
+  ...route.checkpoints.map((checkpoint) => checkpoint.id)
+];
+
+const stepHistory = (state, from, to) => {
+  const source = state[from];
+  if (source.length === 0) return state;
+  const route = source[source.length - 1];
+  return {
+    ...route,
+    selectedId: routeIds(route).includes(state.selectedId) ? state.selectedId : null,
+    placementMode: null,
+    [from]: source.slice(0, -1),
+    [to]: [...state[to], routeOf(state)].slice(-HISTORY_LIMIT)
+  };
 };
 
 const setSelectedId = (state, fallbackId) => ({
@@ -28,8 +97,106 @@ const normalizePlacementMode = (mode) => {
   return null;
 };
 
-export const useCheckpointsStore = create((set, get) => ({
+const PLAN_STORAGE_VERSION = 1;
+
+const restoreNode = (node, id) =>
+  node && isStoredPosition(node.position)
+    ? { ...node, id, position: { lat: node.position.lat, lng: node.position.lng } }
+    : null;
+
+const restoreVisits = (visits, ids) =>
+  Object.fromEntries(
+    Object.entries(visits && typeof visits === 'object' ? visits : {}).filter(
+      ([id, visitedAt]) => ids.has(id) && Number.isFinite(visitedAt)
+    )
+  );
+
+// Saved plans come from an older session or another build, so every field is checked before use.
+const restorePlan = (saved, current) => {
+  const start = restoreNode(saved.start, 'start');
+  const end = restoreNode(saved.end, 'end');
+  const checkpoints = (Array.isArray(saved.checkpoints) ? saved.checkpoints : [])
+    .filter((checkpoint) => typeof checkpoint?.id === 'string')
+    .map((checkpoint) => {
+      const node = restoreNode(checkpoint, checkpoint.id);
+      return (
+        node && {
+          id: node.id,
+          position: node.position,
+          ...normaliseCheckpointDetails(checkpoint),
+          ...normaliseScoreFields(checkpoint)
+        }
+      );
+    })
+    .filter(Boolean);
+  const ids = new Set(checkpoints.map((checkpoint) => checkpoint.id));
+  if (start) ids.add('start');
+  if (end) ids.add('end');
+  return {
+    ...current,
+    start,
+    end,
+    checkpoints,
+    selectedId: ids.has(saved.selectedId) ? saved.selectedId : null,
+    connectVia: saved.connectVia === 'route' ? 'route' : 'direct',
+    placementMode: normalizePlacementMode(saved.placementMode),
+    eventMode: EVENT_MODES.includes(saved.eventMode) ? saved.eventMode : 'route',
+    scoreSettings: normaliseScoreSettings(saved.scoreSettings),
+    visits: restoreVisits(saved.visits, ids),
+    eventStartedAt: Number.isFinite(saved.eventStartedAt) ? saved.eventStartedAt : null,
+    arrivalRadius: normaliseArrivalRadius(saved.arrivalRadius),
+    past: [],
+    future: []
+  };
+};
+
+// Route from a share code, with fresh checkpoint ids; the plan's event settings are kept.
+const routeFromSnapshot = (state, snapshot) => {
+  const normalised = normaliseRouteShareSnapshot({
+    version: snapshot?.version ?? ROUTE_SHARE_VERSION,
+    connectVia: snapshot?.connectVia,
+    start: snapshot?.start,
+    end: snapshot?.end,
+    checkpoints: snapshot?.checkpoints
+  });
+
+  if (!normalised) {
+    return state;
+  }
+
+  const startNode = normalised.start ? { id: 'start', position: normalised.start } : null;
+  const endNode = normalised.end ? { id: 'end', position: normalised.end } : null;
+  const checkpointNodes = normalised.checkpoints.map(({ lat, lng, ...details }) => ({
+    id: createId('checkpoint'),
+    position: { lat, lng },
+    ...details
+  }));
+
+  let selectedId = null;
+  if (startNode) {
+    selectedId = 'start';
+  } else if (checkpointNodes.length > 0) {
+    selectedId = checkpointNodes[0].id;
+  } else if (endNode) {
+    selectedId = 'end';
+  }
+
+  return {
+    ...initialState,
+    ...eventSettingsOf(state),
+    connectVia: normalised.connectVia,
+    start: startNode,
+    end: endNode,
+    checkpoints: checkpointNodes,
+    selectedId,
+    placementMode: null
+  };
+};
+
+const createPlanStore = (set, get) => ({
   ...initialState,
+  past: [],
+  future: [],
   setPlacementMode: (mode) =>
     set((state) => {
       const normalized = normalizePlacementMode(mode);
@@ -48,25 +215,25 @@ export const useCheckpointsStore = create((set, get) => ({
       return { placementMode: normalized };
     }),
   toggleConnectMode: () =>
-    set((state) => ({
+    record(set, (state) => ({
       connectVia: state.connectVia === 'direct' ? 'route' : 'direct'
     })),
   setStart: (position) =>
-    set((state) => ({
+    record(set, (state) => ({
       start: { id: 'start', position },
       placementMode: null,
       selectedId: 'start',
       checkpoints: state.checkpoints
     })),
   setEnd: (position) =>
-    set((state) => ({
+    record(set, (state) => ({
       end: { id: 'end', position },
       placementMode: null,
       selectedId: 'end',
       checkpoints: state.checkpoints
     })),
   addCheckpoint: (position, insertIndex) =>
-    set((state) => {
+    record(set, (state) => {
       const newCheckpoint = {
         id: createId('checkpoint'),
         position
@@ -83,15 +250,42 @@ export const useCheckpointsStore = create((set, get) => ({
         selectedId: newCheckpoint.id
       };
     }),
+  addCheckpoints: (positions) =>
+    record(set, (state) => {
+      if (!Array.isArray(positions) || positions.length === 0) return state;
+      const added = positions.map((position) => ({
+        id: createId('checkpoint'),
+        position
+      }));
+      return {
+        checkpoints: [...state.checkpoints, ...added],
+        placementMode: null,
+        selectedId: added[0].id
+      };
+    }),
   selectCheckpoint: (id) => set({ selectedId: id }),
   updateCheckpoint: (id, position) =>
-    set((state) => ({
+    record(set, (state) => ({
       checkpoints: state.checkpoints.map((checkpoint) =>
         checkpoint.id === id ? { ...checkpoint, position } : checkpoint
       )
     })),
+  // Name, note and category; blank fields are removed rather than stored empty.
+  updateCheckpointDetails: (id, details) =>
+    record(set, (state) => ({
+      checkpoints: state.checkpoints.map((checkpoint) =>
+        checkpoint.id === id
+          ? {
+              id: checkpoint.id,
+              position: checkpoint.position,
+              ...normaliseScoreFields(checkpoint),
+              ...normaliseCheckpointDetails(details)
+            }
+          : checkpoint
+      )
+    })),
   moveCheckpoint: (id, targetIndex) =>
-    set((state) => {
+    record(set, (state) => {
       const checkpoints = Array.isArray(state.checkpoints) ? [...state.checkpoints] : [];
       const currentIndex = checkpoints.findIndex((checkpoint) => checkpoint.id === id);
       if (currentIndex === -1 || typeof targetIndex !== 'number') {
@@ -106,8 +300,18 @@ export const useCheckpointsStore = create((set, get) => ({
         checkpoints
       };
     }),
+  // Puts every checkpoint in the given order at once, so the whole reorder is a single undo step.
+  reorderCheckpoints: (orderedIds) =>
+    record(set, (state) => {
+      const byId = new Map(state.checkpoints.map((checkpoint) => [checkpoint.id, checkpoint]));
+      if (!Array.isArray(orderedIds) || orderedIds.length !== byId.size) return state;
+      const checkpoints = orderedIds.map((id) => byId.get(id));
+      if (checkpoints.some((checkpoint) => !checkpoint) || new Set(orderedIds).size !== byId.size) return state;
+      if (checkpoints.every((checkpoint, index) => checkpoint === state.checkpoints[index])) return state;
+      return { checkpoints };
+    }),
   removeCheckpoint: (id) =>
-    set((state) => {
+    record(set, (state) => {
       const checkpoints = state.checkpoints.filter((checkpoint) => checkpoint.id !== id);
       const selectedId = state.selectedId === id ? null : state.selectedId;
       return {
@@ -116,49 +320,68 @@ export const useCheckpointsStore = create((set, get) => ({
         placementMode: null
       };
     }),
-  loadRouteSnapshot: (snapshot) =>
-    set((state) => {
-      const normalised = normaliseRouteShareSnapshot({
-        version: snapshot?.version ?? ROUTE_SHARE_VERSION,
-        connectVia: snapshot?.connectVia,
-        start: snapshot?.start,
-        end: snapshot?.end,
-        checkpoints: snapshot?.checkpoints
-      });
-
-      if (!normalised) {
-        return state;
-      }
-
-      const startNode = normalised.start ? { id: 'start', position: normalised.start } : null;
-      const endNode = normalised.end ? { id: 'end', position: normalised.end } : null;
-      const checkpointNodes = normalised.checkpoints.map((position) => ({
-        id: createId('checkpoint'),
-        position
-      }));
-
-      let selectedId = null;
-      if (startNode) {
-        selectedId = 'start';
-      } else if (checkpointNodes.length > 0) {
-        selectedId = checkpointNodes[0].id;
-      } else if (endNode) {
-        selectedId = 'end';
-      }
-
+  // A snapshot opened as a plan of its own has nothing to undo back to, so it can skip the history.
+  loadRouteSnapshot: (snapshot, { recordHistory = true } = {}) => {
+    const update = (state) => routeFromSnapshot(state, snapshot);
+    return recordHistory ? record(set, update) : set(update);
+  },
+  // Replaces the working route with one kept in the plan library.
+  loadPlan: (plan) => set((state) => restorePlan(plan ?? {}, state)),
+  clearAll: () =>
+    record(set, (state) => ({ ...initialState, ...eventSettingsOf(state) })),
+  setEventMode: (eventMode) => set({ eventMode: EVENT_MODES.includes(eventMode) ? eventMode : 'route' }),
+  updateScoreSettings: (changes) =>
+    set((state) => ({ scoreSettings: normaliseScoreSettings({ ...state.scoreSettings, ...changes }) })),
+  setCheckpointPoints: (id, points) =>
+    record(set, (state) => {
+      const value = normaliseControlPoints(points);
+      const checkpoint = state.checkpoints.find((item) => item.id === id);
+      if (value == null || !checkpoint || controlPoints(checkpoint) === value) return state;
       return {
-        ...initialState,
-        connectVia: normalised.connectVia,
-        start: startNode,
-        end: endNode,
-        checkpoints: checkpointNodes,
-        selectedId,
-        placementMode: null
+        checkpoints: state.checkpoints.map((checkpoint) =>
+          checkpoint.id === id ? { ...checkpoint, points: value } : checkpoint
+        )
       };
     }),
-  clearAll: () => set(initialState),
-  swapCheckpoints: (id1, id2) =>
+  toggleCheckpointSkipped: (id) =>
+    record(set, (state) => ({
+      checkpoints: state.checkpoints.map((checkpoint) => {
+        if (checkpoint.id !== id) return checkpoint;
+        const { skipped, ...rest } = checkpoint;
+        return skipped ? rest : { ...rest, skipped: true };
+      })
+    })),
+  // Planned controls in their planned order, then the rest, skipped, in their previous order.
+  applyScorePlan: (plannedIds) =>
+    record(set, (state) => {
+      const planned = new Set(plannedIds);
+      const byId = new Map(state.checkpoints.map((checkpoint) => [checkpoint.id, checkpoint]));
+      const unskip = ({ skipped, ...checkpoint }) => checkpoint;
+      return {
+        checkpoints: [
+          ...plannedIds.filter((id) => byId.has(id)).map((id) => unskip(byId.get(id))),
+          ...state.checkpoints
+            .filter((checkpoint) => !planned.has(checkpoint.id))
+            .map((checkpoint) => ({ ...checkpoint, skipped: true }))
+        ]
+      };
+    }),
+  startEventClock: () => set({ eventStartedAt: Date.now(), visits: {} }),
+  resetEventClock: () => set({ eventStartedAt: null, visits: {} }),
+  setArrivalRadius: (radius) => set({ arrivalRadius: normaliseArrivalRadius(radius) }),
+  clearVisits: () => set({ visits: {} }),
+  markVisited: (id, visitedAt = Date.now()) =>
+    set((state) => (state.visits[id] ? state : { visits: { ...state.visits, [id]: visitedAt } })),
+  clearVisit: (id) =>
     set((state) => {
+      if (!state.visits[id]) return state;
+      const { [id]: removed, ...visits } = state.visits;
+      return { visits };
+    }),
+  undo: () => set((state) => stepHistory(state, 'past', 'future')),
+  redo: () => set((state) => stepHistory(state, 'future', 'past')),
+  swapCheckpoints: (id1, id2) =>
+    record(set, (state) => {
       // Helper to get item and type
       const getItem = (id) => {
         if (id === 'start') return { type: 'start', item: state.start };
@@ -173,18 +396,27 @@ export const useCheckpointsStore = create((set, get) => ({
 
       if (!obj1 || !obj2 || !obj1.item || !obj2.item) return state;
 
-      // We only swap positions
-      const pos1 = obj1.item.position;
-      const pos2 = obj2.item.position;
+      // Between two checkpoints the whole place swaps: position with its name, note, category and
+      // score fields. Start and end carry none of those, so a swap with either moves only the
+      // position and the checkpoint keeps its details. A visit records reaching a place, so it
+      // follows the position in both cases.
+      const movesDetails = obj1.type === 'checkpoint' && obj2.type === 'checkpoint';
+      const place = (item) =>
+        movesDetails
+          ? { position: item.position, ...normaliseCheckpointDetails(item), ...normaliseScoreFields(item) }
+          : { position: item.position };
+      const pos1 = place(obj1.item);
+      const pos2 = place(obj2.item);
 
       let newState = { ...state };
 
       const setPos = (obj, pos) => {
-        if (obj.type === 'start') newState.start = { ...newState.start, position: pos };
-        else if (obj.type === 'end') newState.end = { ...newState.end, position: pos };
+        if (obj.type === 'start') newState.start = { id: 'start', ...pos };
+        else if (obj.type === 'end') newState.end = { id: 'end', ...pos };
         else {
           const newCheckpoints = [...(newState.checkpoints || state.checkpoints)];
-          newCheckpoints[obj.index] = { ...newCheckpoints[obj.index], position: pos };
+          const current = newCheckpoints[obj.index];
+          newCheckpoints[obj.index] = movesDetails ? { id: current.id, ...pos } : { ...current, ...pos };
           newState.checkpoints = newCheckpoints;
         }
       };
@@ -192,8 +424,39 @@ export const useCheckpointsStore = create((set, get) => ({
       setPos(obj1, pos2);
       setPos(obj2, pos1);
 
+      const { [id1]: visit1, [id2]: visit2, ...otherVisits } = state.visits;
+      newState.visits = {
+        ...otherVisits,
+        ...(visit2 ? { [id1]: visit2 } : {}),
+        ...(visit1 ? { [id2]: visit1 } : {})
+      };
+
       return newState;
     })
-}));
+});
+
+export const useCheckpointsStore = create(
+  persist(
+    createPlanStore,
+    persistOptions({
+      name: 'plan',
+      version: PLAN_STORAGE_VERSION,
+      partialize: (state) => ({
+        start: state.start,
+        end: state.end,
+        checkpoints: state.checkpoints,
+        selectedId: state.selectedId,
+        connectVia: state.connectVia,
+        placementMode: state.placementMode,
+        eventMode: state.eventMode,
+        scoreSettings: state.scoreSettings,
+        visits: state.visits,
+        eventStartedAt: state.eventStartedAt,
+        arrivalRadius: state.arrivalRadius
+      }),
+      merge: restorePlan
+    })
+  )
+);
 
 export const useCheckpoints = () => useCheckpointsStore((state) => state);
@@ -1,38 +1,15 @@
 import { useCallback, useEffect, useRef, useState } from 'react';
+import { bearingBetween, distanceBetween } from '../utils/geodesy.js';
 
-const toRadians = (degrees) => (degrees * Math.PI) / 180;
-const toDegrees = (radians) => (radians * 180) / Math.PI;
-
+// Both go through the shared WGS84 geodesy so the compass agrees with the map tools.
 export const calculateBearing = (from, to) => {
   if (!from || !to) return null;
-
-  const lat1 = toRadians(from.lat);
-  const lat2 = toRadians(to.lat);
-  const deltaLong = toRadians(to.lng - from.lng);
-
-  const y = Math.sin(deltaLong) * Math.cos(lat2);
-  const x =
-    Math.cos(lat1) * Math.sin(lat2) -
-    Math.sin(lat1) * Math.cos(lat2) * Math.cos(deltaLong);
-  const brng = Math.atan2(y, x);
-  return (toDegrees(brng) + 360) % 360;
+  return bearingBetween(from, to);
 };
 
 export const calculateDistance = (from, to) => {
   if (!from || !to) return null;
-
-  const earthRadius = 6371000; // meters
-  const lat1 = toRadians(from.lat);
-  const lat2 = toRadians(to.lat);
-  const deltaLat = toRadians(to.lat - from.lat);
-  const deltaLng = toRadians(to.lng - from.lng);
-
-  const a =
-    Math.sin(deltaLat / 2) * Math.sin(deltaLat / 2) +
-    Math.cos(lat1) * Math.cos(lat2) *
-      Math.sin(deltaLng / 2) * Math.sin(deltaLng / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return earthRadius * c;
+  return distanceBetween(from, to);
 };
 
 export const calculateRelativeBearing = (heading, bearing) => {
@@ -44,12 +21,16 @@ export const calculateRelativeBearing = (heading, bearing) => {
 export const useCompass = (targetPosition) => {
   const [heading, setHeading] = useState(null);
   const [geolocation, setGeolocation] = useState(null);
+  // Radius in metres the device reports its fix to be good to.
+  const [gpsAccuracy, setGpsAccuracy] = useState(null);
   const [error, setError] = useState(null);
   const [needsPermission, setNeedsPermission] = useState(false);
   const [isSupported, setIsSupported] = useState(true);
   const [locationEnabled, setLocationEnabled] = useState(false);
   const [hasLocationFix, setHasLocationFix] = useState(false);
   const [isRequestingLocation, setIsRequestingLocation] = useState(false);
+  // A position fixed by hand (e.g. by resection) overrides GPS until it is cleared.
+  const [fixedLocation, setFixedLocation] = useState(null);
   const watchId = useRef(null);
   const orientationEvent = useRef(null);
   const geolocationSupport = useRef(typeof navigator !== 'undefined' && 'geolocation' in navigator);
@@ -70,6 +51,7 @@ export const useCompass = (targetPosition) => {
     return undefined;
   }, []);
 
+  // Device headings are relative to magnetic north; see utils/bearings.js to convert them.
   const handleOrientation = useCallback((event) => {
     if (typeof event.alpha === 'number') {
       const headingValue = event.webkitCompassHeading ?? (360 - event.alpha);
@@ -86,10 +68,12 @@ export const useCompass = (targetPosition) => {
       navigator.geolocation.clearWatch(watchId.current);
       watchId.current = null;
     }
+    setGpsAccuracy(null);
 
     const handleSuccess = (position) => {
-      const { latitude, longitude } = position.coords;
+      const { latitude, longitude, accuracy } = position.coords;
       setGeolocation({ lat: latitude, lng: longitude });
+      setGpsAccuracy(Number.isFinite(accuracy) ? accuracy : null);
       setLocationEnabled(true);
       setHasLocationFix(true);
       setIsRequestingLocation(false);
@@ -110,6 +94,7 @@ export const useCompass = (targetPosition) => {
       setHasLocationFix(false);
       setLocationEnabled(false);
       setIsRequestingLocation(false);
+      setGpsAccuracy(null);
       if (watchId.current !== null && navigator.geolocation?.clearWatch) {
         navigator.geolocation.clearWatch(watchId.current);
         watchId.current = null;
@@ -133,6 +118,7 @@ export const useCompass = (targetPosition) => {
       setError(geoError.message ?? 'Unable to access location');
       setIsRequestingLocation(false);
       setLocationEnabled(false);
+      setGpsAccuracy(null);
       return false;
     }
   }, []);
@@ -185,6 +171,7 @@ export const useCompass = (targetPosition) => {
             setError('Location permission denied');
             setLocationEnabled(false);
             setHasLocationFix(false);
+            setGpsAccuracy(null);
           }
         };
       } catch (permissionError) {
@@ -231,14 +218,19 @@ export const useCompass = (targetPosition) => {
     };
   }, [handleOrientation, isSupported]);
 
-  const bearing = calculateBearing(geolocation, targetPosition);
-  const distance = calculateDistance(geolocation, targetPosition);
+  const currentLocation = fixedLocation ?? geolocation;
+  const bearing = calculateBearing(currentLocation, targetPosition);
+  const distance = calculateDistance(currentLocation, targetPosition);
 
   return {
     heading,
     bearing,
     distance,
-    geolocation,
+    geolocation: currentLocation,
+    gpsLocation: geolocation,
+    gpsAccuracy,
+    fixedLocation,
+    setFixedLocation,
     error,
     needsPermission,
     isSupported,
@@ -0,0 +1,30 @@
+import { useCallback, useEffect, useRef } from 'react';
+
+// Runs a long synchronous search on the next tick, so the button that started it can show its busy
+// state before the search takes the main thread. Starting another task, cancelling or unmounting
+// drops one that has not run yet, so a result is never worked out for a route that has since changed.
+export const useDeferredTask = () => {
+  const timeoutRef = useRef(null);
+
+  const cancel = useCallback(() => {
+    if (timeoutRef.current !== null) {
+      window.clearTimeout(timeoutRef.current);
+      timeoutRef.current = null;
+    }
+  }, []);
+
+  const run = useCallback(
+    (task) => {
+      cancel();
+      timeoutRef.current = window.setTimeout(() => {
+        timeoutRef.current = null;
+        task();
+      }, 0);
+    },
+    [cancel]
+  );
+
+  useEffect(() => cancel, [cancel]);
+
+  return { run, cancel };
+};
@@ -0,0 +1,78 @@
+import { useCallback } from 'react';
+import { create } from 'zustand';
+import { demBounds, elevationFromModels, parseDemFile } from '../utils/dem.js';
+import { deleteStoredDem, loadStoredDems, saveStoredDem } from '../utils/demStorage.js';
+
+const createId = (prefix) => `${prefix}-${Math.random().toString(36).slice(2, 9)}`;
+
+// Finest resolution first, so a detailed local survey beats a coarse SRTM tile.
+const sortModels = (models) =>
+  [...models].sort((a, b) => a.cellWidth * a.cellHeight - b.cellWidth * b.cellHeight);
+
+export const useElevationStore = create((set, get) => ({
+  models: [],
+  isLoaded: false,
+  isImporting: false,
+  error: null,
+  loadStoredModels: async () => {
+    if (get().isLoaded) return;
+    try {
+      const stored = await loadStoredDems();
+      set({ models: sortModels(stored ?? []), isLoaded: true, error: null });
+    } catch (error) {
+      set({ isLoaded: true, error: error.message ?? 'Unable to read stored elevation data.' });
+    }
+  },
+  importFiles: async (files) => {
+    const list = Array.from(files ?? []);
+    if (list.length === 0) return [];
+    set({ isImporting: true, error: null });
+    const imported = [];
+    const failures = [];
+    for (const file of list) {
+      try {
+        const parsed = await parseDemFile(file);
+        const model = {
+          ...parsed,
+          id: createId('dem'),
+          name: file.name,
+          importedAt: Date.now(),
+          bounds: demBounds(parsed)
+        };
+        await saveStoredDem(model);
+        imported.push(model);
+      } catch (error) {
+        failures.push(`${file.name}: ${error.message ?? 'could not be read.'}`);
+      }
+    }
+    set((state) => ({
+      models: sortModels([...state.models, ...imported]),
+      isImporting: false,
+      error: failures.length > 0 ? failures.join(' ') : null
+    }));
+    return imported;
+  },
+  removeModel: async (id) => {
+    try {
+      await deleteStoredDem(id);
+      set((state) => ({ models: state.models.filter((model) => model.id !== id), error: null }));
+    } catch (error) {
+      set({ error: error.message ?? 'Unable to remove elevation data.' });
+    }
+  }
+}));
+
+export const useElevation = () => {
+  const state = useElevationStore((store) => ({
+    models: store.models,
+    isLoaded: store.isLoaded,
+    isImporting: store.isImporting,
+    error: store.error,
+    loadStoredModels: store.loadStoredModels,
+    importFiles: store.importFiles,
+    removeModel: store.removeModel
+  }));
+  const { models } = state;
+  const elevationAt = useCallback((point) => elevationFromModels(models, point), [models]);
+  return { ...state, elevationAt };
+};
@@ -1,45 +1,170 @@
 import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import { NORTH_REFERENCES } from '../utils/bearings.js';
+import { normaliseCoordinateFormat } from '../utils/coordinates.js';
+import { fitGridCalibration, GRID_PRECISIONS } from '../utils/grid.js';
+import { isStoredPosition, persistOptions } from '../utils/persistence.js';
 
-const clampPrecision = (precision) => (precision === 4 ? 4 : 3);
+const clampPrecision = (precision) => (GRID_PRECISIONS.includes(precision) ? precision : 3);
+
+export const GRID_SYSTEMS = ['local', 'mgrs', 'osgb'];
+
+const normaliseSystem = (system) => (GRID_SYSTEMS.includes(system) ? system : 'local');
+
+const normaliseNorthReference = (reference) =>
+  NORTH_REFERENCES.includes(reference) ? reference : 'true';
+
+const createId = (prefix) => `${prefix}-${Math.random().toString(36).slice(2, 9)}`;
 
 const initialState = {
+  system: 'local',
   origin: null,
   originReference: null,
-  precision: 3
+  precision: 3,
+  calibrationPoints: [],
+  calibration: null,
+  mapPick: null,
+  northReference: 'true',
+  coordinateFormat: 'decimal',
+  // Grid overlay visibility, remembered per base map layer id.
+  gridOverlayLayers: {}
+};
+
+// The first calibration point doubles as the legacy single origin so older callers keep working.
+const withCalibration = (calibrationPoints) => ({
+  calibrationPoints,
+  calibration: fitGridCalibration(calibrationPoints),
+  origin: calibrationPoints[0]?.position ?? null,
+  originReference: calibrationPoints[0]?.reference ?? null
+});
+
+const GRID_STORAGE_VERSION = 1;
+
+const restoreReference = (reference) =>
+  reference && reference.easting != null && reference.northing != null
+    ? {
+        easting: String(reference.easting),
+        northing: String(reference.northing),
+        precision: clampPrecision(reference.precision)
+      }
+    : null;
+
+// The parts of the grid a plan carries with it. The fitted calibration is derived data, so it is
+// refitted from the saved points rather than stored.
+const restoreGridSetup = (saved) => {
+  const calibrationPoints = (Array.isArray(saved?.calibrationPoints) ? saved.calibrationPoints : [])
+    .map((point) => ({
+      id: typeof point?.id === 'string' ? point.id : createId('calibration'),
+      position: isStoredPosition(point?.position) ? { lat: point.position.lat, lng: point.position.lng } : null,
+      reference: restoreReference(point?.reference)
+    }))
+    .filter((point) => point.position && point.reference);
+  if (calibrationPoints.length > 0) {
+    return { system: normaliseSystem(saved.system), ...withCalibration(calibrationPoints) };
+  }
+  return {
+    system: normaliseSystem(saved?.system),
+    calibrationPoints: [],
+    calibration: null,
+    origin: isStoredPosition(saved?.origin) ? { lat: saved.origin.lat, lng: saved.origin.lng } : null,
+    originReference: restoreReference(saved?.originReference)
+  };
 };
 
-export const useGridStore = create((set) => ({
+const restoreGrid = (saved, current) => ({
+  ...current,
+  precision: clampPrecision(saved.precision),
+  northReference: normaliseNorthReference(saved.northReference),
+  coordinateFormat: normaliseCoordinateFormat(saved.coordinateFormat),
+  gridOverlayLayers:
+    saved.gridOverlayLayers && typeof saved.gridOverlayLayers === 'object' ? saved.gridOverlayLayers : {},
+  ...restoreGridSetup(saved)
+});
+
+const createGridStore = (set) => ({
   ...initialState,
-  setPrecision: (precision) =>
+  // Display precision only: calibration references keep the precision they were entered at.
+  setPrecision: (precision) => set({ precision: clampPrecision(precision) }),
+  setSystem: (system) => set({ system: normaliseSystem(system) }),
+  setNorthReference: (northReference) =>
+    set({ northReference: normaliseNorthReference(northReference) }),
+  setCoordinateFormat: (coordinateFormat) =>
+    set({ coordinateFormat: normaliseCoordinateFormat(coordinateFormat) }),
+  setGridOverlay: (layerId, visible) =>
+    set((state) => ({ gridOverlayLayers: { ...state.gridOverlayLayers, [layerId]: Boolean(visible) } })),
+  // Map taps requested by the grid tools, tagged with the tool that asked for them.
+  setMapPick: (purpose, position) => set({ mapPick: position ? { purpose, position } : null }),
+  addCalibrationPoint: ({ position, reference }) =>
     set((state) => {
-      const resolved = clampPrecision(precision);
+      const point = {
+        id: createId('calibration'),
+        position,
+        reference: {
+          easting: reference.easting,
+          northing: reference.northing,
+          precision: clampPrecision(reference.precision ?? state.precision)
+        }
+      };
       return {
-        precision: resolved,
-      originReference: state.originReference
-        ? { ...state.originReference, precision: resolved }
-        : null
+        ...withCalibration([...state.calibrationPoints, point]),
+        mapPick: state.mapPick?.purpose === 'calibration' ? null : state.mapPick
       };
     }),
-  setOrigin: (origin) => set({ origin }),
-  setOriginReference: (originReference) =>
+  loadGridSetup: (setup) => set({ ...restoreGridSetup(setup), mapPick: null }),
+  removeCalibrationPoint: (id) =>
+    set((state) =>
+      withCalibration(state.calibrationPoints.filter((point) => point.id !== id))
+    ),
+  // The coordinate format and overlay toggles are display preferences, not part of the grid setup.
+  resetGrid: () =>
     set((state) => ({
-      originReference: originReference
-        ? {
-            ...originReference,
-            precision: clampPrecision(originReference.precision ?? state.precision)
-          }
-        : null
-    })),
-  resetGrid: () => set(initialState)
-}));
+      ...initialState,
+      coordinateFormat: state.coordinateFormat,
+      gridOverlayLayers: state.gridOverlayLayers
+    }))
+});
+
+export const useGridStore = create(
+  persist(
+    createGridStore,
+    persistOptions({
+      name: 'grid',
+      version: GRID_STORAGE_VERSION,
+      partialize: (state) => ({
+        system: state.system,
+        origin: state.origin,
+        originReference: state.originReference,
+        precision: state.precision,
+        calibrationPoints: state.calibrationPoints,
+        northReference: state.northReference,
+        coordinateFormat: state.coordinateFormat,
+        gridOverlayLayers: state.gridOverlayLayers
+      }),
+      merge: restoreGrid
+    })
+  )
+);
 
 export const useGrid = () =>
   useGridStore((state) => ({
+    system: state.system,
     origin: state.origin,
     originReference: state.originReference,
     precision: state.precision,
-    setOrigin: state.setOrigin,
-    setOriginReference: state.setOriginReference,
+    calibrationPoints: state.calibrationPoints,
+    calibration: state.calibration,
+    mapPick: state.mapPick,
+    northReference: state.northReference,
+    coordinateFormat: state.coordinateFormat,
+    gridOverlayLayers: state.gridOverlayLayers,
+    setSystem: state.setSystem,
+    setNorthReference: state.setNorthReference,
+    setCoordinateFormat: state.setCoordinateFormat,
+    setGridOverlay: state.setGridOverlay,
     setPrecision: state.setPrecision,
+    setMapPick: state.setMapPick,
+    addCalibrationPoint: state.addCalibrationPoint,
+    removeCalibrationPoint: state.removeCalibrationPoint,
+    loadGridSetup: state.loadGridSetup,
     resetGrid: state.resetGrid
   }));
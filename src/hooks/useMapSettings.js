@@ -0,0 +1,69 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import { persistOptions } from '../utils/persistence.js';
+import { orderedProviderIds } from '../utils/tiles.js';
+
+const BEARING_UNITS = ['degrees', 'mils'];
+const TOOLBAR_THEMES = ['light', 'dark'];
+
+const initialState = {
+  baseLayer: 'topo',
+  toolbarTheme: 'light',
+  bearingUnit: 'degrees',
+  // The device dark-mode preference only seeds the first run; after that the saved choice wins.
+  systemThemeApplied: false
+};
+
+const restoreSettings = (saved, current) => ({
+  ...current,
+  baseLayer: orderedProviderIds.includes(saved.baseLayer) ? saved.baseLayer : initialState.baseLayer,
+  toolbarTheme: TOOLBAR_THEMES.includes(saved.toolbarTheme) ? saved.toolbarTheme : initialState.toolbarTheme,
+  bearingUnit: BEARING_UNITS.includes(saved.bearingUnit) ? saved.bearingUnit : initialState.bearingUnit,
+  systemThemeApplied: Boolean(saved.systemThemeApplied)
+});
+
+export const useMapSettingsStore = create(
+  persist(
+    (set) => ({
+      ...initialState,
+      setBaseLayer: (baseLayer) =>
+        set({ baseLayer: orderedProviderIds.includes(baseLayer) ? baseLayer : initialState.baseLayer }),
+      toggleToolbarTheme: () =>
+        set((state) => ({ toolbarTheme: state.toolbarTheme === 'light' ? 'dark' : 'light' })),
+      toggleBearingUnit: () =>
+        set((state) => ({ bearingUnit: state.bearingUnit === 'degrees' ? 'mils' : 'degrees' })),
+      applySystemTheme: (prefersDark) =>
+        set((state) => {
+          if (state.systemThemeApplied) return state;
+          if (!prefersDark) return { systemThemeApplied: true };
+          return {
+            systemThemeApplied: true,
+            toolbarTheme: 'dark',
+            baseLayer: state.baseLayer === 'street' ? 'dark' : state.baseLayer
+          };
+        })
+    }),
+    persistOptions({
+      name: 'settings',
+      version: 1,
+      partialize: (state) => ({
+        baseLayer: state.baseLayer,
+        toolbarTheme: state.toolbarTheme,
+        bearingUnit: state.bearingUnit,
+        systemThemeApplied: state.systemThemeApplied
+      }),
+      merge: restoreSettings
+    })
+  )
+);
+
+export const useMapSettings = () =>
+  useMapSettingsStore((state) => ({
+    baseLayer: state.baseLayer,
+    toolbarTheme: state.toolbarTheme,
+    bearingUnit: state.bearingUnit,
+    setBaseLayer: state.setBaseLayer,
+    toggleToolbarTheme: state.toggleToolbarTheme,
+    toggleBearingUnit: state.toggleBearingUnit,
+    applySystemTheme: state.applySystemTheme
+  }));
@@ -0,0 +1,230 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import { persistOptions } from '../utils/persistence.js';
+import { useCheckpointsStore } from './useCheckpoints.js';
+import { useGridStore } from './useGrid.js';
+
+const createId = (prefix) => `${prefix}-${Math.random().toString(36).slice(2, 9)}`;
+
+export const DEFAULT_PLAN_NAME = 'Untitled plan';
+
+const PLAN_LIBRARY_STORAGE_VERSION = 1;
+
+const routeSnapshot = (state) => ({
+  start: state.start,
+  end: state.end,
+  checkpoints: state.checkpoints,
+  connectVia: state.connectVia,
+  eventMode: state.eventMode,
+  scoreSettings: state.scoreSettings,
+  visits: state.visits,
+  eventStartedAt: state.eventStartedAt,
+  arrivalRadius: state.arrivalRadius
+});
+
+const gridSnapshot = (state) => ({
+  system: state.system,
+  origin: state.origin,
+  originReference: state.originReference,
+  calibrationPoints: state.calibrationPoints
+});
+
+const captureWorkingPlan = () => ({
+  route: routeSnapshot(useCheckpointsStore.getState()),
+  grid: gridSnapshot(useGridStore.getState())
+});
+
+const emptyRoute = { start: null, end: null, checkpoints: [], connectVia: 'direct' };
+
+const normaliseName = (name, fallback = DEFAULT_PLAN_NAME) => {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  return trimmed || fallback;
+};
+
+const buildPlan = ({ name, notes = '', route, grid }) => {
+  const now = Date.now();
+  return {
+    id: createId('plan'),
+    name: normaliseName(name),
+    notes,
+    route,
+    grid,
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+// Set while a plan is being copied into the working stores, so the half-loaded state is not
+// written back over the plan being opened.
+let isApplyingPlan = false;
+
+// The working route and grid as last copied to the active plan. Store edits always replace the
+// fields they touch, so comparing field references tells a real change from a selection or drag tick.
+let syncedPlan = null;
+
+const sameFields = (a, b) => Object.keys(a).every((key) => a[key] === b[key]);
+
+const applyPlan = (plan) => {
+  isApplyingPlan = true;
+  try {
+    useCheckpointsStore.getState().loadPlan(plan.route);
+    useGridStore.getState().loadGridSetup(plan.grid);
+    syncedPlan = captureWorkingPlan();
+  } finally {
+    isApplyingPlan = false;
+  }
+};
+
+const restorePlans = (saved, current) => {
+  const plans = (Array.isArray(saved.plans) ? saved.plans : [])
+    .filter((plan) => typeof plan?.id === 'string')
+    .map((plan) => ({
+      id: plan.id,
+      name: normaliseName(plan.name),
+      notes: typeof plan.notes === 'string' ? plan.notes : '',
+      route: plan.route && typeof plan.route === 'object' ? plan.route : emptyRoute,
+      grid: plan.grid && typeof plan.grid === 'object' ? plan.grid : {},
+      createdAt: Number.isFinite(plan.createdAt) ? plan.createdAt : 0,
+      updatedAt: Number.isFinite(plan.updatedAt) ? plan.updatedAt : 0
+    }));
+  return {
+    ...current,
+    plans,
+    activePlanId: plans.some((plan) => plan.id === saved.activePlanId) ? saved.activePlanId : null
+  };
+};
+
+// The open plan lives in the checkpoint and grid stores while it is edited; the library keeps a copy
+// of it in step so switching, duplicating or reloading never loses work.
+const createPlanLibraryStore = (set, get) => ({
+  plans: [],
+  activePlanId: null,
+  newPlan: (name) => {
+    // A fresh plan keeps the current grid setup: it is usually for the same map.
+    const plan = buildPlan({ name, route: emptyRoute, grid: gridSnapshot(useGridStore.getState()) });
+    set((state) => ({ plans: [plan, ...state.plans], activePlanId: plan.id }));
+    applyPlan(plan);
+    return plan.id;
+  },
+  savePlanAs: (name) => {
+    const plan = buildPlan({ name, notes: get().activePlan()?.notes ?? '', ...captureWorkingPlan() });
+    set((state) => ({ plans: [plan, ...state.plans], activePlanId: plan.id }));
+    return plan.id;
+  },
+  duplicatePlan: (id) => {
+    const source = get().plans.find((plan) => plan.id === id);
+    if (!source) return null;
+    const plan = buildPlan({
+      name: `${source.name} (copy)`,
+      notes: source.notes,
+      route: source.route,
+      grid: source.grid
+    });
+    set((state) => ({ plans: [plan, ...state.plans] }));
+    return plan.id;
+  },
+  renamePlan: (id, name) =>
+    set((state) => ({
+      plans: state.plans.map((plan) =>
+        plan.id === id ? { ...plan, name: normaliseName(name, plan.name), updatedAt: Date.now() } : plan
+      )
+    })),
+  updatePlanNotes: (id, notes) =>
+    set((state) => ({
+      plans: state.plans.map((plan) => (plan.id === id ? { ...plan, notes, updatedAt: Date.now() } : plan))
+    })),
+  switchPlan: (id) => {
+    const { activePlanId, plans } = get();
+    const plan = plans.find((entry) => entry.id === id);
+    if (!plan || id === activePlanId) return;
+    set({ activePlanId: id });
+    applyPlan(plan);
+  },
+  deletePlan: (id) => {
+    const { activePlanId, plans } = get();
+    const remaining = plans.filter((plan) => plan.id !== id);
+    if (remaining.length === plans.length) return;
+    set({ plans: remaining });
+    if (id !== activePlanId) return;
+    const next = [...remaining].sort((a, b) => b.updatedAt - a.updatedAt)[0];
+    if (next) {
+      set({ activePlanId: next.id });
+      applyPlan(next);
+    } else {
+      get().newPlan();
+    }
+  },
+  // Share codes open as a plan of their own instead of replacing the one being worked on.
+  importSharedRoute: (snapshot, name = 'Shared route') => {
+    const id = get().newPlan(name);
+    useCheckpointsStore.getState().loadRouteSnapshot(snapshot, { recordHistory: false });
+    return id;
+  },
+  activePlan: () => {
+    const { activePlanId, plans } = get();
+    return plans.find((plan) => plan.id === activePlanId) ?? null;
+  }
+});
+
+export const usePlanLibraryStore = create(
+  persist(
+    createPlanLibraryStore,
+    persistOptions({
+      name: 'plans',
+      version: PLAN_LIBRARY_STORAGE_VERSION,
+      partialize: (state) => ({ plans: state.plans, activePlanId: state.activePlanId }),
+      merge: restorePlans
+    })
+  )
+);
+
+const sameSnapshot = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const syncActivePlan = () => {
+  if (isApplyingPlan) return;
+  const working = captureWorkingPlan();
+  if (syncedPlan && sameFields(syncedPlan.route, working.route) && sameFields(syncedPlan.grid, working.grid)) return;
+  const { activePlanId, plans } = usePlanLibraryStore.getState();
+  if (!plans.some((plan) => plan.id === activePlanId)) return;
+  syncedPlan = working;
+  usePlanLibraryStore.setState({
+    plans: plans.map((plan) => (plan.id === activePlanId ? { ...plan, ...working, updatedAt: Date.now() } : plan))
+  });
+};
+
+// The route from before the library existed, or one whose plan went missing, becomes a plan so it
+// is listed alongside the others.
+const ensureActivePlan = () => {
+  const working = captureWorkingPlan();
+  const active = usePlanLibraryStore.getState().activePlan();
+  if (active) {
+    // Reloaded copies are new objects, so this one comparison is by value.
+    if (sameSnapshot(active.route, working.route) && sameSnapshot(active.grid, working.grid)) {
+      syncedPlan = working;
+    } else {
+      syncActivePlan();
+    }
+    return;
+  }
+  const plan = buildPlan({ name: DEFAULT_PLAN_NAME, ...working });
+  syncedPlan = working;
+  usePlanLibraryStore.setState((state) => ({ plans: [plan, ...state.plans], activePlanId: plan.id }));
+};
+
+ensureActivePlan();
+useCheckpointsStore.subscribe(syncActivePlan);
+useGridStore.subscribe(syncActivePlan);
+
+export const usePlanLibrary = () =>
+  usePlanLibraryStore((state) => ({
+    plans: state.plans,
+    activePlanId: state.activePlanId,
+    newPlan: state.newPlan,
+    savePlanAs: state.savePlanAs,
+    duplicatePlan: state.duplicatePlan,
+    renamePlan: state.renamePlan,
+    updatePlanNotes: state.updatePlanNotes,
+    switchPlan: state.switchPlan,
+    deletePlan: state.deletePlan,
+    importSharedRoute: state.importSharedRoute
+  }));
@@ -0,0 +1,34 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import { persistOptions } from '../utils/persistence.js';
+import { DEFAULT_ROUTE_CARD_SETTINGS, TIME_METHODS } from '../utils/routeCard.js';
+
+const restoreSettings = (saved, current) => {
+  const settings = saved.settings ?? {};
+  return {
+    ...current,
+    settings: {
+      method: TIME_METHODS.includes(settings.method) ? settings.method : DEFAULT_ROUTE_CARD_SETTINGS.method,
+      speedKmh: Number.isFinite(settings.speedKmh) ? settings.speedKmh : DEFAULT_ROUTE_CARD_SETTINGS.speedKmh,
+      climbMinutesPer100m: Number.isFinite(settings.climbMinutesPer100m)
+        ? settings.climbMinutesPer100m
+        : DEFAULT_ROUTE_CARD_SETTINGS.climbMinutesPer100m
+    }
+  };
+};
+
+// Shared so the printed map's route card matches the one set up in the route tools.
+export const useRouteCardSettings = create(
+  persist(
+    (set) => ({
+      settings: DEFAULT_ROUTE_CARD_SETTINGS,
+      updateSettings: (changes) => set((state) => ({ settings: { ...state.settings, ...changes } }))
+    }),
+    persistOptions({
+      name: 'route-card',
+      version: 1,
+      partialize: (state) => ({ settings: state.settings }),
+      merge: restoreSettings
+    })
+  )
+);
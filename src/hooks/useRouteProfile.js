@@ -0,0 +1,33 @@
+import { useMemo } from 'react';
+import { useCheckpoints } from './useCheckpoints.js';
+import { useElevation } from './useElevation.js';
+import { checkpointLabel, isOnRoute } from '../utils/checkpoints.js';
+import { buildElevationProfile } from '../utils/profile.js';
+
+// Elevation profile along the drawn route (start, checkpoints, end), or null without terrain data.
+export const useRouteProfile = () => {
+  const { start, end, checkpoints, eventMode } = useCheckpoints();
+  const { models, elevationAt } = useElevation();
+
+  const waypoints = useMemo(() => {
+    const items = [];
+    if (start) items.push({ id: 'start', label: 'Start', position: start.position });
+    // Labels keep the checkpoint's number in the full list, even when skipped controls are left out.
+    checkpoints.forEach((checkpoint, index) => {
+      if (!isOnRoute(checkpoint, eventMode)) return;
+      items.push({ id: checkpoint.id, label: checkpointLabel(checkpoint, index, 'CP'), position: checkpoint.position });
+    });
+    if (end) items.push({ id: 'end', label: 'End', position: end.position });
+    return items;
+  }, [start, checkpoints, end, eventMode]);
+
+  const profile = useMemo(() => {
+    if (models.length === 0 || waypoints.length < 2) return null;
+    return buildElevationProfile(
+      waypoints.map((waypoint) => waypoint.position),
+      elevationAt
+    );
+  }, [models.length, waypoints, elevationAt]);
+
+  return { waypoints, profile, hasElevationData: models.length > 0 };
+};
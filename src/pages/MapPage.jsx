@@ -2,9 +2,20 @@ import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import MapView from '../components/MapView.jsx';
 import Compass from '../components/Compass.jsx';
 import CheckpointList from '../components/CheckpointList.jsx';
+import ElevationProfile from '../components/ElevationProfile.jsx';
+import RouteCard from '../components/RouteCard.jsx';
 import GridTools from '../components/GridTools.jsx';
 import PlacementToolbar from '../components/PlacementToolbar.jsx';
+import PlanLibrary from '../components/PlanLibrary.jsx';
+import ScoreBoard from '../components/ScoreBoard.jsx';
+import { useArrivalDetection } from '../hooks/useArrivalDetection.js';
 import { useCheckpoints } from '../hooks/useCheckpoints.js';
+import { useElevation } from '../hooks/useElevation.js';
+import { useGrid } from '../hooks/useGrid.js';
+import { useMapSettings } from '../hooks/useMapSettings.js';
+import { checkpointLabel } from '../utils/checkpoints.js';
+import { describeGridReference } from '../utils/grid.js';
+import { convertBearing, northReferenceAngles } from '../utils/bearings.js';
 import {
   useCompass,
   calculateBearing,
@@ -13,21 +24,64 @@ import {
 } from '../hooks/useCompass.js';
 
 const MapPage = () => {
-  const { start, end, checkpoints, selectedId, selectCheckpoint, setStart, setEnd, addCheckpoint } = useCheckpoints();
+  const {
+    start,
+    end,
+    checkpoints,
+    selectedId,
+    selectCheckpoint,
+    setStart,
+    setEnd,
+    addCheckpoint,
+    undo,
+    redo,
+    eventMode
+  } = useCheckpoints();
+  const {
+    system: gridSystem,
+    precision: gridPrecision,
+    origin: gridOrigin,
+    originReference,
+    calibration,
+    northReference,
+    coordinateFormat,
+    setNorthReference
+  } = useGrid();
+  const { elevationAt, loadStoredModels } = useElevation();
+
+  useEffect(() => {
+    loadStoredModels();
+  }, [loadStoredModels]);
 
   const targetEntries = useMemo(() => {
+    const describe = (position) =>
+      describeGridReference({
+        point: position,
+        system: gridSystem,
+        precision: gridPrecision,
+        origin: gridOrigin,
+        originReference,
+        calibration
+      });
     const items = [];
-    if (start) items.push({ id: 'start', label: 'Start', position: start.position });
+    if (start) {
+      items.push({ id: 'start', label: 'Start', position: start.position, gridReference: describe(start.position) });
+    }
     checkpoints.forEach((checkpoint, index) => {
       items.push({
         id: checkpoint.id,
-        label: `Checkpoint ${index + 1}`,
-        position: checkpoint.position
+        label: checkpointLabel(checkpoint, index),
+        note: checkpoint.note,
+        category: checkpoint.category,
+        position: checkpoint.position,
+        gridReference: describe(checkpoint.position)
       });
     });
-    if (end) items.push({ id: 'end', label: 'End', position: end.position });
-    return items;
-  }, [start, checkpoints, end]);
+    if (end) {
+      items.push({ id: 'end', label: 'End', position: end.position, gridReference: describe(end.position) });
+    }
+    return items.map((item) => ({ ...item, elevation: elevationAt(item.position) }));
+  }, [start, checkpoints, end, gridSystem, gridPrecision, gridOrigin, originReference, calibration, elevationAt]);
 
   const selectedTarget = useMemo(
     () => targetEntries.find((item) => item.id === selectedId) ?? null,
@@ -37,7 +91,7 @@ const MapPage = () => {
   const selectedPosition = selectedTarget?.position ?? null;
 
   const {
-    heading,
+    heading: magneticHeading,
     bearing,
     distance,
     geolocation,
@@ -48,9 +102,36 @@ const MapPage = () => {
     hasLocationFix,
     isRequestingLocation,
     requestPermission,
-    startGeolocation
+    startGeolocation,
+    fixedLocation,
+    setFixedLocation,
+    gpsLocation,
+    gpsAccuracy
   } = useCompass(selectedPosition);
 
+  // A position fixed by hand is not where the cadet is standing, so only live GPS counts as arriving.
+  const { arrival, dismissArrival } = useArrivalDetection({
+    location: fixedLocation ? null : gpsLocation,
+    accuracy: gpsAccuracy
+  });
+
+  const northAngles = useMemo(
+    () =>
+      northReferenceAngles({
+        point: geolocation,
+        system: gridSystem,
+        calibration
+      }),
+    [geolocation, gridSystem, calibration]
+  );
+
+  // Device compasses read magnetic north; everything else on the map works in true bearings. Until
+  // there is a position to work out declination at, the true heading is unknown (null).
+  const heading = useMemo(
+    () => convertBearing(magneticHeading, 'magnetic', 'true', northAngles),
+    [magneticHeading, northAngles]
+  );
+
   const supplementaryTargets = useMemo(
     () =>
       targetEntries
@@ -79,9 +160,15 @@ const MapPage = () => {
   const [activeOverlay, setActiveOverlay] = useState(null);
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [locationRequestToken, setLocationRequestToken] = useState(0);
-  const [bearingUnit, setBearingUnit] = useState('degrees');
-  const [baseLayer, setBaseLayer] = useState('topo');
-  const [toolbarTheme, setToolbarTheme] = useState('light');
+  const {
+    baseLayer,
+    toolbarTheme,
+    bearingUnit,
+    setBaseLayer,
+    toggleToolbarTheme,
+    toggleBearingUnit,
+    applySystemTheme
+  } = useMapSettings();
   const [overlayHeight, setOverlayHeight] = useState(0.58);
   const [previewLocation, setPreviewLocation] = useState(null);
   const [showPlacingHelp, setShowPlacingHelp] = useState(false);
@@ -106,10 +193,6 @@ const MapPage = () => {
     return started;
   }, [startGeolocation]);
 
-  const toggleBearingUnit = useCallback(() => {
-    setBearingUnit((current) => (current === 'degrees' ? 'mils' : 'degrees'));
-  }, []);
-
   const toggleMenu = useCallback(() => {
     setIsMenuOpen((prev) => !prev);
   }, []);
@@ -196,17 +279,33 @@ const MapPage = () => {
 
   useEffect(() => {
     if (typeof window === 'undefined' || !window.matchMedia) return;
-    const media = window.matchMedia('(prefers-color-scheme: dark)');
-    if (media.matches) {
-      setBaseLayer((current) => (current === 'street' ? 'dark' : current));
-      setToolbarTheme('dark');
-    }
-  }, []);
+    applySystemTheme(window.matchMedia('(prefers-color-scheme: dark)').matches);
+  }, [applySystemTheme]);
 
   useEffect(() => {
     handleEnableLocation();
   }, [handleEnableLocation]);
 
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y) step through route edits. Text fields keep their own undo.
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      const target = event.target;
+      if (target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z') {
+        event.preventDefault();
+        if (event.shiftKey) redo();
+        else undo();
+      } else if (key === 'y') {
+        event.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [redo, undo]);
+
   useEffect(() => {
     latestGeolocationRef.current = geolocation;
   }, [geolocation]);
@@ -223,10 +322,6 @@ const MapPage = () => {
     }
   }, [baseLayer, locationEnabled, handleEnableLocation]);
 
-  const handleToolbarThemeToggle = useCallback(() => {
-    setToolbarTheme((current) => (current === 'light' ? 'dark' : 'light'));
-  }, []);
-
   const handleDropItem = useCallback(
     (type, latLng) => {
       if (type === 'start') {
@@ -261,13 +356,28 @@ const MapPage = () => {
         onOpenCompass={openCompassOverlay}
         onOpenRoute={openRouteOverlay}
         toolbarTheme={toolbarTheme}
-        onToolbarThemeToggle={handleToolbarThemeToggle}
+        onToolbarThemeToggle={toggleToolbarTheme}
         isMenuOpen={isMenuOpen}
         previewLocation={previewLocation}
         onDropItem={handleDropItem}
         hideToolbar={isPlacingMode}
       />
 
+      {arrival && (
+        <div className="pointer-events-none fixed inset-x-0 top-4 z-[1450] flex justify-center px-4">
+          <button
+            type="button"
+            className="pointer-events-auto animate-pulse rounded-2xl border border-emerald-400 bg-emerald-900/95 px-4 py-2 text-left text-sm text-emerald-50 shadow-xl shadow-slate-950/80"
+            onClick={dismissArrival}
+          >
+            <span className="block font-semibold">Reached {arrival.label}</span>
+            <span className="block text-xs text-emerald-200">
+              {arrival.nextLabel ? `Next: ${arrival.nextLabel}` : 'No unvisited checkpoints ahead'}
+            </span>
+          </button>
+        </div>
+      )}
+
       {!isPlacingMode && activeOverlay === 'compass' && (
         <div
           className="pointer-events-auto overlay-sheet fixed inset-x-0 bottom-0 z-[1300] mx-auto w-full max-w-md overflow-y-auto overscroll-contain rounded-t-3xl border border-slate-800 bg-slate-900 p-3 shadow-2xl shadow-slate-950/80 md:bottom-6 md:left-auto md:right-6 md:max-w-sm md:rounded-2xl"
@@ -288,8 +398,10 @@ const MapPage = () => {
             <p className="font-semibold uppercase tracking-wide text-slate-500">Compass</p>
             <p className="text-xs text-slate-400">Heading & bearings</p>
           </div>
+          {eventMode === 'score' && <ScoreBoard />}
           <Compass
             heading={heading}
+            magneticHeading={magneticHeading}
             bearing={bearing}
             distance={distance}
             error={error}
@@ -305,6 +417,12 @@ const MapPage = () => {
             onSelectTarget={selectCheckpoint}
             bearingUnit={bearingUnit}
             onToggleBearingUnit={toggleBearingUnit}
+            northReference={northReference}
+            onNorthReferenceChange={setNorthReference}
+            northAngles={northAngles}
+            coordinateFormat={coordinateFormat}
+            isFixedLocation={Boolean(fixedLocation)}
+            onClearFixedLocation={() => setFixedLocation(null)}
           />
         </div>
       )}
@@ -329,7 +447,10 @@ const MapPage = () => {
             <p className="font-semibold uppercase tracking-wide text-slate-500">Route tools</p>
             <p className="text-xs text-slate-400">Manage checkpoints</p>
           </div>
+          <PlanLibrary />
           <CheckpointList onEnterPlacingMode={() => setIsPlacingMode(true)} />
+          <ElevationProfile />
+          <RouteCard />
         </div>
       )}
 
@@ -357,6 +478,7 @@ const MapPage = () => {
             userLocation={geolocation}
             selectedPosition={selectedPosition}
             onPreviewLocationChange={setPreviewLocation}
+            onAdoptPosition={setFixedLocation}
           />
         </div>
       )}
@@ -0,0 +1,56 @@
+import { gridConvergence } from './grid.js';
+import { magneticDeclination } from './magnetic.js';
+
+export const NORTH_REFERENCES = ['true', 'grid', 'magnetic'];
+
+export const NORTH_REFERENCE_LABELS = {
+  true: 'True',
+  grid: 'Grid',
+  magnetic: 'Magnetic'
+};
+
+export const NORTH_REFERENCE_SUFFIXES = {
+  true: 'T',
+  grid: 'G',
+  magnetic: 'M'
+};
+
+const normaliseBearing = (degrees) => ((degrees % 360) + 360) % 360;
+
+// Declination and convergence are both measured clockwise from true north, so the
+// grid-magnetic angle is simply their difference.
+export const northReferenceAngles = ({ point, system, calibration, date = new Date() }) => {
+  if (!point) return null;
+  const declination = magneticDeclination(point, date);
+  const convergence = gridConvergence({ point, system, calibration });
+  return {
+    declination,
+    convergence,
+    gridMagneticAngle: declination - convergence,
+    date
+  };
+};
+
+const offsetFromTrue = (reference, angles) => {
+  if (reference === 'grid') return angles?.convergence ?? null;
+  if (reference === 'magnetic') return angles?.declination ?? null;
+  return 0;
+};
+
+// Null when the references differ and the angle between them is unknown (no position yet), so a
+// bearing is never shown under a reference it was not converted to.
+export const convertBearing = (bearing, from, to, angles) => {
+  if (bearing == null) return null;
+  if (from === to) return normaliseBearing(bearing);
+  const fromOffset = offsetFromTrue(from, angles);
+  const toOffset = offsetFromTrue(to, angles);
+  if (!Number.isFinite(fromOffset) || !Number.isFinite(toOffset)) return null;
+  return normaliseBearing(bearing + fromOffset - toOffset);
+};
+
+export const formatAngleOffset = (degrees, digits = 1) => {
+  if (degrees == null || Number.isNaN(degrees)) return '—';
+  const rounded = Number(Math.abs(degrees).toFixed(digits));
+  if (rounded === 0) return `0°`;
+  return `${rounded}° ${degrees > 0 ? 'E' : 'W'}`;
+};
@@ -0,0 +1,117 @@
+export const CHECKPOINT_NAME_MAX_LENGTH = 40;
+export const CHECKPOINT_NOTE_MAX_LENGTH = 200;
+
+// Order matters: share codes store a category as its index in this list, plus one.
+export const CHECKPOINT_CATEGORY_IDS = ['control', 'water', 'rv', 'hazard'];
+
+// Glyphs are 16×16 SVG drawn in white on the category colour.
+export const CHECKPOINT_CATEGORIES = {
+  control: {
+    label: 'Control',
+    color: '#f97316',
+    glyph:
+      '<path d="M3 3h10v10H3z" fill="none" stroke="#fff" stroke-width="1.5"/><path d="M3 3l10 10H3z" fill="#fff"/>'
+  },
+  water: {
+    label: 'Water',
+    color: '#0ea5e9',
+    glyph: '<path d="M8 2S3.5 7.5 3.5 10.5a4.5 4.5 0 0 0 9 0C12.5 7.5 8 2 8 2z" fill="#fff"/>'
+  },
+  rv: {
+    label: 'RV',
+    color: '#14b8a6',
+    glyph:
+      '<path d="M4.5 14V2.5" stroke="#fff" stroke-width="1.5" stroke-linecap="round"/><path d="M5 3h7.5l-2 2.75 2 2.75H5z" fill="#fff"/>'
+  },
+  hazard: {
+    label: 'Hazard',
+    color: '#eab308',
+    glyph:
+      '<path d="M8 2l6.5 11.5h-13z" fill="#fff"/><path d="M8 6.5v3.5" stroke="#eab308" stroke-width="1.6" stroke-linecap="round"/><circle cx="8" cy="12" r="0.9" fill="#eab308"/>'
+  }
+};
+
+export const checkpointGlyphSvg = (category, size = 16) => {
+  const definition = CHECKPOINT_CATEGORIES[category];
+  return definition
+    ? `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="${size}" height="${size}">${definition.glyph}</svg>`
+    : null;
+};
+
+const cleanText = (value, maxLength, { singleLine = false } = {}) => {
+  if (typeof value !== 'string') return '';
+  const text = singleLine ? value.replace(/\s+/g, ' ') : value;
+  return text.trim().slice(0, maxLength);
+};
+
+// Name, note and category with blanks dropped, so a checkpoint without details stays { id, position }.
+export const normaliseCheckpointDetails = (details) => {
+  const name = cleanText(details?.name, CHECKPOINT_NAME_MAX_LENGTH, { singleLine: true });
+  const note = cleanText(details?.note, CHECKPOINT_NOTE_MAX_LENGTH);
+  const category = CHECKPOINT_CATEGORY_IDS.includes(details?.category) ? details.category : null;
+  return {
+    ...(name ? { name } : {}),
+    ...(note ? { note } : {}),
+    ...(category ? { category } : {})
+  };
+};
+
+export const hasCheckpointDetails = (details) => Object.keys(normaliseCheckpointDetails(details)).length > 0;
+
+export const checkpointLabel = (checkpoint, index, prefix = 'Checkpoint') =>
+  checkpoint?.name || `${prefix} ${index + 1}`;
+
+export const EVENT_MODES = ['route', 'score'];
+export const DEFAULT_CONTROL_POINTS = 10;
+export const MAX_CONTROL_POINTS = 999;
+export const DEFAULT_SCORE_SETTINGS = { timeLimitMinutes: 60, speedKmh: 4 };
+
+export const normaliseControlPoints = (value) => {
+  const points = Math.round(Number(value));
+  return Number.isFinite(points) ? Math.min(Math.max(points, 0), MAX_CONTROL_POINTS) : null;
+};
+
+export const controlPoints = (checkpoint) => checkpoint?.points ?? DEFAULT_CONTROL_POINTS;
+
+// Score-event fields kept alongside the details; skipped controls stay on the map but off the route.
+export const normaliseScoreFields = (checkpoint) => {
+  const points = checkpoint?.points == null ? null : normaliseControlPoints(checkpoint.points);
+  return {
+    ...(points != null ? { points } : {}),
+    ...(checkpoint?.skipped === true ? { skipped: true } : {})
+  };
+};
+
+export const normaliseScoreSettings = (settings) => {
+  const timeLimitMinutes = Number(settings?.timeLimitMinutes);
+  const speedKmh = Number(settings?.speedKmh);
+  return {
+    timeLimitMinutes:
+      Number.isFinite(timeLimitMinutes) && timeLimitMinutes > 0
+        ? timeLimitMinutes
+        : DEFAULT_SCORE_SETTINGS.timeLimitMinutes,
+    speedKmh: Number.isFinite(speedKmh) && speedKmh > 0 ? speedKmh : DEFAULT_SCORE_SETTINGS.speedKmh
+  };
+};
+
+// The drawn route passes through every checkpoint, except skipped controls in a score event.
+export const isOnRoute = (checkpoint, eventMode) => eventMode !== 'score' || !checkpoint.skipped;
+
+export const routeCheckpoints = (checkpoints, eventMode) =>
+  checkpoints.filter((checkpoint) => isOnRoute(checkpoint, eventMode));
+
+export const ARRIVAL_RADIUS_OPTIONS = [10, 20, 30, 50, 100];
+export const DEFAULT_ARRIVAL_RADIUS = 20;
+
+export const normaliseArrivalRadius = (value) => {
+  const radius = Number(value);
+  return Number.isFinite(radius) && radius > 0 ? radius : DEFAULT_ARRIVAL_RADIUS;
+};
+
+// The zone is never enlarged for GPS error: the fix must be inside the radius, and a fix whose
+// reported accuracy is coarser than the radius is ignored until a better one arrives.
+export const isWithinArrivalRadius = (distance, accuracy, radius) => {
+  if (distance == null) return false;
+  if (Number.isFinite(accuracy) && accuracy > radius) return false;
+  return distance <= radius;
+};
@@ -0,0 +1,23 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { isWithinArrivalRadius } from './checkpoints.js';
+
+test('arrives inside the radius with a good fix', () => {
+  assert.equal(isWithinArrivalRadius(15, 5, 20), true);
+  assert.equal(isWithinArrivalRadius(20, 20, 20), true);
+});
+
+test('does not arrive outside the radius, however poor the fix', () => {
+  assert.equal(isWithinArrivalRadius(25, 5, 20), false);
+  assert.equal(isWithinArrivalRadius(35, 20, 20), false);
+  assert.equal(isWithinArrivalRadius(30, 100, 20), false);
+});
+
+test('waits for a fix at least as accurate as the radius', () => {
+  assert.equal(isWithinArrivalRadius(5, 30, 20), false);
+});
+
+test('uses distance alone when accuracy is unknown', () => {
+  assert.equal(isWithinArrivalRadius(18, null, 20), true);
+  assert.equal(isWithinArrivalRadius(null, 5, 20), false);
+});
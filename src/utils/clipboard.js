@@ -0,0 +1,18 @@
+// Clipboard write with a hidden-textarea fallback for browsers without the async clipboard API.
+export const copyText = async (text) => {
+  if (typeof navigator !== 'undefined' && navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return true;
+  }
+  if (typeof document === 'undefined') return false;
+  const element = document.createElement('textarea');
+  element.value = text;
+  element.setAttribute('readonly', '');
+  element.style.position = 'absolute';
+  element.style.left = '-9999px';
+  document.body.appendChild(element);
+  element.select();
+  const succeeded = typeof document.execCommand === 'function' && document.execCommand('copy');
+  document.body.removeChild(element);
+  return Boolean(succeeded);
+};
@@ -0,0 +1,224 @@
+import { gridReferenceTextToLatLng, isAbsoluteGridSystem, osgbReferenceToLatLng } from './grid.js';
+import { mgrsToLatLng } from './utm.js';
+import { decodeLocationCode, decodeRouteShare } from './routeUtils.js';
+
+export const LOCATION_INPUT_KINDS = {
+  decimal: 'Decimal degrees',
+  ddm: 'Degrees and decimal minutes',
+  dms: 'Degrees, minutes and seconds',
+  osgb: 'National Grid reference',
+  mgrs: 'MGRS reference',
+  grid: 'Local grid reference',
+  geohash: 'Location code',
+  route: 'Route share code'
+};
+
+const GEOHASH_PATTERN = /^[0-9b-hjkmnp-z]{4,12}$/;
+const MGRS_PATTERN = /^\d{1,2}\s*[C-HJ-NP-X]\s*[A-HJ-NP-Z]{2}[\d\s]*$/;
+const OSGB_PATTERN = /^[HJNOST][A-HJ-Z]\s*\d[\d\s]*$/;
+const GRID_DIGITS_PATTERN = /^\d+(?:[\s,]+\d+)?$/;
+const NUMBER_PATTERN = /\d+(?:\.\d+)?/g;
+
+const formatDegrees = (value) => value.toFixed(5);
+
+// Normalise the many quote and degree marks that phones and copied text produce.
+const normaliseAngleText = (text) =>
+  text
+    .toUpperCase()
+    .replace(/[º˚]/g, '°')
+    .replace(/[′’‘`]/g, "'")
+    .replace(/[″“”]|''/g, '"');
+
+// Parse one angle such as "51.5", "-0 7.5", "51°30'15\"N" or "W0:07:30". Returns the signed
+// value, the axis implied by a hemisphere letter (if any) and how many parts were written.
+const parseAngle = (text) => {
+  const trimmed = text.trim();
+  const match = /^([NSEW])?\s*([+-])?\s*([\d.\s°'":]+?)\s*([NSEW])?$/.exec(trimmed);
+  if (!match) return null;
+  const [, leading, sign, body, trailing] = match;
+  if (leading && trailing) return null;
+  const hemisphere = leading ?? trailing ?? null;
+  if (hemisphere && sign) return null;
+
+  const parts = body.match(NUMBER_PATTERN) ?? [];
+  if (parts.length === 0 || parts.length > 3) return null;
+  if (body.replace(NUMBER_PATTERN, '').replace(/[\s°'":]/g, '') !== '') return null;
+  // Only the last part may carry decimals: 51.5 30 is not an angle.
+  if (parts.slice(0, -1).some((part) => part.includes('.'))) return null;
+
+  const [degrees, minutes = 0, seconds = 0] = parts.map(Number);
+  if (minutes >= 60 || seconds >= 60) return null;
+  const magnitude = degrees + minutes / 60 + seconds / 3600;
+  const negative = sign === '-' || hemisphere === 'S' || hemisphere === 'W';
+  let axis = null;
+  if (hemisphere === 'N' || hemisphere === 'S') axis = 'lat';
+  if (hemisphere === 'E' || hemisphere === 'W') axis = 'lng';
+  return { value: negative ? -magnitude : magnitude, axis, partCount: parts.length };
+};
+
+// Split a coordinate pair into its two halves: on a comma/semicolon/slash, after a trailing
+// hemisphere letter, before a leading one, or evenly across whitespace-separated numbers.
+const splitCoordinatePair = (text) => {
+  const separated = text.split(/\s*[,;/]\s*/);
+  if (separated.length === 2) return separated;
+  if (separated.length > 2) return null;
+
+  if (/^[NSEW]/.test(text)) {
+    const leading = /^([NSEW].*?)\s*([NSEW].*)$/.exec(text);
+    return leading ? [leading[1], leading[2]] : null;
+  }
+  const trailing = /^(.*?\d[^NSEW]*[NSEW])\s*(.+)$/.exec(text);
+  if (trailing) return [trailing[1], trailing[2]];
+
+  const tokens = text.split(/\s+/).filter(Boolean);
+  if (tokens.length % 2 !== 0 || tokens.length > 6) return null;
+  const half = tokens.length / 2;
+  return [tokens.slice(0, half).join(' '), tokens.slice(half).join(' ')];
+};
+
+const parseLatLngText = (text) => {
+  const halves = splitCoordinatePair(normaliseAngleText(text));
+  if (!halves) return null;
+  const [first, second] = halves.map(parseAngle);
+  if (!first || !second) return null;
+  if (first.axis && first.axis === second.axis) {
+    throw new Error('Give one latitude (N/S) and one longitude (E/W).');
+  }
+
+  const swapped = first.axis === 'lng' || second.axis === 'lat';
+  const lat = swapped ? second.value : first.value;
+  const lng = swapped ? first.value : second.value;
+  if (Math.abs(lat) > 90) {
+    throw new Error('Latitude must be between -90 and 90 degrees.');
+  }
+  if (Math.abs(lng) > 180) {
+    throw new Error('Longitude must be between -180 and 180 degrees.');
+  }
+
+  const partCount = Math.max(first.partCount, second.partCount);
+  const kind = partCount === 3 ? 'dms' : partCount === 2 ? 'ddm' : 'decimal';
+  return { kind, position: { lat, lng } };
+};
+
+const describePosition = (kind, position, detail) =>
+  `${LOCATION_INPUT_KINDS[kind]}${detail ? ` ${detail}` : ''} → ${formatDegrees(position.lat)}, ${formatDegrees(position.lng)}`;
+
+// Work out what a typed or pasted location is and resolve it. Returns
+// { kind, position, description } for a single point, or { kind: 'route', snapshot, description }
+// for a route share code. Throws with a hint when the text is not understood.
+export const parseLocationInput = (text, { system, origin, originReference, calibration } = {}) => {
+  const raw = String(text ?? '').trim();
+  if (!raw) {
+    throw new Error('Enter a grid reference, coordinates or a code.');
+  }
+
+  const gridText = raw.replace(/^GR(?=[\s:\d])[\s:]*/i, '');
+  const upper = gridText.toUpperCase();
+
+  if (MGRS_PATTERN.test(upper)) {
+    const position = mgrsToLatLng(upper);
+    return { kind: 'mgrs', position, description: describePosition('mgrs', position, upper) };
+  }
+
+  if (OSGB_PATTERN.test(upper)) {
+    const position = osgbReferenceToLatLng(upper);
+    return { kind: 'osgb', position, description: describePosition('osgb', position, upper) };
+  }
+
+  if (GRID_DIGITS_PATTERN.test(gridText)) {
+    if (isAbsoluteGridSystem(system)) {
+      throw new Error(
+        system === 'osgb'
+          ? 'Add the two square letters, e.g. SU 1234 5678.'
+          : 'Add the zone and square letters, e.g. 30U WB 1234 5678.'
+      );
+    }
+    if (!calibration && (!origin || !originReference)) {
+      throw new Error('Set a grid origin or calibrate the local grid before entering digits only.');
+    }
+    const position = gridReferenceTextToLatLng({
+      text: gridText,
+      system,
+      origin,
+      originReference,
+      calibration
+    });
+    const compact = gridText.replace(/[\s,]+/g, ' ');
+    return { kind: 'grid', position, description: describePosition('grid', position, compact) };
+  }
+
+  // Location codes come before coordinates: one without separators or decimals, such as "s2e5",
+  // would otherwise be read as a pair of whole degrees with hemisphere letters.
+  const lower = raw.toLowerCase();
+  if (GEOHASH_PATTERN.test(lower) && !/^\d+$/.test(lower)) {
+    const position = decodeLocationCode(lower);
+    if (position) {
+      return { kind: 'geohash', position, description: describePosition('geohash', position, lower) };
+    }
+  }
+
+  const latLng = parseLatLngText(raw);
+  if (latLng) {
+    return { ...latLng, description: describePosition(latLng.kind, latLng.position) };
+  }
+
+  if (raw.length > 12) {
+    const snapshot = decodeRouteShare(raw);
+    if (snapshot) {
+      const count =
+        (snapshot.start ? 1 : 0) + (snapshot.end ? 1 : 0) + snapshot.checkpoints.length;
+      return {
+        kind: 'route',
+        snapshot,
+        description: `${LOCATION_INPUT_KINDS.route} with ${count} ${count === 1 ? 'point' : 'points'}`
+      };
+    }
+  }
+
+  throw new Error(
+    'Not recognised. Try 51.5074, -0.1278, 51°30\'N 0°07\'W, a grid reference or a location code.'
+  );
+};
+
+export const COORDINATE_FORMATS = ['decimal', 'ddm', 'dms'];
+
+export const COORDINATE_FORMAT_LABELS = {
+  decimal: 'DD',
+  ddm: 'DDM',
+  dms: 'DMS'
+};
+
+export const normaliseCoordinateFormat = (format) =>
+  COORDINATE_FORMATS.includes(format) ? format : 'decimal';
+
+const pad = (value, width) => String(value).padStart(width, '0');
+
+// Round on the smallest displayed unit first so 59.96" becomes 1' rather than 60.0".
+export const formatCoordinate = (value, axis, format = 'decimal') => {
+  if (typeof value !== 'number' || Number.isNaN(value)) return '—';
+  if (format === 'decimal') return value.toFixed(6);
+
+  const hemisphere = axis === 'lat' ? (value < 0 ? 'S' : 'N') : value < 0 ? 'W' : 'E';
+  const degreeWidth = axis === 'lat' ? 2 : 3;
+  const magnitude = Math.abs(value);
+
+  if (format === 'ddm') {
+    const thousandthMinutes = Math.round(magnitude * 60000);
+    const degrees = Math.floor(thousandthMinutes / 60000);
+    const minutes = (thousandthMinutes % 60000) / 1000;
+    return `${pad(degrees, degreeWidth)}°${pad(minutes.toFixed(3), 6)}'${hemisphere}`;
+  }
+
+  const tenthSeconds = Math.round(magnitude * 36000);
+  const degrees = Math.floor(tenthSeconds / 36000);
+  const minutes = Math.floor((tenthSeconds % 36000) / 600);
+  const seconds = (tenthSeconds % 600) / 10;
+  return `${pad(degrees, degreeWidth)}°${pad(minutes, 2)}'${pad(seconds.toFixed(1), 4)}"${hemisphere}`;
+};
+
+export const formatPosition = (position, format = 'decimal') => {
+  if (!position || typeof position.lat !== 'number' || typeof position.lng !== 'number') return '';
+  const lat = formatCoordinate(position.lat, 'lat', format);
+  const lng = formatCoordinate(position.lng, 'lng', format);
+  return format === 'decimal' ? `${lat}, ${lng}` : `${lat} ${lng}`;
+};
@@ -0,0 +1,420 @@
+// Elevation models held as a regular lat/lng grid. Sample (col, row) sits at
+// lng = west + col * cellWidth, lat = north - row * cellHeight.
+
+const MAX_DEM_SAMPLES = 40_000_000;
+const HGT_VOID = -32768;
+
+const HGT_NAME_PATTERN = /([NS])(\d{2})([EW])(\d{3})/i;
+
+// SRTM .hgt tiles are big-endian int16 squares named after their south-west corner.
+export const parseHgt = (buffer, fileName) => {
+  const match = HGT_NAME_PATTERN.exec(fileName ?? '');
+  if (!match) {
+    throw new Error('SRTM files must keep their original name, e.g. N51W001.hgt.');
+  }
+  const size = Math.sqrt(buffer.byteLength / 2);
+  if (!Number.isInteger(size) || size < 2) {
+    throw new Error('That .hgt file is not a square SRTM tile.');
+  }
+  const [, latHemisphere, latText, lngHemisphere, lngText] = match;
+  const south = Number(latText) * (latHemisphere.toUpperCase() === 'S' ? -1 : 1);
+  const west = Number(lngText) * (lngHemisphere.toUpperCase() === 'W' ? -1 : 1);
+
+  const view = new DataView(buffer);
+  const data = new Int16Array(size * size);
+  for (let index = 0; index < data.length; index += 1) {
+    data[index] = view.getInt16(index * 2, false);
+  }
+
+  return {
+    width: size,
+    height: size,
+    west,
+    north: south + 1,
+    cellWidth: 1 / (size - 1),
+    cellHeight: 1 / (size - 1),
+    noData: HGT_VOID,
+    data
+  };
+};
+
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 16: 8 };
+
+const TAGS = {
+  width: 256,
+  height: 257,
+  bitsPerSample: 258,
+  compression: 259,
+  stripOffsets: 273,
+  samplesPerPixel: 277,
+  rowsPerStrip: 278,
+  stripByteCounts: 279,
+  predictor: 317,
+  tileWidth: 322,
+  tileLength: 323,
+  tileOffsets: 324,
+  tileByteCounts: 325,
+  sampleFormat: 339,
+  pixelScale: 33550,
+  tiepoint: 33922,
+  geoKeys: 34735,
+  noData: 42113
+};
+
+const GEO_KEY_MODEL_TYPE = 1024;
+const GEO_KEY_RASTER_TYPE = 1025;
+const MODEL_TYPE_GEOGRAPHIC = 2;
+const RASTER_PIXEL_IS_POINT = 2;
+
+const readTiffValue = (view, type, offset, littleEndian) => {
+  switch (type) {
+    case 1:
+    case 2:
+    case 7:
+      return view.getUint8(offset);
+    case 3:
+      return view.getUint16(offset, littleEndian);
+    case 4:
+      return view.getUint32(offset, littleEndian);
+    case 5:
+      return view.getUint32(offset, littleEndian) / view.getUint32(offset + 4, littleEndian);
+    case 6:
+      return view.getInt8(offset);
+    case 8:
+      return view.getInt16(offset, littleEndian);
+    case 9:
+      return view.getInt32(offset, littleEndian);
+    case 10:
+      return view.getInt32(offset, littleEndian) / view.getInt32(offset + 4, littleEndian);
+    case 11:
+      return view.getFloat32(offset, littleEndian);
+    case 12:
+      return view.getFloat64(offset, littleEndian);
+    case 16:
+      return Number(view.getBigUint64(offset, littleEndian));
+    default:
+      throw new Error(`Unsupported TIFF field type ${type}.`);
+  }
+};
+
+const readIfd = (view, offset, littleEndian) => {
+  const count = view.getUint16(offset, littleEndian);
+  const fields = new Map();
+  for (let index = 0; index < count; index += 1) {
+    const entry = offset + 2 + index * 12;
+    const tag = view.getUint16(entry, littleEndian);
+    const type = view.getUint16(entry + 2, littleEndian);
+    const valueCount = view.getUint32(entry + 4, littleEndian);
+    const size = TIFF_TYPE_SIZES[type];
+    if (!size) continue;
+    const valueOffset =
+      size * valueCount <= 4 ? entry + 8 : view.getUint32(entry + 8, littleEndian);
+    if (type === 2) {
+      const bytes = new Uint8Array(view.buffer, view.byteOffset + valueOffset, valueCount);
+      fields.set(tag, new TextDecoder().decode(bytes).replace(/\0+$/, ''));
+      continue;
+    }
+    const values = [];
+    for (let item = 0; item < valueCount; item += 1) {
+      values.push(readTiffValue(view, type, valueOffset + item * size, littleEndian));
+    }
+    fields.set(tag, values);
+  }
+  return fields;
+};
+
+// TIFF flavour of LZW: MSB-first codes, 9-12 bits, widths grow one code early.
+const decodeLzw = (input) => {
+  const output = [];
+  let dictionary = [];
+  let codeWidth = 9;
+  let bitPosition = 0;
+  let previous = null;
+
+  const resetDictionary = () => {
+    dictionary = [];
+    for (let code = 0; code < 256; code += 1) dictionary.push([code]);
+    dictionary.push(null, null);
+    codeWidth = 9;
+  };
+
+  const readCode = () => {
+    let code = 0;
+    for (let bit = 0; bit < codeWidth; bit += 1) {
+      const byte = input[bitPosition >> 3];
+      if (byte === undefined) return 257;
+      code = (code << 1) | ((byte >> (7 - (bitPosition & 7))) & 1);
+      bitPosition += 1;
+    }
+    return code;
+  };
+
+  resetDictionary();
+  for (;;) {
+    const code = readCode();
+    if (code === 257) break;
+    if (code === 256) {
+      resetDictionary();
+      previous = null;
+      continue;
+    }
+    let entry;
+    if (code < dictionary.length && dictionary[code]) {
+      entry = dictionary[code];
+      if (previous) dictionary.push([...previous, entry[0]]);
+    } else if (previous) {
+      entry = [...previous, previous[0]];
+      dictionary.push(entry);
+    } else {
+      throw new Error('Corrupt LZW data in GeoTIFF.');
+    }
+    for (let index = 0; index < entry.length; index += 1) output.push(entry[index]);
+    previous = entry;
+    if (dictionary.length + 1 >= 1 << codeWidth && codeWidth < 12) codeWidth += 1;
+  }
+  return new Uint8Array(output);
+};
+
+const inflate = async (input) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot read Deflate-compressed GeoTIFFs.');
+  }
+  const stream = new Blob([input]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const decompressChunk = (bytes, compression) => {
+  if (compression === 1) return bytes;
+  if (compression === 5) return decodeLzw(bytes);
+  if (compression === 8 || compression === 32946) return inflate(bytes);
+  throw new Error('Only uncompressed, LZW or Deflate GeoTIFFs are supported.');
+};
+
+const createSampleArray = (sampleFormat, bitsPerSample, length) => {
+  if (sampleFormat === 3 && bitsPerSample === 32) return new Float32Array(length);
+  if (sampleFormat === 3 && bitsPerSample === 64) return new Float64Array(length);
+  if (sampleFormat === 2 && bitsPerSample === 16) return new Int16Array(length);
+  if (sampleFormat === 2 && bitsPerSample === 32) return new Int32Array(length);
+  if (sampleFormat === 1 && bitsPerSample === 16) return new Uint16Array(length);
+  if (sampleFormat === 1 && bitsPerSample === 32) return new Uint32Array(length);
+  if (sampleFormat === 1 && bitsPerSample === 8) return new Uint8Array(length);
+  if (sampleFormat === 2 && bitsPerSample === 8) return new Int8Array(length);
+  throw new Error(`Unsupported GeoTIFF sample type (${bitsPerSample}-bit).`);
+};
+
+const sampleReader = (sampleFormat, bitsPerSample, littleEndian) => {
+  const key = `${sampleFormat}:${bitsPerSample}`;
+  const readers = {
+    '1:8': (view, offset) => view.getUint8(offset),
+    '2:8': (view, offset) => view.getInt8(offset),
+    '1:16': (view, offset) => view.getUint16(offset, littleEndian),
+    '2:16': (view, offset) => view.getInt16(offset, littleEndian),
+    '1:32': (view, offset) => view.getUint32(offset, littleEndian),
+    '2:32': (view, offset) => view.getInt32(offset, littleEndian),
+    '3:32': (view, offset) => view.getFloat32(offset, littleEndian),
+    '3:64': (view, offset) => view.getFloat64(offset, littleEndian)
+  };
+  return readers[key];
+};
+
+const first = (fields, tag, fallback) => fields.get(tag)?.[0] ?? fallback;
+
+const readGeoKeys = (fields) => {
+  const directory = fields.get(TAGS.geoKeys);
+  const keys = new Map();
+  if (!directory) return keys;
+  const keyCount = directory[3];
+  for (let index = 0; index < keyCount; index += 1) {
+    const base = 4 + index * 4;
+    // Only short values stored inline (location 0) are needed here.
+    if (directory[base + 1] === 0) keys.set(directory[base], directory[base + 3]);
+  }
+  return keys;
+};
+
+// Single-band GeoTIFFs in lat/lng (EPSG:4326), as exported by most DEM download portals.
+export const parseGeoTiff = async (buffer) => {
+  const view = new DataView(buffer);
+  const byteOrder = view.getUint16(0, false);
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) {
+    throw new Error('That file is not a TIFF image.');
+  }
+  const littleEndian = byteOrder === 0x4949;
+  const magic = view.getUint16(2, littleEndian);
+  if (magic === 43) {
+    throw new Error('BigTIFF files are not supported. Export a standard GeoTIFF instead.');
+  }
+  if (magic !== 42) {
+    throw new Error('That file is not a TIFF image.');
+  }
+
+  const fields = readIfd(view, view.getUint32(4, littleEndian), littleEndian);
+  const width = first(fields, TAGS.width);
+  const height = first(fields, TAGS.height);
+  if (!width || !height) {
+    throw new Error('The GeoTIFF has no image size.');
+  }
+  if (width * height > MAX_DEM_SAMPLES) {
+    throw new Error('That elevation model is too large. Crop it to the area you need first.');
+  }
+  if (first(fields, TAGS.samplesPerPixel, 1) !== 1) {
+    throw new Error('Elevation GeoTIFFs must have a single band.');
+  }
+
+  const scale = fields.get(TAGS.pixelScale);
+  const tiepoint = fields.get(TAGS.tiepoint);
+  if (!scale || !tiepoint) {
+    throw new Error('The GeoTIFF has no georeferencing (pixel scale and tie point).');
+  }
+  const geoKeys = readGeoKeys(fields);
+  const modelType = geoKeys.get(GEO_KEY_MODEL_TYPE);
+  if (modelType != null && modelType !== MODEL_TYPE_GEOGRAPHIC) {
+    throw new Error('Only lat/lng GeoTIFFs are supported. Reproject it to EPSG:4326 first.');
+  }
+
+  const bitsPerSample = first(fields, TAGS.bitsPerSample, 8);
+  const sampleFormat = first(fields, TAGS.sampleFormat, 1);
+  const compression = first(fields, TAGS.compression, 1);
+  const predictor = first(fields, TAGS.predictor, 1);
+  if (predictor !== 1 && predictor !== 2) {
+    throw new Error('Floating-point predictors are not supported. Re-export without a predictor.');
+  }
+  const readSample = sampleReader(sampleFormat, bitsPerSample, littleEndian);
+  if (!readSample) {
+    throw new Error(`Unsupported GeoTIFF sample type (${bitsPerSample}-bit).`);
+  }
+  const bytesPerSample = bitsPerSample / 8;
+  const data = createSampleArray(sampleFormat, bitsPerSample, width * height);
+
+  const isTiled = fields.has(TAGS.tileOffsets);
+  const chunkWidth = isTiled ? first(fields, TAGS.tileWidth) : width;
+  const chunkHeight = isTiled ? first(fields, TAGS.tileLength) : first(fields, TAGS.rowsPerStrip, height);
+  const offsets = fields.get(isTiled ? TAGS.tileOffsets : TAGS.stripOffsets) ?? [];
+  const byteCounts = fields.get(isTiled ? TAGS.tileByteCounts : TAGS.stripByteCounts) ?? [];
+  const chunksAcross = Math.ceil(width / chunkWidth);
+
+  for (let chunk = 0; chunk < offsets.length; chunk += 1) {
+    const raw = new Uint8Array(buffer, offsets[chunk], byteCounts[chunk]);
+    const bytes = await decompressChunk(raw, compression);
+    const chunkView = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const originX = (chunk % chunksAcross) * chunkWidth;
+    const originY = Math.floor(chunk / chunksAcross) * chunkHeight;
+
+    for (let y = 0; y < chunkHeight && originY + y < height; y += 1) {
+      let previous = 0;
+      for (let x = 0; x < chunkWidth; x += 1) {
+        const offset = (y * chunkWidth + x) * bytesPerSample;
+        if (offset + bytesPerSample > bytes.byteLength) break;
+        let value = readSample(chunkView, offset);
+        // Horizontal differencing: typed-array storage wraps integers as the encoder did.
+        if (predictor === 2 && x > 0) value += previous;
+        const column = originX + x;
+        if (column < width) {
+          const index = (originY + y) * width + column;
+          data[index] = value;
+          value = data[index];
+        }
+        previous = value;
+      }
+    }
+  }
+
+  const [scaleX, scaleY] = scale;
+  const [tieI, tieJ, , tieX, tieY] = tiepoint;
+  // Pixel-is-area rasters reference the pixel corner; sample at the pixel centre instead.
+  const centreShift = geoKeys.get(GEO_KEY_RASTER_TYPE) === RASTER_PIXEL_IS_POINT ? 0 : 0.5;
+  const west = tieX + (centreShift - tieI) * scaleX;
+  const north = tieY - (centreShift - tieJ) * scaleY;
+  if (Math.abs(west) > 360 || Math.abs(north) > 90) {
+    throw new Error('Only lat/lng GeoTIFFs are supported. Reproject it to EPSG:4326 first.');
+  }
+
+  const noDataText = fields.get(TAGS.noData);
+  const noData = noDataText != null && noDataText !== '' ? Number(noDataText) : null;
+
+  return {
+    width,
+    height,
+    west,
+    north,
+    cellWidth: scaleX,
+    cellHeight: scaleY,
+    noData: Number.isNaN(noData) ? null : noData,
+    data
+  };
+};
+
+export const parseDemFile = async (file) => {
+  const buffer = await file.arrayBuffer();
+  const name = file.name ?? '';
+  if (/\.hgt$/i.test(name)) {
+    return parseHgt(buffer, name);
+  }
+  if (/\.tiff?$/i.test(name)) {
+    return parseGeoTiff(buffer);
+  }
+  throw new Error('Import an SRTM .hgt file or a GeoTIFF (.tif).');
+};
+
+export const demBounds = (model) => ({
+  west: model.west,
+  east: model.west + (model.width - 1) * model.cellWidth,
+  north: model.north,
+  south: model.north - (model.height - 1) * model.cellHeight
+});
+
+const isValidSample = (model, value) =>
+  value != null && !Number.isNaN(value) && value !== model.noData && value > -1000;
+
+// Bilinear interpolation between the four surrounding samples, skipping voids.
+export const sampleElevation = (model, point) => {
+  if (!model || !point) return null;
+  const x = (point.lng - model.west) / model.cellWidth;
+  const y = (model.north - point.lat) / model.cellHeight;
+  if (x < -0.5 || y < -0.5 || x > model.width - 0.5 || y > model.height - 0.5) return null;
+
+  const clampedX = Math.min(Math.max(x, 0), model.width - 1);
+  const clampedY = Math.min(Math.max(y, 0), model.height - 1);
+  const x0 = Math.floor(clampedX);
+  const y0 = Math.floor(clampedY);
+  const x1 = Math.min(x0 + 1, model.width - 1);
+  const y1 = Math.min(y0 + 1, model.height - 1);
+  const dx = clampedX - x0;
+  const dy = clampedY - y0;
+
+  const corners = [
+    [x0, y0, (1 - dx) * (1 - dy)],
+    [x1, y0, dx * (1 - dy)],
+    [x0, y1, (1 - dx) * dy],
+    [x1, y1, dx * dy]
+  ];
+  let total = 0;
+  let weight = 0;
+  corners.forEach(([column, row, cornerWeight]) => {
+    const value = model.data[row * model.width + column];
+    if (cornerWeight > 0 && isValidSample(model, value)) {
+      total += value * cornerWeight;
+      weight += cornerWeight;
+    }
+  });
+  return weight > 0 ? total / weight : null;
+};
+
+// Models are expected finest-first so detailed local data wins over coarse coverage.
+export const elevationFromModels = (models, point) => {
+  if (!point || !Array.isArray(models)) return null;
+  for (const model of models) {
+    const elevation = sampleElevation(model, point);
+    if (elevation != null) return elevation;
+  }
+  return null;
+};
+
+export const formatElevation = (meters) => (meters == null ? '—' : `${Math.round(meters)} m`);
+
+export const formatElevationChange = (meters) => {
+  if (meters == null) return '—';
+  const rounded = Math.round(meters);
+  if (rounded === 0) return '±0 m';
+  return `${rounded > 0 ? '+' : '−'}${Math.abs(rounded)} m`;
+};
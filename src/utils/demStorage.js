@@ -0,0 +1,47 @@
+// IndexedDB persistence for imported elevation models, so terrain keeps working offline.
+const DB_NAME = 'cadet-map-elevation';
+const DB_VERSION = 1;
+const STORE_NAME = 'models';
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('This browser cannot store elevation data offline.'));
+  }
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(STORE_NAME)) {
+      db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    }
+  };
+  return requestToPromise(request);
+};
+
+const withStore = async (mode, action) => {
+  const db = await openDatabase();
+  try {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const completed = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error ?? new Error('Storage transaction aborted.'));
+    });
+    const result = await requestToPromise(action(transaction.objectStore(STORE_NAME)));
+    await completed;
+    return result;
+  } finally {
+    db.close();
+  }
+};
+
+export const loadStoredDems = () => withStore('readonly', (store) => store.getAll());
+
+export const saveStoredDem = (model) => withStore('readwrite', (store) => store.put(model));
+
+export const deleteStoredDem = (id) => withStore('readwrite', (store) => store.delete(id));
@@ -0,0 +1,166 @@
+import { WGS84_A, WGS84_F } from './utm.js';
+
+// Vincenty's formulae on the WGS84 ellipsoid, good to about half a millimetre. The inverse only
+// struggles for nearly antipodal points, where it keeps its last iteration rather than failing.
+const WGS84_B = WGS84_A * (1 - WGS84_F);
+const MAX_ITERATIONS = 200;
+const CONVERGENCE = 1e-12;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+const normaliseBearing = (degrees) => ((degrees % 360) + 360) % 360;
+const normaliseLongitude = (longitude) => ((((longitude + 180) % 360) + 360) % 360) - 180;
+
+// Returns the distance in metres plus the initial and final bearings (degrees from true north).
+export const geodesicInverse = (from, to) => {
+  if (!from || !to) return null;
+  const f = WGS84_F;
+  const L = toRadians(to.lng - from.lng);
+  const U1 = Math.atan((1 - f) * Math.tan(toRadians(from.lat)));
+  const U2 = Math.atan((1 - f) * Math.tan(toRadians(to.lat)));
+  const sinU1 = Math.sin(U1);
+  const cosU1 = Math.cos(U1);
+  const sinU2 = Math.sin(U2);
+  const cosU2 = Math.cos(U2);
+
+  let lambda = L;
+  let sinLambda;
+  let cosLambda;
+  let sinSigma = 0;
+  let cosSigma = 1;
+  let sigma = 0;
+  let cosSqAlpha = 1;
+  let cos2SigmaM = 0;
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration += 1) {
+    sinLambda = Math.sin(lambda);
+    cosLambda = Math.cos(lambda);
+    const sinSqSigma =
+      (cosU2 * sinLambda) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2;
+    sinSigma = Math.sqrt(sinSqSigma);
+    if (sinSigma === 0) {
+      return { distance: 0, initialBearing: 0, finalBearing: 0 };
+    }
+    cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    sigma = Math.atan2(sinSigma, cosSigma);
+    const sinAlpha = (cosU1 * cosU2 * sinLambda) / sinSigma;
+    cosSqAlpha = 1 - sinAlpha * sinAlpha;
+    // Equatorial lines have cosSqAlpha = 0 and no meaningful cos2SigmaM.
+    cos2SigmaM = cosSqAlpha !== 0 ? cosSigma - (2 * sinU1 * sinU2) / cosSqAlpha : 0;
+    const C = (f / 16) * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+    const previous = lambda;
+    lambda =
+      L +
+      (1 - C) *
+        f *
+        sinAlpha *
+        (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+    if (Math.abs(lambda - previous) < CONVERGENCE) break;
+  }
+
+  const uSq = (cosSqAlpha * (WGS84_A * WGS84_A - WGS84_B * WGS84_B)) / (WGS84_B * WGS84_B);
+  const A = 1 + (uSq / 16384) * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+  const B = (uSq / 1024) * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+  const deltaSigma =
+    B *
+    sinSigma *
+    (cos2SigmaM +
+      (B / 4) *
+        (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+          (B / 6) * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+
+  const distance = WGS84_B * A * (sigma - deltaSigma);
+  const initial = Math.atan2(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+  const final = Math.atan2(cosU1 * sinLambda, -sinU1 * cosU2 + cosU1 * sinU2 * cosLambda);
+
+  return {
+    distance,
+    initialBearing: normaliseBearing(toDegrees(initial)),
+    finalBearing: normaliseBearing(toDegrees(final))
+  };
+};
+
+// Point reached by travelling distance metres from origin on an initial true bearing.
+export const geodesicDirect = (origin, bearingDegrees, distanceMeters) => {
+  const f = WGS84_F;
+  const alpha1 = toRadians(bearingDegrees);
+  const sinAlpha1 = Math.sin(alpha1);
+  const cosAlpha1 = Math.cos(alpha1);
+  const tanU1 = (1 - f) * Math.tan(toRadians(origin.lat));
+  const cosU1 = 1 / Math.sqrt(1 + tanU1 * tanU1);
+  const sinU1 = tanU1 * cosU1;
+  const sigma1 = Math.atan2(tanU1, cosAlpha1);
+  const sinAlpha = cosU1 * sinAlpha1;
+  const cosSqAlpha = 1 - sinAlpha * sinAlpha;
+  const uSq = (cosSqAlpha * (WGS84_A * WGS84_A - WGS84_B * WGS84_B)) / (WGS84_B * WGS84_B);
+  const A = 1 + (uSq / 16384) * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+  const B = (uSq / 1024) * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+
+  let sigma = distanceMeters / (WGS84_B * A);
+  let sinSigma;
+  let cosSigma;
+  let cos2SigmaM;
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration += 1) {
+    cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+    sinSigma = Math.sin(sigma);
+    cosSigma = Math.cos(sigma);
+    const deltaSigma =
+      B *
+      sinSigma *
+      (cos2SigmaM +
+        (B / 4) *
+          (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+            (B / 6) * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+    const previous = sigma;
+    sigma = distanceMeters / (WGS84_B * A) + deltaSigma;
+    if (Math.abs(sigma - previous) < CONVERGENCE) break;
+  }
+  cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+  sinSigma = Math.sin(sigma);
+  cosSigma = Math.cos(sigma);
+
+  const x = sinU1 * sinSigma - cosU1 * cosSigma * cosAlpha1;
+  const lat2 = Math.atan2(
+    sinU1 * cosSigma + cosU1 * sinSigma * cosAlpha1,
+    (1 - f) * Math.sqrt(sinAlpha * sinAlpha + x * x)
+  );
+  const lambda = Math.atan2(sinSigma * sinAlpha1, cosU1 * cosSigma - sinU1 * sinSigma * cosAlpha1);
+  const C = (f / 16) * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+  const L =
+    lambda -
+    (1 - C) *
+      f *
+      sinAlpha *
+      (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+
+  return {
+    lat: toDegrees(lat2),
+    lng: normaliseLongitude(origin.lng + toDegrees(L)),
+    finalBearing: normaliseBearing(toDegrees(Math.atan2(sinAlpha, -x)))
+  };
+};
+
+export const distanceBetween = (from, to) => geodesicInverse(from, to)?.distance ?? null;
+
+export const bearingBetween = (from, to) => geodesicInverse(from, to)?.initialBearing ?? null;
+
+export const destinationPoint = (origin, bearingDegrees, distanceMeters) => {
+  const { lat, lng } = geodesicDirect(origin, bearingDegrees, distanceMeters);
+  return { lat, lng };
+};
+
+// East/north metres of point from anchor on an azimuthal equidistant plane: exact distance and
+// bearing from the anchor, which keeps local fits honest over several kilometres.
+export const offsetFromPoint = (anchor, point) => {
+  const inverse = geodesicInverse(anchor, point);
+  const bearingRad = toRadians(inverse.initialBearing);
+  return {
+    east: inverse.distance * Math.sin(bearingRad),
+    north: inverse.distance * Math.cos(bearingRad)
+  };
+};
+
+export const pointFromOffset = (anchor, east, north) => {
+  const distance = Math.hypot(east, north);
+  if (distance === 0) return { lat: anchor.lat, lng: anchor.lng };
+  return destinationPoint(anchor, toDegrees(Math.atan2(east, north)), distance);
+};
@@ -1,22 +1,43 @@
-const EARTH_RADIUS_METERS = 6371000;
+import {
+  WGS84_A,
+  WGS84_F,
+  createTransverseMercator,
+  formatMgrs,
+  latLngToMgrs,
+  latLngToUtm,
+  mgrsToLatLng,
+  utmToLatLng
+} from './utm.js';
+import { destinationPoint, offsetFromPoint, pointFromOffset } from './geodesy.js';
 
 const toRadians = (degrees) => (degrees * Math.PI) / 180;
 const toDegrees = (radians) => (radians * 180) / Math.PI;
-const normalizeLongitude = (longitude) => ((longitude + 540) % 360) - 180;
+
+export const GRID_PRECISIONS = [1, 2, 3, 4, 5];
 
 const clampPrecision = (precision) => {
-  if (precision === 3 || precision === 4) {
+  if (GRID_PRECISIONS.includes(precision)) {
     return precision;
   }
-  throw new Error('Unsupported grid precision. Use 3 or 4 figure references.');
+  throw new Error('Unsupported grid precision. Use 1 to 5 figure references.');
 };
 
-export const precisionToUnitMeters = (precision) => {
-  const value = clampPrecision(precision);
-  if (value === 3) {
-    return 100; // 3-figure (6-digit) references resolve to 100 m squares
+// Figures per axis -> square size: 1 = 10 km, 2 = 1 km, 3 = 100 m, 4 = 10 m, 5 = 1 m.
+export const precisionToUnitMeters = (precision) => 10 ** (5 - clampPrecision(precision));
+
+export const detectGridPrecision = (easting, northing) => {
+  const east = String(easting ?? '').trim();
+  const north = String(northing ?? '').trim();
+  if (!east || !north) {
+    throw new Error('Enter grid reference digits.');
+  }
+  if (east.length !== north.length) {
+    throw new Error('Easting and Northing must have same number of digits.');
   }
-  return 10; // 4-figure (8-digit) references resolve to 10 m squares
+  if (!GRID_PRECISIONS.includes(east.length)) {
+    throw new Error('Grid ref must be 1 to 5 digits each (e.g. 123 456).');
+  }
+  return east.length;
 };
 
 export const normaliseGridDigits = (value, precision) => {
@@ -32,15 +53,7 @@ export const normaliseGridDigits = (value, precision) => {
   return parseInt(trimmed, 10);
 };
 
-const projectOffset = ({ lat, lng }, eastOffset, northOffset) => {
-  const latRad = toRadians(lat);
-  const newLat = lat + (northOffset / EARTH_RADIUS_METERS) * (180 / Math.PI);
-  const newLng =
-    lng +
-    ((eastOffset / (EARTH_RADIUS_METERS * Math.cos(latRad))) * 180) /
-      Math.PI;
-  return { lat: newLat, lng: newLng };
-};
+const projectOffset = (anchor, eastOffset, northOffset) => pointFromOffset(anchor, eastOffset, northOffset);
 
 export const destinationFromBearing = ({ origin, bearingDegrees, distanceMeters }) => {
   if (!origin) {
@@ -53,42 +66,151 @@ export const destinationFromBearing = ({ origin, bearingDegrees, distanceMeters
     throw new Error('Distance must be a non-negative number.');
   }
 
-  const angularDistance = distanceMeters / EARTH_RADIUS_METERS;
-  const bearingRad = toRadians(bearingDegrees);
-  const lat1 = toRadians(origin.lat);
-  const lng1 = toRadians(origin.lng);
+  return destinationPoint(origin, bearingDegrees, distanceMeters);
+};
 
-  const sinLat1 = Math.sin(lat1);
-  const cosLat1 = Math.cos(lat1);
-  const sinAngular = Math.sin(angularDistance);
-  const cosAngular = Math.cos(angularDistance);
+export const milsToDegrees = (mils) => (mils * 360) / 6400;
+export const degreesToMils = (degrees) => (degrees * 6400) / 360;
 
-  const lat2 = Math.asin(
-    sinLat1 * cosAngular + cosLat1 * sinAngular * Math.cos(bearingRad)
-  );
+const offsetFromAnchor = (anchor, point) => offsetFromPoint(anchor, point);
 
-  const lng2 =
-    lng1 +
-    Math.atan2(
-      Math.sin(bearingRad) * sinAngular * cosLat1,
-      cosAngular - sinLat1 * Math.sin(lat2)
-    );
+// Grid digits only ever describe a position within one 100 km square, whatever the precision.
+const GRID_WRAP_METERS = 100000;
+
+// Shift a wrapped value by whole periods so it lands as close as possible to the reference.
+const unwrapNear = (value, reference, period) =>
+  value - period * Math.round((value - reference) / period);
 
+const wrapDigits = (value, precision) => {
+  const period = 10 ** precision;
+  return ((value % period) + period) % period;
+};
+
+const referenceToGridMeters = (reference) => {
+  const unitMeters = precisionToUnitMeters(clampPrecision(reference.precision));
   return {
-    lat: toDegrees(lat2),
-    lng: normalizeLongitude(toDegrees(lng2))
+    east: Number(reference.easting) * unitMeters,
+    north: Number(reference.northing) * unitMeters
   };
 };
 
-export const milsToDegrees = (mils) => (mils * 360) / 6400;
-export const degreesToMils = (degrees) => (degrees * 6400) / 360;
+const applyCalibration = (calibration, gridMeters) => ({
+  east: calibration.a * gridMeters.east - calibration.b * gridMeters.north + calibration.tx,
+  north: calibration.b * gridMeters.east + calibration.a * gridMeters.north + calibration.ty
+});
+
+const invertCalibration = (calibration, offset) => {
+  const dx = offset.east - calibration.tx;
+  const dy = offset.north - calibration.ty;
+  const determinant = calibration.a * calibration.a + calibration.b * calibration.b;
+  return {
+    east: (calibration.a * dx + calibration.b * dy) / determinant,
+    north: (-calibration.b * dx + calibration.a * dy) / determinant
+  };
+};
+
+// Least-squares similarity (2D Helmert) fit from grid metres to ground metres around the
+// first point. One point gives a pure translation; two fix rotation and scale exactly; three
+// or more are over-determined and the residuals show which point disagrees with the rest.
+export const fitGridCalibration = (points) => {
+  if (!Array.isArray(points) || points.length === 0) return null;
+
+  const anchor = points[0].position;
+  const anchorGrid = referenceToGridMeters(points[0].reference);
+  // References either side of a square boundary (e.g. 998 and 003) are unwrapped around the first point.
+  const samples = points.map((point) => {
+    const grid = referenceToGridMeters(point.reference);
+    return {
+      id: point.id,
+      grid: {
+        east: unwrapNear(grid.east, anchorGrid.east, GRID_WRAP_METERS),
+        north: unwrapNear(grid.north, anchorGrid.north, GRID_WRAP_METERS)
+      },
+      ground: offsetFromAnchor(anchor, point.position)
+    };
+  });
+
+  const count = samples.length;
+  const mean = samples.reduce(
+    (totals, sample) => ({
+      gridEast: totals.gridEast + sample.grid.east / count,
+      gridNorth: totals.gridNorth + sample.grid.north / count,
+      groundEast: totals.groundEast + sample.ground.east / count,
+      groundNorth: totals.groundNorth + sample.ground.north / count
+    }),
+    { gridEast: 0, gridNorth: 0, groundEast: 0, groundNorth: 0 }
+  );
+
+  let spread = 0;
+  let sumA = 0;
+  let sumB = 0;
+  samples.forEach((sample) => {
+    const gx = sample.grid.east - mean.gridEast;
+    const gy = sample.grid.north - mean.gridNorth;
+    const x = sample.ground.east - mean.groundEast;
+    const y = sample.ground.north - mean.groundNorth;
+    spread += gx * gx + gy * gy;
+    sumA += gx * x + gy * y;
+    sumB += gx * y - gy * x;
+  });
+
+  // Coincident grid references cannot constrain rotation or scale.
+  const hasSpread = count > 1 && spread > 1e-6;
+  const a = hasSpread ? sumA / spread : 1;
+  const b = hasSpread ? sumB / spread : 0;
+  const calibration = {
+    anchor,
+    a,
+    b,
+    tx: mean.groundEast - a * mean.gridEast + b * mean.gridNorth,
+    ty: mean.groundNorth - b * mean.gridEast - a * mean.gridNorth,
+    precision: clampPrecision(points[0].reference.precision)
+  };
+
+  const residuals = samples.map((sample) => {
+    const predicted = applyCalibration(calibration, sample.grid);
+    return {
+      id: sample.id,
+      meters: Math.hypot(predicted.east - sample.ground.east, predicted.north - sample.ground.north)
+    };
+  });
+  const rmsMeters = Math.sqrt(
+    residuals.reduce((total, residual) => total + residual.meters * residual.meters, 0) / count
+  );
+
+  return {
+    ...calibration,
+    scale: Math.hypot(a, b),
+    rotationDegrees: toDegrees(Math.atan2(b, a)),
+    residuals,
+    rmsMeters
+  };
+};
 
 export const gridReferenceToLatLng = ({
   origin,
   originReference,
   targetReference,
-  precision
+  precision,
+  calibration
 }) => {
+  if (calibration) {
+    const resolvedPrecision = clampPrecision(
+      precision ?? targetReference?.precision ?? calibration.precision
+    );
+    const gridMeters = referenceToGridMeters({
+      easting: normaliseGridDigits(targetReference.easting, resolvedPrecision),
+      northing: normaliseGridDigits(targetReference.northing, resolvedPrecision),
+      precision: resolvedPrecision
+    });
+    const anchorGrid = invertCalibration(calibration, { east: 0, north: 0 });
+    const offset = applyCalibration(calibration, {
+      east: unwrapNear(gridMeters.east, anchorGrid.east, GRID_WRAP_METERS),
+      north: unwrapNear(gridMeters.north, anchorGrid.north, GRID_WRAP_METERS)
+    });
+    return projectOffset(calibration.anchor, offset.east, offset.north);
+  }
+
   if (!origin) {
     throw new Error('Set a grid origin location first.');
   }
@@ -106,8 +228,9 @@ export const gridReferenceToLatLng = ({
   const targetNorth = normaliseGridDigits(targetReference.northing, resolvedPrecision);
 
   const unitMeters = precisionToUnitMeters(resolvedPrecision);
-  const eastOffset = (targetEast - originEast) * unitMeters;
-  const northOffset = (targetNorth - originNorth) * unitMeters;
+  const period = 10 ** resolvedPrecision;
+  const eastOffset = (unwrapNear(targetEast, originEast, period) - originEast) * unitMeters;
+  const northOffset = (unwrapNear(targetNorth, originNorth, period) - originNorth) * unitMeters;
 
   return projectOffset(origin, eastOffset, northOffset);
 };
@@ -116,26 +239,34 @@ export const latLngToGridReference = ({
   origin,
   originReference,
   point,
-  precision
+  precision,
+  calibration
 }) => {
-  if (!origin || !originReference) {
+  if (!calibration && (!origin || !originReference)) {
     throw new Error('Grid origin must be configured.');
   }
   const resolvedPrecision = clampPrecision(
-    precision ?? originReference.precision ?? 3
+    precision ?? calibration?.precision ?? originReference.precision ?? 3
   );
   const unitMeters = precisionToUnitMeters(resolvedPrecision);
 
-  const latRad = (origin.lat * Math.PI) / 180;
-  const deltaNorth = ((point.lat - origin.lat) * Math.PI * EARTH_RADIUS_METERS) / 180;
-  const deltaEast =
-    ((point.lng - origin.lng) * Math.PI * EARTH_RADIUS_METERS * Math.cos(latRad)) /
-    180;
-
-  const eastDigits = Math.round(originReference.easting + deltaEast / unitMeters);
-  const northDigits = Math.round(originReference.northing + deltaNorth / unitMeters);
+  let eastDigits;
+  let northDigits;
+  if (calibration) {
+    const gridMeters = invertCalibration(calibration, offsetFromAnchor(calibration.anchor, point));
+    eastDigits = Math.round(gridMeters.east / unitMeters);
+    northDigits = Math.round(gridMeters.north / unitMeters);
+  } else {
+    const delta = offsetFromAnchor(origin, point);
+    const originMeters = referenceToGridMeters({
+      ...originReference,
+      precision: originReference.precision ?? resolvedPrecision
+    });
+    eastDigits = Math.round((originMeters.east + delta.east) / unitMeters);
+    northDigits = Math.round((originMeters.north + delta.north) / unitMeters);
+  }
 
-  const pad = (value) => value.toString().padStart(resolvedPrecision, '0');
+  const pad = (value) => wrapDigits(value, resolvedPrecision).toString().padStart(resolvedPrecision, '0');
 
   return {
     easting: pad(eastDigits),
@@ -143,3 +274,655 @@ export const latLngToGridReference = ({
     precision: resolvedPrecision
   };
 };
+
+// Ordnance Survey National Grid (OSGB36 datum, Airy 1830 ellipsoid).
+const AIRY_1830 = { a: 6377563.396, f: (6377563.396 - 6356256.909) / 6377563.396 };
+const OSGB_SCALE_FACTOR = 0.9996012717;
+const OSGB_TRUE_ORIGIN = { lat: 49, lng: -2 };
+const OSGB_FALSE_EASTING = 400000;
+const OSGB_FALSE_NORTHING = -100000;
+const OSGB_SQUARE_METERS = 100000;
+
+// Helmert parameters WGS84 -> OSGB36 (OS "Transformations and OSGM15", ~3 m accuracy).
+const WGS84_TO_OSGB36 = {
+  tx: -446.448,
+  ty: 125.157,
+  tz: -542.06,
+  scalePpm: 20.4894,
+  rxSeconds: -0.1502,
+  rySeconds: -0.247,
+  rzSeconds: -0.8421
+};
+
+const airyTransverseMercator = createTransverseMercator(AIRY_1830);
+const osgbOriginY = airyTransverseMercator.forward(OSGB_TRUE_ORIGIN, OSGB_TRUE_ORIGIN.lng).y;
+
+const latLngToCartesian = ({ lat, lng }, { a, f }) => {
+  const phi = toRadians(lat);
+  const lambda = toRadians(lng);
+  const e2 = f * (2 - f);
+  const sinPhi = Math.sin(phi);
+  const nu = a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+  return {
+    x: nu * Math.cos(phi) * Math.cos(lambda),
+    y: nu * Math.cos(phi) * Math.sin(lambda),
+    z: nu * (1 - e2) * sinPhi
+  };
+};
+
+const cartesianToLatLng = ({ x, y, z }, { a, f }) => {
+  const e2 = f * (2 - f);
+  const p = Math.sqrt(x * x + y * y);
+  let phi = Math.atan2(z, p * (1 - e2));
+  for (let iteration = 0; iteration < 10; iteration += 1) {
+    const sinPhi = Math.sin(phi);
+    const nu = a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+    const next = Math.atan2(z + e2 * nu * sinPhi, p);
+    if (Math.abs(next - phi) < 1e-12) {
+      phi = next;
+      break;
+    }
+    phi = next;
+  }
+  return { lat: toDegrees(phi), lng: toDegrees(Math.atan2(y, x)) };
+};
+
+const applyHelmert = ({ x, y, z }, params, direction = 1) => {
+  const arcSecond = Math.PI / (180 * 3600);
+  const tx = params.tx * direction;
+  const ty = params.ty * direction;
+  const tz = params.tz * direction;
+  const scale = 1 + params.scalePpm * 1e-6 * direction;
+  const rx = params.rxSeconds * arcSecond * direction;
+  const ry = params.rySeconds * arcSecond * direction;
+  const rz = params.rzSeconds * arcSecond * direction;
+  return {
+    x: tx + x * scale - y * rz + z * ry,
+    y: ty + x * rz + y * scale - z * rx,
+    z: tz - x * ry + y * rx + z * scale
+  };
+};
+
+const WGS84_ELLIPSOID = { a: WGS84_A, f: WGS84_F };
+
+export const latLngToOsgb = (point) => {
+  if (!point || !Number.isFinite(point.lat) || !Number.isFinite(point.lng)) {
+    throw new Error('Latitude and longitude must be numbers.');
+  }
+  const cartesian = applyHelmert(latLngToCartesian(point, WGS84_ELLIPSOID), WGS84_TO_OSGB36);
+  const osgb36 = cartesianToLatLng(cartesian, AIRY_1830);
+  const { x, y } = airyTransverseMercator.forward(osgb36, OSGB_TRUE_ORIGIN.lng);
+  const easting = OSGB_SCALE_FACTOR * x + OSGB_FALSE_EASTING;
+  const northing = OSGB_SCALE_FACTOR * (y - osgbOriginY) + OSGB_FALSE_NORTHING;
+  if (easting < 0 || easting >= 700000 || northing < 0 || northing >= 1300000) {
+    throw new Error('Location is outside the British National Grid.');
+  }
+  return { easting, northing };
+};
+
+export const osgbToLatLng = ({ easting, northing }) => {
+  if (!Number.isFinite(easting) || !Number.isFinite(northing)) {
+    throw new Error('National Grid easting and northing must be numbers.');
+  }
+  const osgb36 = airyTransverseMercator.inverse(
+    {
+      x: (easting - OSGB_FALSE_EASTING) / OSGB_SCALE_FACTOR,
+      y: (northing - OSGB_FALSE_NORTHING) / OSGB_SCALE_FACTOR + osgbOriginY
+    },
+    OSGB_TRUE_ORIGIN.lng
+  );
+  const cartesian = applyHelmert(latLngToCartesian(osgb36, AIRY_1830), WGS84_TO_OSGB36, -1);
+  return cartesianToLatLng(cartesian, WGS84_ELLIPSOID);
+};
+
+const osgbSquareLetters = (easting, northing) => {
+  const e100k = Math.floor(easting / OSGB_SQUARE_METERS);
+  const n100k = Math.floor(northing / OSGB_SQUARE_METERS);
+  let first = 19 - n100k - ((19 - n100k) % 5) + Math.floor((e100k + 10) / 5);
+  let second = (((19 - n100k) * 5) % 25) + (e100k % 5);
+  // The grid alphabet skips the letter I.
+  if (first > 7) first += 1;
+  if (second > 7) second += 1;
+  return String.fromCharCode(65 + first, 65 + second);
+};
+
+const osgbSquareOrigin = (letters) => {
+  let first = letters.charCodeAt(0) - 65;
+  let second = letters.charCodeAt(1) - 65;
+  if (first > 7) first -= 1;
+  if (second > 7) second -= 1;
+  const e100k = ((((first - 2) % 5) + 5) % 5) * 5 + (second % 5);
+  const n100k = 19 - Math.floor(first / 5) * 5 - Math.floor(second / 5);
+  if (e100k < 0 || e100k > 6 || n100k < 0 || n100k > 12) {
+    throw new Error(`Grid square ${letters} is not part of the National Grid.`);
+  }
+  return { easting: e100k * OSGB_SQUARE_METERS, northing: n100k * OSGB_SQUARE_METERS };
+};
+
+export const latLngToOsgbReference = (point, precision = 4) => {
+  const digits = clampPrecision(precision);
+  const { easting, northing } = latLngToOsgb(point);
+  const divisor = 10 ** (5 - digits);
+  const truncate = (value) =>
+    Math.floor((value % OSGB_SQUARE_METERS) / divisor)
+      .toString()
+      .padStart(digits, '0');
+  return {
+    square: osgbSquareLetters(easting, northing),
+    easting: truncate(easting),
+    northing: truncate(northing),
+    precision: digits
+  };
+};
+
+export const formatOsgbReference = (reference) => {
+  if (!reference) return '';
+  return `${reference.square} ${reference.easting} ${reference.northing}`;
+};
+
+export const parseOsgbReference = (value) => {
+  if (value == null) {
+    throw new Error('Enter a National Grid reference.');
+  }
+  const compact = String(value).replace(/\s+/g, '').toUpperCase();
+  const match = /^([HJNOST])([A-HJ-Z])(\d*)$/.exec(compact);
+  if (!match) {
+    throw new Error('National Grid references look like SU 1234 5678.');
+  }
+  const [, first, second, digits] = match;
+  if (digits.length % 2 !== 0) {
+    throw new Error('Easting and northing need the same number of digits.');
+  }
+  const precision = digits.length / 2;
+  if (precision < 1 || precision > 5) {
+    throw new Error('National Grid references need between 2 and 10 digits.');
+  }
+  return {
+    square: `${first}${second}`,
+    easting: digits.slice(0, precision),
+    northing: digits.slice(precision),
+    precision
+  };
+};
+
+export const osgbReferenceToLatLng = (reference, { centre = true } = {}) => {
+  const parsed = typeof reference === 'string' ? parseOsgbReference(reference) : reference;
+  const precision = clampPrecision(parsed.precision ?? String(parsed.easting).length);
+  const squareOrigin = osgbSquareOrigin(parsed.square);
+  const unit = 10 ** (5 - precision);
+  const offset = centre ? unit / 2 : 0;
+  return osgbToLatLng({
+    easting: squareOrigin.easting + Number(parsed.easting) * unit + offset,
+    northing: squareOrigin.northing + Number(parsed.northing) * unit + offset
+  });
+};
+
+const ABSOLUTE_GRID_SYSTEMS = {
+  mgrs: {
+    toLatLng: (value) => mgrsToLatLng(value),
+    format: (point, precision) => formatMgrs(latLngToMgrs(point, precision))
+  },
+  osgb: {
+    toLatLng: (value) => osgbReferenceToLatLng(value),
+    format: (point, precision) => formatOsgbReference(latLngToOsgbReference(point, precision))
+  }
+};
+
+export const isAbsoluteGridSystem = (system) => Boolean(ABSOLUTE_GRID_SYSTEMS[system]);
+
+export const absoluteReferenceToLatLng = (value, system) => {
+  const handler = ABSOLUTE_GRID_SYSTEMS[system];
+  if (!handler) {
+    throw new Error('This grid system needs a calibrated origin.');
+  }
+  return handler.toLatLng(value);
+};
+
+// Formats a position in the active grid system, or returns null when it cannot be expressed
+// (outside the National Grid, local grid not yet calibrated, ...).
+export const describeGridReference = ({
+  point,
+  system,
+  precision,
+  origin,
+  originReference,
+  calibration
+}) => {
+  if (!point) return null;
+  try {
+    const handler = ABSOLUTE_GRID_SYSTEMS[system];
+    if (handler) {
+      return handler.format(point, precision);
+    }
+    if (!calibration && (!origin || !originReference)) return null;
+    const reference = latLngToGridReference({ origin, originReference, point, precision, calibration });
+    return `${reference.easting} ${reference.northing}`;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Resolve free-typed grid reference text in the active system. Local references accept
+// "123 456" or "123456"; absolute systems use their own lettered formats.
+export const gridReferenceTextToLatLng = ({
+  text,
+  system,
+  origin,
+  originReference,
+  calibration
+}) => {
+  if (isAbsoluteGridSystem(system)) {
+    return absoluteReferenceToLatLng(text, system);
+  }
+  const compact = String(text ?? '').trim();
+  const parts = compact.split(/[\s,]+/).filter(Boolean);
+  let easting;
+  let northing;
+  if (parts.length === 2) {
+    [easting, northing] = parts;
+  } else if (parts.length === 1 && parts[0].length % 2 === 0) {
+    easting = parts[0].slice(0, parts[0].length / 2);
+    northing = parts[0].slice(parts[0].length / 2);
+  } else {
+    throw new Error('Enter a grid reference such as 123 456.');
+  }
+  const precision = detectGridPrecision(easting, northing);
+  return gridReferenceToLatLng({
+    origin,
+    originReference,
+    calibration,
+    targetReference: { easting, northing, precision },
+    precision
+  });
+};
+
+// Conversions between lat/lng and grid metres in the active system. MGRS is pinned to the zone
+// at near so that everything on one sheet shares a single grid.
+const gridFrame = ({ system, near, origin, originReference, calibration }) => {
+  if (system === 'osgb') {
+    return {
+      toGrid: (point) => {
+        const { easting, northing } = latLngToOsgb(point);
+        return { east: easting, north: northing };
+      },
+      fromGrid: ({ east, north }) => osgbToLatLng({ easting: east, northing: north })
+    };
+  }
+  if (system === 'mgrs') {
+    const { zone, hemisphere } = latLngToUtm(near);
+    return {
+      toGrid: (point) => {
+        const { easting, northing } = latLngToUtm(point, { zone });
+        return { east: easting, north: northing };
+      },
+      fromGrid: ({ east, north }) => utmToLatLng({ zone, hemisphere, easting: east, northing: north })
+    };
+  }
+  if (calibration) {
+    return {
+      toGrid: (point) => invertCalibration(calibration, offsetFromAnchor(calibration.anchor, point)),
+      fromGrid: (gridMeters) => {
+        const offset = applyCalibration(calibration, gridMeters);
+        return projectOffset(calibration.anchor, offset.east, offset.north);
+      }
+    };
+  }
+  if (!origin || !originReference) return null;
+  const originMeters = referenceToGridMeters({
+    ...originReference,
+    precision: originReference.precision ?? 3
+  });
+  return {
+    toGrid: (point) => {
+      const delta = offsetFromAnchor(origin, point);
+      return { east: originMeters.east + delta.east, north: originMeters.north + delta.north };
+    },
+    fromGrid: ({ east, north }) => projectOffset(origin, east - originMeters.east, north - originMeters.north)
+  };
+};
+
+// Corners (SW, SE, NE, NW) of the grid square containing point at the given precision, in the
+// active grid system. Local grid squares follow the fitted rotation and scale.
+export const gridSquareAround = ({ point, system, precision, calibration }) => {
+  if (!point) return null;
+  if (system !== 'osgb' && system !== 'mgrs' && !calibration) return null;
+  try {
+    const frame = gridFrame({ system, near: point, calibration });
+    const unitMeters = precisionToUnitMeters(precision);
+    // Nudge so a point sitting exactly on a square corner stays in that square.
+    const snap = (value) => Math.floor(value / unitMeters + 1e-6) * unitMeters;
+    const { east, north } = frame.toGrid(point);
+    const west = snap(east);
+    const south = snap(north);
+    return [
+      [west, south],
+      [west + unitMeters, south],
+      [west + unitMeters, south + unitMeters],
+      [west, south + unitMeters]
+    ].map(([cornerEast, cornerNorth]) => frame.fromGrid({ east: cornerEast, north: cornerNorth }));
+  } catch (error) {
+    return null;
+  }
+};
+
+export const GRID_LINE_SPACINGS = [100, 1000, 10000, 100000];
+
+// Finest standard line spacing that keeps grid lines at least minPixels apart on screen.
+export const gridSpacingForResolution = (metersPerPixel, minPixels = 50) =>
+  GRID_LINE_SPACINGS.find((spacing) => spacing / metersPerPixel >= minPixels) ?? null;
+
+const GRID_LINE_SEGMENTS = 8;
+
+// Grid lines every spacingMeters across a { south, west, north, east } box in the active grid
+// system, as polylines that follow projection curvature and local grid rotation. Labels are
+// the line's digits within its 100 km square, as read off the edge of a map sheet.
+export const gridLinesInBounds = ({
+  bounds,
+  system,
+  spacingMeters = 1000,
+  origin,
+  originReference,
+  calibration,
+  maxLines = 200
+}) => {
+  if (!bounds || !(spacingMeters > 0)) return [];
+  try {
+    const centre = { lat: (bounds.south + bounds.north) / 2, lng: (bounds.west + bounds.east) / 2 };
+    const frame = gridFrame({ system, near: centre, origin, originReference, calibration });
+    if (!frame) return [];
+
+    const edgePoints = [];
+    [bounds.south, centre.lat, bounds.north].forEach((lat) => {
+      [bounds.west, centre.lng, bounds.east].forEach((lng) => edgePoints.push({ lat, lng }));
+    });
+    const gridPoints = edgePoints.map((point) => frame.toGrid(point));
+    const range = (axis) => {
+      const values = gridPoints.map((point) => point[axis]);
+      return {
+        from: Math.floor(Math.min(...values) / spacingMeters) * spacingMeters,
+        to: Math.ceil(Math.max(...values) / spacingMeters) * spacingMeters
+      };
+    };
+    const eastRange = range('east');
+    const northRange = range('north');
+    const lineCount =
+      (eastRange.to - eastRange.from) / spacingMeters + (northRange.to - northRange.from) / spacingMeters + 2;
+    if (lineCount > maxLines) return [];
+
+    const digits = Math.max(1, Math.round(Math.log10(GRID_WRAP_METERS / spacingMeters)));
+    const label = (value) =>
+      String(Math.round(wrapDigits(value, 5) / spacingMeters) % 10 ** digits).padStart(digits, '0');
+    const trace = (toGridPoint, from, to) =>
+      Array.from({ length: GRID_LINE_SEGMENTS + 1 }, (_, step) =>
+        frame.fromGrid(toGridPoint(from + ((to - from) * step) / GRID_LINE_SEGMENTS))
+      );
+
+    const lines = [];
+    for (let east = eastRange.from; east <= eastRange.to; east += spacingMeters) {
+      lines.push({
+        axis: 'easting',
+        value: east,
+        label: label(east),
+        positions: trace((north) => ({ east, north }), northRange.from, northRange.to)
+      });
+    }
+    for (let north = northRange.from; north <= northRange.to; north += spacingMeters) {
+      lines.push({
+        axis: 'northing',
+        value: north,
+        label: label(north),
+        positions: trace((east) => ({ east, north }), eastRange.from, eastRange.to)
+      });
+    }
+    return lines;
+  } catch (error) {
+    return [];
+  }
+};
+
+// Where a projected grid line ({ x, y } points) first crosses x = value or y = value, as the
+// other coordinate. Used to place edge labels on a map frame.
+export const polylineCrossing = (points, axis, value) => {
+  const other = axis === 'x' ? 'y' : 'x';
+  for (let index = 1; index < points.length; index += 1) {
+    const a = points[index - 1];
+    const b = points[index];
+    if ((a[axis] - value) * (b[axis] - value) > 0 || a[axis] === b[axis]) continue;
+    const t = (value - a[axis]) / (b[axis] - a[axis]);
+    return a[other] + t * (b[other] - a[other]);
+  }
+  return null;
+};
+
+// Angle from true north to grid north at a point, positive when grid north lies east of true
+// north. Grid bearing = true bearing - convergence.
+export const gridConvergence = ({ point, system, calibration }) => {
+  if (!point) return 0;
+  if (system === 'mgrs' || system === 'osgb') {
+    let centralMeridian = OSGB_TRUE_ORIGIN.lng;
+    if (system === 'mgrs') {
+      try {
+        centralMeridian = latLngToUtm(point).zone * 6 - 183;
+      } catch {
+        // Polar regions fall outside UTM; treat grid north as true north there.
+        return 0;
+      }
+    }
+    const deltaLng = toRadians(point.lng - centralMeridian);
+    return toDegrees(Math.atan(Math.tan(deltaLng) * Math.sin(toRadians(point.lat))));
+  }
+  // A calibrated local grid is rotated anticlockwise by rotationDegrees, i.e. grid north sits west.
+  return calibration ? -calibration.rotationDegrees : 0;
+};
+
+// Scale from one standard deviation to a ~95% two-dimensional confidence region.
+const CONFIDENCE_95_SCALE = 2.45;
+
+const crossLines = (first, second, minSineSquared) => {
+  const determinant =
+    first.direction.east * second.direction.north - first.direction.north * second.direction.east;
+  if (determinant * determinant < minSineSquared) return null;
+  const dx = second.offset.east - first.offset.east;
+  const dy = second.offset.north - first.offset.north;
+  const along = (dx * second.direction.north - dy * second.direction.east) / determinant;
+  return {
+    east: first.offset.east + along * first.direction.east,
+    north: first.offset.north + along * first.direction.north
+  };
+};
+
+// Sum of n·nᵀ over the line normals, optionally weighted per line.
+const normalMatrix = (rays, weights) =>
+  rays.reduce(
+    (totals, { direction }, index) => {
+      const weight = weights ? weights[index] : 1;
+      const nx = direction.north;
+      const ny = -direction.east;
+      return {
+        xx: totals.xx + weight * nx * nx,
+        xy: totals.xy + weight * nx * ny,
+        yy: totals.yy + weight * ny * ny
+      };
+    },
+    { xx: 0, xy: 0, yy: 0 }
+  );
+
+// Least-squares crossing of position lines, each drawn from a known point along a true bearing.
+// With three or more lines the pairwise crossings form the error triangle (cocked hat). The
+// confidence ellipse assumes each bearing is good to bearingErrorDegrees (one sigma).
+export const intersectBearingLines = (
+  lines,
+  { minCrossingDegrees = 3, bearingErrorDegrees = 2 } = {}
+) => {
+  if (!Array.isArray(lines) || lines.length < 2) {
+    throw new Error('Add at least two bearings.');
+  }
+  const minSineSquared = Math.sin(toRadians(minCrossingDegrees)) ** 2;
+  const anchor = lines[0].point;
+  const rays = lines.map((line) => {
+    const bearingRad = toRadians(line.bearingDegrees);
+    return {
+      offset: offsetFromAnchor(anchor, line.point),
+      direction: { east: Math.sin(bearingRad), north: Math.cos(bearingRad) }
+    };
+  });
+
+  // Minimise the summed squared perpendicular distance to every line.
+  const normals = normalMatrix(rays);
+  let bx = 0;
+  let by = 0;
+  rays.forEach(({ offset, direction }) => {
+    const nx = direction.north;
+    const ny = -direction.east;
+    const projection = nx * offset.east + ny * offset.north;
+    bx += nx * projection;
+    by += ny * projection;
+  });
+  const determinant = normals.xx * normals.yy - normals.xy * normals.xy;
+  if (determinant / (rays.length * rays.length) < minSineSquared / 4) {
+    throw new Error('Bearings are too close to parallel. Use points further apart.');
+  }
+  const fix = {
+    east: (normals.yy * bx - normals.xy * by) / determinant,
+    north: (normals.xx * by - normals.xy * bx) / determinant
+  };
+
+  const residuals = rays.map(({ offset, direction }) => {
+    const dx = fix.east - offset.east;
+    const dy = fix.north - offset.north;
+    return {
+      meters: Math.abs(dx * direction.north - dy * direction.east),
+      // Negative when the fix lies behind the known point, i.e. the bearing was taken the wrong way.
+      along: dx * direction.east + dy * direction.north
+    };
+  });
+
+  let crossingAngleDegrees = 90;
+  const triangle = [];
+  for (let i = 0; i < rays.length; i += 1) {
+    for (let j = i + 1; j < rays.length; j += 1) {
+      const sine =
+        rays[i].direction.east * rays[j].direction.north - rays[i].direction.north * rays[j].direction.east;
+      crossingAngleDegrees = Math.min(crossingAngleDegrees, toDegrees(Math.asin(Math.min(1, Math.abs(sine)))));
+      if (rays.length >= 3) {
+        const crossing = crossLines(rays[i], rays[j], minSineSquared);
+        if (crossing) triangle.push(crossing);
+      }
+    }
+  }
+  const triangleSizeMeters = triangle.reduce(
+    (largest, corner, index) =>
+      triangle
+        .slice(index + 1)
+        .reduce(
+          (size, other) => Math.max(size, Math.hypot(other.east - corner.east, other.north - corner.north)),
+          largest
+        ),
+    0
+  );
+
+  // A bearing error of sigma moves each line sideways by roughly range * tan(sigma) at the fix.
+  const sigma = Math.tan(toRadians(bearingErrorDegrees));
+  const weights = residuals.map((residual) => {
+    const lateral = Math.max(Math.abs(residual.along), 1) * sigma;
+    return 1 / (lateral * lateral);
+  });
+  const information = normalMatrix(rays, weights);
+  const informationDeterminant = information.xx * information.yy - information.xy * information.xy;
+  const covariance = {
+    xx: information.yy / informationDeterminant,
+    xy: -information.xy / informationDeterminant,
+    yy: information.xx / informationDeterminant
+  };
+  const mean = (covariance.xx + covariance.yy) / 2;
+  const spread = Math.sqrt(((covariance.xx - covariance.yy) / 2) ** 2 + covariance.xy ** 2);
+  const semiMajorMeters = CONFIDENCE_95_SCALE * Math.sqrt(mean + spread);
+  const semiMinorMeters = CONFIDENCE_95_SCALE * Math.sqrt(Math.max(mean - spread, 0));
+  const majorAngle = 0.5 * Math.atan2(2 * covariance.xy, covariance.xx - covariance.yy);
+  const ellipse = Array.from({ length: 36 }, (_, step) => {
+    const t = (step / 36) * 2 * Math.PI;
+    const u = semiMajorMeters * Math.cos(t);
+    const v = semiMinorMeters * Math.sin(t);
+    return projectOffset(
+      anchor,
+      fix.east + u * Math.cos(majorAngle) - v * Math.sin(majorAngle),
+      fix.north + u * Math.sin(majorAngle) + v * Math.cos(majorAngle)
+    );
+  });
+
+  return {
+    position: projectOffset(anchor, fix.east, fix.north),
+    triangle: triangle.map((corner) => projectOffset(anchor, corner.east, corner.north)),
+    triangleSizeMeters,
+    residuals,
+    crossingAngleDegrees,
+    confidence: {
+      semiMajorMeters,
+      semiMinorMeters,
+      majorAxisBearing: (((90 - toDegrees(majorAngle)) % 180) + 180) % 180,
+      areaSquareMeters: Math.PI * semiMajorMeters * semiMinorMeters,
+      ellipse
+    }
+  };
+};
+
+// Resection: the observer sits on the back bearing from each known feature.
+export const resectPosition = (observations, options) => {
+  const result = intersectBearingLines(
+    observations.map((observation) => ({
+      point: observation.point,
+      bearingDegrees: (observation.bearingDegrees + 180) % 360
+    })),
+    options
+  );
+  if (result.residuals.some((residual) => residual.along < 0)) {
+    throw new Error('The bearings do not meet in front of the features. Check each bearing.');
+  }
+  return result;
+};
+
+// Intersection: an unseen object lies along the bearing observed from each known station.
+// Nearly parallel rays are still solved so the confidence area can show how weak the fix is.
+export const intersectTarget = (stations, options) => {
+  const result = intersectBearingLines(
+    stations.map((station) => ({ point: station.point, bearingDegrees: station.bearingDegrees })),
+    { minCrossingDegrees: 0.5, ...options }
+  );
+  if (result.residuals.some((residual) => residual.along < 0)) {
+    throw new Error('The rays do not meet in front of the stations. Check each bearing.');
+  }
+  return result;
+};
+
+// Chain bearing/distance legs from a start point. toTrueBearing converts each leg's bearing at
+// the point it is walked from, so magnetic or grid legs stay correct over a long traverse.
+export const projectTraverse = ({ start, legs, toTrueBearing = (bearing) => bearing }) => {
+  if (!start) throw new Error('Select a valid start point.');
+  if (!Array.isArray(legs) || legs.length === 0) throw new Error('Add at least one leg.');
+  const points = [start];
+  let totalMeters = 0;
+  legs.forEach((leg) => {
+    const from = points[points.length - 1];
+    points.push(
+      destinationFromBearing({
+        origin: from,
+        bearingDegrees: toTrueBearing(leg.bearingDegrees, from),
+        distanceMeters: leg.distanceMeters
+      })
+    );
+    totalMeters += leg.distanceMeters;
+  });
+
+  // Misclosure: how far the last point lands from the start of a closed traverse.
+  const gap = offsetFromAnchor(points[points.length - 1], start);
+  const closureMeters = Math.hypot(gap.east, gap.north);
+  return {
+    points,
+    totalMeters,
+    closure: {
+      meters: closureMeters,
+      bearingDegrees: (toDegrees(Math.atan2(gap.east, gap.north)) + 360) % 360,
+      ratio: closureMeters > 0 ? totalMeters / closureMeters : Infinity
+    }
+  };
+};
@@ -0,0 +1,196 @@
+// World Magnetic Model 2025 (NOAA/BGS, public domain), valid 2025.0 to 2030.0.
+// Rows are [n, m, g, h, gDot, hDot] in nT and nT/year, Schmidt semi-normalised.
+const WMM_COEFFICIENTS = [
+  [1, 0, -29351.8, 0, 12, 0],
+  [1, 1, -1410.8, 4545.4, 9.7, -21.5],
+  [2, 0, -2556.6, 0, -11.6, 0],
+  [2, 1, 2951.1, -3133.6, -5.2, -27.7],
+  [2, 2, 1649.3, -815.1, -8, -12.1],
+  [3, 0, 1361, 0, -1.3, 0],
+  [3, 1, -2404.1, -56.6, -4.2, 4],
+  [3, 2, 1243.8, 237.5, 0.4, -0.3],
+  [3, 3, 453.6, -549.5, -15.6, -4.1],
+  [4, 0, 895, 0, -1.6, 0],
+  [4, 1, 799.5, 278.6, -2.4, -1.1],
+  [4, 2, 55.7, -133.9, -6, 4.1],
+  [4, 3, -281.1, 212, 5.6, 1.6],
+  [4, 4, 12.1, -375.6, -7, -4.4],
+  [5, 0, -233.2, 0, 0.6, 0],
+  [5, 1, 368.9, 45.4, 1.4, -0.5],
+  [5, 2, 187.2, 220.2, 0, 2.2],
+  [5, 3, -138.7, -122.9, 0.6, 0.4],
+  [5, 4, -142, 43, 2.2, 1.7],
+  [5, 5, 20.9, 106.1, 0.9, 1.9],
+  [6, 0, 64.4, 0, -0.2, 0],
+  [6, 1, 63.8, -18.4, -0.4, 0.3],
+  [6, 2, 76.9, 16.8, 0.9, -1.6],
+  [6, 3, -115.7, 48.8, 1.2, -0.4],
+  [6, 4, -40.9, -59.8, -0.9, 0.9],
+  [6, 5, 14.9, 10.9, 0.3, 0.7],
+  [6, 6, -60.7, 72.7, 0.9, 0.9],
+  [7, 0, 79.5, 0, 0, 0],
+  [7, 1, -77, -48.9, -0.1, 0.6],
+  [7, 2, -8.8, -14.4, -0.1, 0.5],
+  [7, 3, 59.3, -1, 0.5, -0.8],
+  [7, 4, 15.8, 23.4, -0.1, 0],
+  [7, 5, 2.5, -7.4, -0.8, -1],
+  [7, 6, -11.1, -25.1, -0.8, 0.6],
+  [7, 7, 14.2, -2.3, 0.8, -0.2],
+  [8, 0, 23.2, 0, -0.1, 0],
+  [8, 1, 10.8, 7.1, 0.2, -0.2],
+  [8, 2, -17.5, -12.6, 0, 0.5],
+  [8, 3, 2, 11.4, 0.5, -0.4],
+  [8, 4, -21.7, -9.7, -0.1, 0.4],
+  [8, 5, 16.9, 12.7, 0.3, -0.5],
+  [8, 6, 15, 0.7, 0.2, -0.6],
+  [8, 7, -16.8, -5.2, 0, 0.3],
+  [8, 8, 0.9, 3.9, 0.2, 0.2],
+  [9, 0, 4.6, 0, 0, 0],
+  [9, 1, 7.8, -24.8, -0.1, -0.3],
+  [9, 2, 3, 12.2, 0.1, 0.3],
+  [9, 3, -0.2, 8.3, 0.3, -0.3],
+  [9, 4, -2.5, -3.3, -0.3, 0.3],
+  [9, 5, -13.1, -5.2, 0, 0.2],
+  [9, 6, 2.4, 7.2, 0.3, -0.1],
+  [9, 7, 8.6, -0.6, -0.1, -0.2],
+  [9, 8, -8.7, 0.8, 0.1, 0.4],
+  [9, 9, -12.9, 10, -0.1, 0.1],
+  [10, 0, -1.3, 0, 0.1, 0],
+  [10, 1, -6.4, 3.3, 0, 0],
+  [10, 2, 0.2, 0, 0.1, 0],
+  [10, 3, 2, 2.4, 0.1, -0.2],
+  [10, 4, -1, 5.3, 0, 0.1],
+  [10, 5, -0.6, -9.1, -0.3, -0.1],
+  [10, 6, -0.9, 0.4, 0, 0.1],
+  [10, 7, 1.5, -4.2, -0.1, 0],
+  [10, 8, 0.9, -3.8, -0.1, -0.1],
+  [10, 9, -2.7, 0.9, 0, 0.2],
+  [10, 10, -3.9, -9.1, 0, 0],
+  [11, 0, 2.9, 0, 0, 0],
+  [11, 1, -1.5, 0, 0, 0],
+  [11, 2, -2.5, 2.9, 0, 0.1],
+  [11, 3, 2.4, -0.6, 0, 0],
+  [11, 4, -0.6, 0.2, 0, 0.1],
+  [11, 5, -0.1, 0.5, -0.1, 0],
+  [11, 6, -0.6, -0.3, 0, 0],
+  [11, 7, -0.1, -1.2, 0, 0.1],
+  [11, 8, 1.1, -1.7, -0.1, 0],
+  [11, 9, -1, -2.9, -0.1, 0],
+  [11, 10, -0.2, -1.8, -0.1, 0],
+  [11, 11, 2.6, -2.3, -0.1, 0],
+  [12, 0, -2, 0, 0, 0],
+  [12, 1, -0.2, -1.3, 0, 0],
+  [12, 2, 0.3, 0.7, 0, 0],
+  [12, 3, 1.2, 1, 0, -0.1],
+  [12, 4, -1.3, -1.4, 0, 0.1],
+  [12, 5, 0.6, 0, 0, 0],
+  [12, 6, 0.6, 0.6, 0.1, 0],
+  [12, 7, 0.5, -0.1, 0, 0],
+  [12, 8, -0.1, 0.8, 0, 0],
+  [12, 9, -0.4, 0.1, 0, 0],
+  [12, 10, -0.2, -1, -0.1, 0],
+  [12, 11, -1.3, 0.1, 0, 0],
+  [12, 12, -0.7, 0.2, -0.1, -0.1]
+];
+
+export const WMM_EPOCH = 2025.0;
+export const WMM_VALID_UNTIL = 2030.0;
+
+const MAX_DEGREE = 12;
+const GEOMAGNETIC_REFERENCE_RADIUS_KM = 6371.2;
+const WGS84_A_KM = 6378.137;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+export const decimalYear = (date = new Date()) => {
+  const year = date.getUTCFullYear();
+  const start = Date.UTC(year, 0, 1);
+  const end = Date.UTC(year + 1, 0, 1);
+  return year + (date.getTime() - start) / (end - start);
+};
+
+export const isWithinMagneticModel = (date = new Date()) => {
+  const year = decimalYear(date);
+  return year >= WMM_EPOCH && year < WMM_VALID_UNTIL;
+};
+
+// Returns the north (X), east (Y) and down (Z) field components in nT plus declination and
+// inclination in degrees. Declination is positive when magnetic north lies east of true north.
+export const magneticField = ({ lat, lng }, date = new Date(), altitudeKm = 0) => {
+  const dt = decimalYear(date) - WMM_EPOCH;
+  const latRad = toRadians(lat);
+  const lngRad = toRadians(lng);
+
+  // Geodetic to geocentric spherical coordinates.
+  const sinLat = Math.sin(latRad);
+  const primeVertical = WGS84_A_KM / Math.sqrt(1 - WGS84_E2 * sinLat * sinLat);
+  const p = (primeVertical + altitudeKm) * Math.cos(latRad);
+  const z = (primeVertical * (1 - WGS84_E2) + altitudeKm) * sinLat;
+  const radius = Math.hypot(p, z);
+  const geocentricLat = Math.asin(z / radius);
+
+  const x = Math.sin(geocentricLat);
+  const s = Math.cos(geocentricLat);
+
+  // Schmidt semi-normalised associated Legendre functions and their colatitude derivatives.
+  const P = Array.from({ length: MAX_DEGREE + 1 }, () => new Array(MAX_DEGREE + 1).fill(0));
+  const dP = Array.from({ length: MAX_DEGREE + 1 }, () => new Array(MAX_DEGREE + 1).fill(0));
+  P[0][0] = 1;
+  for (let n = 1; n <= MAX_DEGREE; n += 1) {
+    if (n === 1) {
+      P[1][1] = s;
+      dP[1][1] = x;
+    } else {
+      const k = Math.sqrt((2 * n - 1) / (2 * n));
+      P[n][n] = k * s * P[n - 1][n - 1];
+      dP[n][n] = k * (s * dP[n - 1][n - 1] + x * P[n - 1][n - 1]);
+    }
+    for (let m = 0; m < n; m += 1) {
+      const root = Math.sqrt(n * n - m * m);
+      const previous = n >= 2 ? Math.sqrt((n - 1) * (n - 1) - m * m) : 0;
+      const older = n >= 2 ? P[n - 2][m] : 0;
+      const olderDerivative = n >= 2 ? dP[n - 2][m] : 0;
+      P[n][m] = ((2 * n - 1) * x * P[n - 1][m] - previous * older) / root;
+      dP[n][m] =
+        ((2 * n - 1) * (x * dP[n - 1][m] - s * P[n - 1][m]) - previous * olderDerivative) / root;
+    }
+  }
+
+  let north = 0;
+  let east = 0;
+  let down = 0;
+  const ratio = GEOMAGNETIC_REFERENCE_RADIUS_KM / radius;
+  WMM_COEFFICIENTS.forEach(([n, m, g, h, gDot, hDot]) => {
+    const gt = g + dt * gDot;
+    const ht = h + dt * hDot;
+    const cosM = Math.cos(m * lngRad);
+    const sinM = Math.sin(m * lngRad);
+    const scale = ratio ** (n + 2);
+    north += scale * (gt * cosM + ht * sinM) * dP[n][m];
+    if (s > 1e-10) {
+      east += (scale * m * (gt * sinM - ht * cosM) * P[n][m]) / s;
+    }
+    down -= scale * (n + 1) * (gt * cosM + ht * sinM) * P[n][m];
+  });
+
+  // Rotate from geocentric back to the geodetic frame.
+  const tilt = geocentricLat - latRad;
+  const X = north * Math.cos(tilt) - down * Math.sin(tilt);
+  const Z = north * Math.sin(tilt) + down * Math.cos(tilt);
+  const Y = east;
+  const horizontal = Math.hypot(X, Y);
+
+  return {
+    north: X,
+    east: Y,
+    down: Z,
+    declination: toDegrees(Math.atan2(Y, X)),
+    inclination: toDegrees(Math.atan2(Z, horizontal))
+  };
+};
+
+export const magneticDeclination = (point, date = new Date()) =>
+  magneticField(point, date).declination;
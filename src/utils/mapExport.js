@@ -0,0 +1,470 @@
+import { formatAngleOffset } from './bearings.js';
+import { gridLinesInBounds, polylineCrossing } from './grid.js';
+import {
+  buildTileUrl,
+  latLngToWorldPixel,
+  loadTileBitmap,
+  MAX_TILE_FETCH_CONCURRENCY,
+  TILE_CACHE_NAME,
+  TILE_SIZE,
+  tileResolution,
+  worldPixelToLatLng
+} from './tiles.js';
+
+export const PRINT_SCALES = [25000, 50000];
+
+export const PAPER_SIZES = {
+  a4: { label: 'A4', width: 210, height: 297 },
+  a3: { label: 'A3', width: 297, height: 420 }
+};
+
+export const PAPER_ORIENTATIONS = ['landscape', 'portrait'];
+
+export const PRINT_MARGIN_MM = 10;
+
+export const DEFAULT_MAP_EXPORT_SETTINGS = {
+  scale: 25000,
+  paper: 'a4',
+  orientation: 'landscape'
+};
+
+const PRINT_DPI = 150;
+// Strip under the map frame for the scale bar, legend and north arrow.
+const MARGINALIA_MM = 26;
+const GRID_SPACING_METERS = 1000;
+const SCALE_BAR_LENGTHS = [500, 1000, 2000, 5000, 10000];
+
+const ROUTE_COLOR = '#7c3aed';
+const GRID_COLOR = 'rgba(29, 78, 216, 0.75)';
+const MARKER_COLORS = {
+  start: '#22c55e',
+  checkpoint: '#3b82f6',
+  end: '#ef4444'
+};
+
+const gridSystemNames = {
+  local: 'local grid',
+  mgrs: 'UTM grid',
+  osgb: 'OS National Grid'
+};
+
+export const formatScale = (scale) => `1:${String(scale).replace(/\B(?=(\d{3})+(?!\d))/g, ' ')}`;
+
+// Page, printable sheet and map frame sizes in millimetres, plus the ground the frame covers.
+export const exportPageLayout = ({ scale, paper, orientation }) => {
+  const size = PAPER_SIZES[paper] ?? PAPER_SIZES.a4;
+  const [pageWidth, pageHeight] =
+    orientation === 'portrait' ? [size.width, size.height] : [size.height, size.width];
+  const sheetWidth = pageWidth - 2 * PRINT_MARGIN_MM;
+  const sheetHeight = pageHeight - 2 * PRINT_MARGIN_MM;
+  const mapHeight = sheetHeight - MARGINALIA_MM;
+  return {
+    pageWidth,
+    pageHeight,
+    sheetWidth,
+    sheetHeight,
+    mapWidth: sheetWidth,
+    mapHeight,
+    groundWidth: (sheetWidth * scale) / 1000,
+    groundHeight: (mapHeight * scale) / 1000
+  };
+};
+
+const plainAttribution = (html) =>
+  String(html ?? '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&copy;/g, '©')
+    .replace(/&amp;/g, '&');
+
+const formatGround = (meters) => (meters >= 1000 ? `${meters / 1000} km` : `${meters} m`);
+
+const loadTiles = async (tiles, provider, onProgress) => {
+  let cache = null;
+  try {
+    cache = typeof caches === 'undefined' ? null : await caches.open(TILE_CACHE_NAME);
+  } catch (error) {
+    cache = null;
+  }
+  const queue = [...tiles];
+  const loaded = [];
+  let missing = 0;
+  let done = 0;
+  const worldTiles = 2 ** tiles[0]?.z;
+
+  const runWorker = async () => {
+    while (queue.length > 0) {
+      const tile = queue.shift();
+      const url = buildTileUrl(provider.url, provider.subdomains, {
+        x: ((tile.x % worldTiles) + worldTiles) % worldTiles,
+        y: tile.y,
+        z: tile.z
+      });
+      try {
+        loaded.push({ ...tile, bitmap: await loadTileBitmap(url, cache) });
+      } catch (error) {
+        missing += 1;
+      }
+      done += 1;
+      onProgress?.(done, tiles.length);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(MAX_TILE_FETCH_CONCURRENCY, queue.length) }, runWorker)
+  );
+  return { loaded, missing };
+};
+
+const drawHaloText = (ctx, text, x, y) => {
+  ctx.strokeText(text, x, y);
+  ctx.fillText(text, x, y);
+};
+
+const drawGrid = (ctx, lines, project, frame, mm) => {
+  ctx.save();
+  ctx.strokeStyle = GRID_COLOR;
+  ctx.lineWidth = mm(0.2);
+  lines.forEach((line) => {
+    const points = line.positions.map(project);
+    ctx.beginPath();
+    points.forEach((point, index) => (index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+    ctx.stroke();
+  });
+
+  ctx.font = `bold ${mm(2.6)}px sans-serif`;
+  ctx.fillStyle = '#1e3a8a';
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.lineWidth = mm(0.8);
+  ctx.lineJoin = 'round';
+  const inset = mm(1);
+  lines.forEach((line) => {
+    const points = line.positions.map(project);
+    if (line.axis === 'easting') {
+      ctx.textAlign = 'center';
+      [
+        { y: 0, baseline: 'top', offset: inset },
+        { y: frame.height, baseline: 'bottom', offset: -inset }
+      ].forEach((edge) => {
+        const x = polylineCrossing(points, 'y', edge.y);
+        if (x == null || x < mm(4) || x > frame.width - mm(4)) return;
+        ctx.textBaseline = edge.baseline;
+        drawHaloText(ctx, line.label, x, edge.y + edge.offset);
+      });
+    } else {
+      ctx.textBaseline = 'middle';
+      [
+        { x: 0, align: 'left', offset: inset },
+        { x: frame.width, align: 'right', offset: -inset }
+      ].forEach((edge) => {
+        const y = polylineCrossing(points, 'x', edge.x);
+        if (y == null || y < mm(4) || y > frame.height - mm(4)) return;
+        ctx.textAlign = edge.align;
+        drawHaloText(ctx, line.label, edge.x + edge.offset, y);
+      });
+    }
+  });
+  ctx.restore();
+};
+
+const drawMarker = (ctx, { x, y }, { color, text }, mm) => {
+  ctx.beginPath();
+  ctx.arc(x, y, mm(2.2), 0, Math.PI * 2);
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.lineWidth = mm(0.4);
+  ctx.strokeStyle = '#ffffff';
+  ctx.stroke();
+  ctx.fillStyle = '#ffffff';
+  ctx.font = `bold ${mm(2.4)}px sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, x, y + mm(0.1));
+};
+
+const drawRoute = (ctx, waypoints, project, mm) => {
+  const points = waypoints.map((waypoint) => project(waypoint.position));
+  if (points.length >= 2) {
+    ctx.save();
+    ctx.strokeStyle = ROUTE_COLOR;
+    ctx.globalAlpha = 0.85;
+    ctx.lineWidth = mm(0.6);
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    points.forEach((point, index) => (index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+    ctx.stroke();
+    ctx.restore();
+  }
+  let checkpointNumber = 0;
+  waypoints.forEach((waypoint, index) => {
+    let style;
+    if (waypoint.id === 'start') {
+      style = { color: MARKER_COLORS.start, text: 'S' };
+    } else if (waypoint.id === 'end') {
+      style = { color: MARKER_COLORS.end, text: 'F' };
+    } else {
+      checkpointNumber += 1;
+      style = { color: MARKER_COLORS.checkpoint, text: String(checkpointNumber) };
+    }
+    drawMarker(ctx, points[index], style, mm);
+  });
+};
+
+const drawScaleBar = (ctx, { x, y, scale, maxWidth }, mm) => {
+  const mmPerMeter = 1000 / scale;
+  const length =
+    [...SCALE_BAR_LENGTHS].reverse().find((meters) => meters * mmPerMeter <= maxWidth) ?? SCALE_BAR_LENGTHS[0];
+  const width = mm(length * mmPerMeter);
+  const height = mm(1.6);
+  const blocks = 4;
+  ctx.lineWidth = mm(0.2);
+  ctx.strokeStyle = '#000000';
+  for (let block = 0; block < blocks; block += 1) {
+    ctx.fillStyle = block % 2 === 0 ? '#000000' : '#ffffff';
+    ctx.fillRect(x + (width * block) / blocks, y, width / blocks, height);
+  }
+  ctx.strokeRect(x, y, width, height);
+
+  ctx.fillStyle = '#000000';
+  ctx.font = `${mm(2.4)}px sans-serif`;
+  ctx.textBaseline = 'top';
+  ctx.textAlign = 'center';
+  ctx.fillText('0', x, y + height + mm(0.8));
+  ctx.fillText(formatGround(length / 2), x + width / 2, y + height + mm(0.8));
+  ctx.fillText(formatGround(length), x + width, y + height + mm(0.8));
+  return width;
+};
+
+const drawNorthArrow = (ctx, { x, y, angles }, mm) => {
+  const length = mm(14);
+  const arrow = (degrees, label, dashed) => {
+    const radians = (degrees * Math.PI) / 180;
+    const tipX = x + Math.sin(radians) * length;
+    const tipY = y - Math.cos(radians) * length;
+    ctx.save();
+    ctx.setLineDash(dashed ? [mm(0.8), mm(0.6)] : []);
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(tipX, tipY);
+    ctx.stroke();
+    ctx.restore();
+    ctx.fillText(label, tipX, tipY - mm(0.6));
+  };
+  ctx.strokeStyle = '#000000';
+  ctx.fillStyle = '#000000';
+  ctx.lineWidth = mm(0.3);
+  ctx.font = `bold ${mm(2.4)}px sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'bottom';
+  arrow(0, 'TN', false);
+  if (angles) {
+    // Drawn schematically, as on OS sheets: small angles are opened out so the three norths
+    // stay legible in the right order, and the printed values give the real figures.
+    const spread = (degrees, fallbackSign) =>
+      (degrees === 0 ? fallbackSign : Math.sign(degrees)) * Math.max(Math.abs(degrees), 6);
+    const gridNorth = spread(angles.convergence, -1);
+    arrow(gridNorth, 'GN', false);
+    arrow(gridNorth + spread(angles.gridMagneticAngle, 1), 'MN', true);
+  }
+};
+
+const drawLegendSymbol = (ctx, symbol, { x, y }, mm) => {
+  const small = (value) => mm(value * 0.7);
+  if (symbol === 'route') {
+    ctx.strokeStyle = ROUTE_COLOR;
+    ctx.lineWidth = mm(0.6);
+    ctx.beginPath();
+    ctx.moveTo(x - mm(3), y);
+    ctx.lineTo(x + mm(3), y);
+    ctx.stroke();
+  } else if (symbol === 'ends') {
+    drawMarker(ctx, { x: x - mm(1.6), y }, { color: MARKER_COLORS.start, text: 'S' }, small);
+    drawMarker(ctx, { x: x + mm(1.6), y }, { color: MARKER_COLORS.end, text: 'F' }, small);
+  } else if (symbol === 'checkpoint') {
+    drawMarker(ctx, { x, y }, { color: MARKER_COLORS.checkpoint, text: '1' }, small);
+  } else if (symbol === 'grid') {
+    ctx.strokeStyle = GRID_COLOR;
+    ctx.lineWidth = mm(0.2);
+    ctx.strokeRect(x - mm(1.5), y - mm(1.5), mm(3), mm(3));
+  }
+};
+
+const drawLegend = (ctx, { x, y, gridLabel }, mm) => {
+  const rowHeight = mm(4);
+  const rows = [
+    { symbol: 'route', label: 'Route' },
+    { symbol: 'ends', label: 'Start / Finish' },
+    { symbol: 'checkpoint', label: 'Checkpoint' },
+    gridLabel ? { symbol: 'grid', label: gridLabel } : null
+  ].filter(Boolean);
+
+  rows.forEach((row, index) => {
+    const rowY = y + rowHeight * index + rowHeight / 2;
+    ctx.save();
+    drawLegendSymbol(ctx, row.symbol, { x: x + mm(3), y: rowY }, mm);
+    ctx.restore();
+    ctx.fillStyle = '#000000';
+    ctx.font = `${mm(2.4)}px sans-serif`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(row.label, x + mm(8), rowY);
+  });
+};
+
+// Draws a print-ready sheet at a true scale: base map tiles (offline cache first), the grid,
+// the route and checkpoints, then a scale bar, legend and north arrow under the frame.
+export const renderMapExport = async ({
+  centre,
+  settings = DEFAULT_MAP_EXPORT_SETTINGS,
+  provider,
+  waypoints = [],
+  grid = {},
+  angles = null,
+  onProgress
+}) => {
+  if (!centre) {
+    throw new Error('Choose an area to print first.');
+  }
+  if (typeof document === 'undefined' || typeof createImageBitmap === 'undefined') {
+    throw new Error('Map printing is not supported in this browser.');
+  }
+
+  const layout = exportPageLayout(settings);
+  const pxPerMm = PRINT_DPI / 25.4;
+  const mm = (value) => value * pxPerMm;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(mm(layout.sheetWidth));
+  canvas.height = Math.round(mm(layout.sheetHeight));
+  const frame = { width: canvas.width, height: Math.round(mm(layout.mapHeight)) };
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    throw new Error('Unable to create a drawing surface for printing.');
+  }
+
+  // Pick the first zoom whose tiles are at least as detailed as the printed pixels.
+  const canvasResolution = settings.scale / 1000 / pxPerMm;
+  const idealZoom = Math.ceil(Math.log2(tileResolution(centre.lat, 0) / canvasResolution));
+  const zoom = Math.min(Math.max(idealZoom, provider.minZoom ?? 0), provider.maxZoom ?? 19);
+  const ratio = tileResolution(centre.lat, zoom) / canvasResolution;
+  const centrePixel = latLngToWorldPixel(centre, zoom);
+  const toWorld = (x, y) => ({
+    x: centrePixel.x + (x - frame.width / 2) / ratio,
+    y: centrePixel.y + (y - frame.height / 2) / ratio
+  });
+  const project = (point) => {
+    const pixel = latLngToWorldPixel(point, zoom);
+    return {
+      x: (pixel.x - centrePixel.x) * ratio + frame.width / 2,
+      y: (pixel.y - centrePixel.y) * ratio + frame.height / 2
+    };
+  };
+
+  const topLeft = toWorld(0, 0);
+  const bottomRight = toWorld(frame.width, frame.height);
+  const maxTileIndex = 2 ** zoom - 1;
+  const tiles = [];
+  for (let x = Math.floor(topLeft.x / TILE_SIZE); x <= Math.floor(bottomRight.x / TILE_SIZE); x += 1) {
+    for (
+      let y = Math.max(Math.floor(topLeft.y / TILE_SIZE), 0);
+      y <= Math.min(Math.floor(bottomRight.y / TILE_SIZE), maxTileIndex);
+      y += 1
+    ) {
+      tiles.push({ x, y, z: zoom });
+    }
+  }
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = '#f1f5f9';
+  ctx.fillRect(0, 0, frame.width, frame.height);
+
+  const { loaded, missing } = await loadTiles(tiles, provider, onProgress);
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(0, 0, frame.width, frame.height);
+  ctx.clip();
+  const tileSize = TILE_SIZE * ratio;
+  loaded.forEach((tile) => {
+    const x = (tile.x * TILE_SIZE - centrePixel.x) * ratio + frame.width / 2;
+    const y = (tile.y * TILE_SIZE - centrePixel.y) * ratio + frame.height / 2;
+    // Half a pixel of overlap hides hairline seams between scaled tiles.
+    ctx.drawImage(tile.bitmap, x, y, tileSize + 0.5, tileSize + 0.5);
+    tile.bitmap.close?.();
+  });
+
+  const northWest = worldPixelToLatLng(topLeft, zoom);
+  const southEast = worldPixelToLatLng(bottomRight, zoom);
+  const gridLines = gridLinesInBounds({
+    bounds: { south: southEast.lat, west: northWest.lng, north: northWest.lat, east: southEast.lng },
+    spacingMeters: GRID_SPACING_METERS,
+    ...grid
+  });
+  drawGrid(ctx, gridLines, project, frame, mm);
+  drawRoute(ctx, waypoints, project, mm);
+  ctx.restore();
+
+  ctx.strokeStyle = '#000000';
+  ctx.lineWidth = mm(0.35);
+  ctx.strokeRect(0, 0, frame.width, frame.height);
+
+  const bandTop = frame.height + mm(3);
+  ctx.fillStyle = '#000000';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.font = `bold ${mm(3.6)}px sans-serif`;
+  ctx.fillText(`Scale ${formatScale(settings.scale)}`, 0, bandTop);
+  const barWidth = drawScaleBar(
+    ctx,
+    { x: 0, y: bandTop + mm(5.5), scale: settings.scale, maxWidth: Math.min(layout.sheetWidth * 0.35, 100) },
+    mm
+  );
+
+  ctx.font = `${mm(2.2)}px sans-serif`;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'bottom';
+  const notes = [
+    `${PAPER_SIZES[settings.paper]?.label ?? 'A4'} ${settings.orientation}. Print at 100% (actual size) for a true scale.`,
+    plainAttribution(provider.attribution)
+  ];
+  if (missing > 0) {
+    notes.unshift(`${missing} of ${tiles.length} map tiles were unavailable offline and are left blank.`);
+  }
+  notes.forEach((note, index) => {
+    ctx.fillText(note, 0, canvas.height - mm(2.8) * (notes.length - 1 - index), canvas.width * 0.6);
+  });
+
+  const gridLabel =
+    gridLines.length > 0 ? `${formatGround(GRID_SPACING_METERS)} ${gridSystemNames[grid.system] ?? 'grid'}` : null;
+  const legendX = Math.max(barWidth + mm(12), canvas.width * 0.45);
+  drawLegend(ctx, { x: legendX, y: bandTop - mm(1), gridLabel }, mm);
+
+  const arrowX = canvas.width - mm(36);
+  drawNorthArrow(ctx, { x: arrowX, y: bandTop + mm(16), angles }, mm);
+  if (angles) {
+    ctx.font = `${mm(2.2)}px sans-serif`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    const year = angles.date.getFullYear();
+    [
+      `GN ${formatAngleOffset(angles.convergence)}`,
+      `MN ${formatAngleOffset(angles.declination)} (${year})`,
+      `G-M ${formatAngleOffset(angles.gridMagneticAngle)}`
+    ].forEach((line, index) => {
+      ctx.fillText(line, arrowX + mm(12), bandTop + mm(2) + index * mm(3.2));
+    });
+  }
+
+  const offSheetWaypoints = waypoints.filter((waypoint) => {
+    const { x, y } = project(waypoint.position);
+    return x < 0 || y < 0 || x > frame.width || y > frame.height;
+  }).length;
+
+  return {
+    canvas,
+    layout,
+    zoom,
+    tileCount: tiles.length,
+    missingTiles: missing,
+    offSheetWaypoints
+  };
+};
@@ -0,0 +1,58 @@
+import { createJSONStorage } from 'zustand/middleware';
+
+const STORAGE_PREFIX = 'cadet-map';
+
+// localStorage that fails quietly: private browsing, a full quota or a missing window leave the
+// app running from memory rather than throwing on every state change.
+const safeLocalStorage = {
+  getItem: (name) => {
+    try {
+      return window.localStorage.getItem(name);
+    } catch (error) {
+      return null;
+    }
+  },
+  setItem: (name, value) => {
+    try {
+      window.localStorage.setItem(name, value);
+    } catch (error) {
+      // Nothing to do: the in-memory state is still correct.
+    }
+  },
+  removeItem: (name) => {
+    try {
+      window.localStorage.removeItem(name);
+    } catch (error) {
+      // Ignore, as above.
+    }
+  }
+};
+
+export const storageKey = (name) => `${STORAGE_PREFIX}:${name}`;
+
+export const isStoredPosition = (position) =>
+  Boolean(position) && Number.isFinite(position.lat) && Number.isFinite(position.lng);
+
+// Options for zustand's persist middleware. migrations maps a schema version to the step that
+// upgrades state from the version before it; state written by a newer build is dropped rather
+// than guessed at. merge is only called when there is stored state to restore.
+export const persistOptions = ({ name, version, migrations = {}, partialize, merge }) => ({
+  name: storageKey(name),
+  version,
+  storage: createJSONStorage(() => safeLocalStorage),
+  partialize,
+  migrate: (persistedState, storedVersion) => {
+    if (!persistedState || storedVersion > version) return null;
+    let state = persistedState;
+    for (let next = storedVersion + 1; next <= version; next += 1) {
+      if (migrations[next]) {
+        state = migrations[next](state);
+      }
+    }
+    return state;
+  },
+  merge: (persistedState, currentState) => {
+    if (!persistedState || typeof persistedState !== 'object') return currentState;
+    return merge ? merge(persistedState, currentState) : { ...currentState, ...persistedState };
+  }
+});
@@ -0,0 +1,139 @@
+import { destinationPoint, geodesicInverse } from './geodesy.js';
+
+export const STEEP_GRADE = 0.2;
+
+const MIN_SPACING_METERS = 20;
+const MAX_SAMPLES = 500;
+// Grades are measured over at least this run so single-cell DEM noise does not look like a cliff.
+const GRADE_WINDOW_METERS = 60;
+
+const emptyLegStats = (index, from, to, distance) => ({
+  index,
+  from,
+  to,
+  distance,
+  ascent: 0,
+  descent: 0,
+  maxGrade: null,
+  hasGaps: false
+});
+
+// Sample elevations along the straight legs between consecutive points. elevationAt returns
+// metres or null where there is no terrain data.
+export const buildElevationProfile = (points, elevationAt) => {
+  if (!Array.isArray(points) || points.length < 2 || typeof elevationAt !== 'function') return null;
+
+  const legGeometry = points.slice(0, -1).map((from, index) => {
+    const to = points[index + 1];
+    const inverse = geodesicInverse(from, to);
+    return { from, to, distance: inverse.distance, bearing: inverse.initialBearing };
+  });
+  const totalDistance = legGeometry.reduce((sum, leg) => sum + leg.distance, 0);
+  if (totalDistance === 0) return null;
+  const spacing = Math.max(MIN_SPACING_METERS, totalDistance / MAX_SAMPLES);
+
+  const samples = [];
+  let offset = 0;
+  legGeometry.forEach((leg, legIndex) => {
+    const steps = Math.max(1, Math.ceil(leg.distance / spacing));
+    // Each leg owns its start sample; the final leg also closes on the end point.
+    const lastStep = legIndex === legGeometry.length - 1 ? steps : steps - 1;
+    for (let step = 0; step <= lastStep; step += 1) {
+      const along = (leg.distance * step) / steps;
+      const position =
+        step === 0 ? leg.from : step === steps ? leg.to : destinationPoint(leg.from, leg.bearing, along);
+      samples.push({
+        distance: offset + along,
+        legIndex,
+        position,
+        elevation: elevationAt(position)
+      });
+    }
+    offset += leg.distance;
+  });
+
+  const legs = legGeometry.map((leg, index) => emptyLegStats(index, leg.from, leg.to, leg.distance));
+  const steepSegments = [];
+  const minimumRun = spacing >= GRADE_WINDOW_METERS ? 0 : GRADE_WINDOW_METERS - 1e-6;
+  let windowStart = 0;
+
+  for (let index = 1; index < samples.length; index += 1) {
+    const previous = samples[index - 1];
+    const current = samples[index];
+    const leg = legs[previous.legIndex];
+    if (previous.elevation == null || current.elevation == null) {
+      leg.hasGaps = true;
+      windowStart = index;
+      continue;
+    }
+    const change = current.elevation - previous.elevation;
+    if (change > 0) leg.ascent += change;
+    else leg.descent -= change;
+
+    while (
+      windowStart < index - 1 &&
+      current.distance - samples[windowStart + 1].distance >= GRADE_WINDOW_METERS
+    ) {
+      windowStart += 1;
+    }
+    const anchor = samples[windowStart];
+    const run = current.distance - anchor.distance;
+    if (run <= 0 || run < minimumRun || anchor.elevation == null) continue;
+    const grade = (current.elevation - anchor.elevation) / run;
+    if (leg.maxGrade == null || Math.abs(grade) > Math.abs(leg.maxGrade)) leg.maxGrade = grade;
+
+    if (Math.abs(grade) >= STEEP_GRADE) {
+      const last = steepSegments[steepSegments.length - 1];
+      if (last && last.toDistance >= anchor.distance && Math.sign(last.grade) === Math.sign(grade)) {
+        last.toDistance = current.distance;
+        if (Math.abs(grade) > Math.abs(last.grade)) last.grade = grade;
+      } else {
+        steepSegments.push({
+          legIndex: previous.legIndex,
+          fromDistance: anchor.distance,
+          toDistance: current.distance,
+          grade
+        });
+      }
+    }
+  }
+
+  const elevations = samples.map((sample) => sample.elevation).filter((value) => value != null);
+  if (elevations.length === 0) {
+    return { samples, legs, steepSegments, totals: null };
+  }
+
+  const steepest = legs.reduce(
+    (best, leg) =>
+      leg.maxGrade != null && (best == null || Math.abs(leg.maxGrade) > Math.abs(best)) ? leg.maxGrade : best,
+    null
+  );
+
+  return {
+    samples,
+    legs,
+    steepSegments,
+    totals: {
+      distance: totalDistance,
+      ascent: legs.reduce((sum, leg) => sum + leg.ascent, 0),
+      descent: legs.reduce((sum, leg) => sum + leg.descent, 0),
+      minElevation: Math.min(...elevations),
+      maxElevation: Math.max(...elevations),
+      maxGrade: steepest,
+      coverage: elevations.length / samples.length
+    }
+  };
+};
+
+// Map-ready polylines for the steep stretches of a profile.
+export const steepSegmentPaths = (profile) => {
+  if (!profile) return [];
+  return profile.steepSegments.map((segment) => ({
+    ...segment,
+    positions: profile.samples
+      .filter(
+        (sample) => sample.distance >= segment.fromDistance && sample.distance <= segment.toDistance
+      )
+      .map((sample) => [sample.position.lat, sample.position.lng])
+  }));
+};
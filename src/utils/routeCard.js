@@ -0,0 +1,203 @@
+import { convertBearing, northReferenceAngles } from './bearings.js';
+import { geodesicInverse } from './geodesy.js';
+import { degreesToMils } from './grid.js';
+
+export const TIME_METHODS = ['naismith', 'tobler'];
+
+export const TIME_METHOD_LABELS = {
+  naismith: 'Naismith',
+  tobler: 'Tobler'
+};
+
+export const DEFAULT_ROUTE_CARD_SETTINGS = {
+  method: 'naismith',
+  speedKmh: 4,
+  climbMinutesPer100m: 10
+};
+
+// Tobler gives about 5.04 km/h on the flat (peaking at 6 km/h on a 5% descent); scaling by the
+// configured flat speed lets slower groups use the same curve.
+const TOBLER_FLAT_KMH = 6 * Math.exp(-3.5 * 0.05);
+
+const toblerKmh = (slope, speedKmh) => (speedKmh / TOBLER_FLAT_KMH) * 6 * Math.exp(-3.5 * Math.abs(slope + 0.05));
+
+// Naismith: walking time at the set pace plus a fixed allowance per 100 m of ascent.
+export const naismithMinutes = ({ distanceMeters, ascentMeters, speedKmh, climbMinutesPer100m }) => {
+  const walking = (distanceMeters / 1000 / speedKmh) * 60;
+  const climbing = ((ascentMeters ?? 0) / 100) * climbMinutesPer100m;
+  return walking + climbing;
+};
+
+// Tobler over the sampled profile where there is one, else over the leg's average slope.
+export const toblerMinutes = ({ distanceMeters, ascentMeters, descentMeters, samples, speedKmh }) => {
+  const valid = (samples ?? []).filter((sample) => sample.elevation != null);
+  if (valid.length >= 2) {
+    let minutes = 0;
+    for (let index = 1; index < valid.length; index += 1) {
+      const run = valid[index].distance - valid[index - 1].distance;
+      if (run <= 0) continue;
+      const slope = (valid[index].elevation - valid[index - 1].elevation) / run;
+      minutes += (run / 1000 / toblerKmh(slope, speedKmh)) * 60;
+    }
+    return minutes;
+  }
+  if (distanceMeters === 0) return 0;
+  const netChange = (ascentMeters ?? 0) - (descentMeters ?? 0);
+  return (distanceMeters / 1000 / toblerKmh(netChange / distanceMeters, speedKmh)) * 60;
+};
+
+const legSamples = (profile, legIndex) =>
+  profile?.samples.filter((sample, index, samples) => {
+    if (sample.legIndex === legIndex) return true;
+    // The first sample of the next leg closes this one.
+    return index > 0 && samples[index - 1].legIndex === legIndex && sample.legIndex === legIndex + 1;
+  }) ?? [];
+
+// One row per leg between consecutive waypoints ({ label, position }). Height comes from the
+// route profile when terrain data is loaded, falling back to the waypoint elevations.
+export const buildRouteCard = ({
+  waypoints,
+  system,
+  calibration,
+  describe,
+  profile,
+  elevationAt,
+  settings = DEFAULT_ROUTE_CARD_SETTINGS
+}) => {
+  if (!Array.isArray(waypoints) || waypoints.length < 2) return null;
+  const speedKmh = settings.speedKmh > 0 ? settings.speedKmh : DEFAULT_ROUTE_CARD_SETTINGS.speedKmh;
+  const climbMinutesPer100m = Math.max(settings.climbMinutesPer100m ?? 0, 0);
+
+  let cumulativeMinutes = 0;
+  let cumulativeMeters = 0;
+  const legs = waypoints.slice(0, -1).map((from, index) => {
+    const to = waypoints[index + 1];
+    const inverse = geodesicInverse(from.position, to.position);
+    const angles = northReferenceAngles({ point: from.position, system, calibration });
+    const gridBearing = convertBearing(inverse.initialBearing, 'true', 'grid', angles);
+
+    const profileLeg = profile?.totals ? profile.legs[index] : null;
+    let ascent = profileLeg ? profileLeg.ascent : null;
+    let descent = profileLeg ? profileLeg.descent : null;
+    if (ascent == null && elevationAt) {
+      const fromElevation = elevationAt(from.position);
+      const toElevation = elevationAt(to.position);
+      if (fromElevation != null && toElevation != null) {
+        ascent = Math.max(toElevation - fromElevation, 0);
+        descent = Math.max(fromElevation - toElevation, 0);
+      }
+    }
+
+    const minutes =
+      settings.method === 'tobler'
+        ? toblerMinutes({
+            distanceMeters: inverse.distance,
+            ascentMeters: ascent,
+            descentMeters: descent,
+            samples: profileLeg ? legSamples(profile, index) : null,
+            speedKmh
+          })
+        : naismithMinutes({
+            distanceMeters: inverse.distance,
+            ascentMeters: ascent,
+            speedKmh,
+            climbMinutesPer100m
+          });
+    cumulativeMinutes += minutes;
+    cumulativeMeters += inverse.distance;
+
+    return {
+      index,
+      from: from.label,
+      to: to.label,
+      fromReference: describe?.(from.position) ?? null,
+      toReference: describe?.(to.position) ?? null,
+      gridBearing,
+      gridBearingMils: gridBearing == null ? null : degreesToMils(gridBearing),
+      distance: inverse.distance,
+      ascent,
+      descent,
+      minutes,
+      cumulativeMinutes,
+      cumulativeMeters
+    };
+  });
+
+  return {
+    legs,
+    settings: { ...settings, speedKmh, climbMinutesPer100m },
+    hasHeights: legs.every((leg) => leg.ascent != null),
+    totals: {
+      distance: cumulativeMeters,
+      ascent: legs.reduce((sum, leg) => sum + (leg.ascent ?? 0), 0),
+      descent: legs.reduce((sum, leg) => sum + (leg.descent ?? 0), 0),
+      minutes: cumulativeMinutes
+    }
+  };
+};
+
+export const formatDuration = (minutes) => {
+  if (minutes == null || Number.isNaN(minutes)) return '—';
+  const rounded = Math.round(minutes);
+  const hours = Math.floor(rounded / 60);
+  const remainder = rounded % 60;
+  return hours > 0 ? `${hours}h ${String(remainder).padStart(2, '0')}m` : `${remainder}m`;
+};
+
+export const formatCardBearing = (degrees) =>
+  degrees == null ? '—' : `${String(Math.round(degrees) % 360).padStart(3, '0')}°`;
+
+export const formatCardMils = (mils) => (mils == null ? '—' : String(Math.round(mils) % 6400).padStart(4, '0'));
+
+const csvCell = (value) => {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const routeCardToCsv = (card) => {
+  if (!card) return '';
+  const header = [
+    'Leg',
+    'From',
+    'From grid ref',
+    'To',
+    'To grid ref',
+    'Grid bearing (deg)',
+    'Grid bearing (mils)',
+    'Distance (m)',
+    'Height gain (m)',
+    'Height loss (m)',
+    'Time (min)',
+    'Cumulative time (min)'
+  ];
+  const rows = card.legs.map((leg) => [
+    leg.index + 1,
+    leg.from,
+    leg.fromReference,
+    leg.to,
+    leg.toReference,
+    formatCardBearing(leg.gridBearing).replace('°', ''),
+    formatCardMils(leg.gridBearingMils),
+    Math.round(leg.distance),
+    leg.ascent == null ? '' : Math.round(leg.ascent),
+    leg.descent == null ? '' : Math.round(leg.descent),
+    Math.round(leg.minutes),
+    Math.round(leg.cumulativeMinutes)
+  ]);
+  rows.push([
+    'Total',
+    '',
+    '',
+    '',
+    '',
+    '',
+    '',
+    Math.round(card.totals.distance),
+    card.hasHeights ? Math.round(card.totals.ascent) : '',
+    card.hasHeights ? Math.round(card.totals.descent) : '',
+    Math.round(card.totals.minutes),
+    ''
+  ]);
+  return [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\n');
+};
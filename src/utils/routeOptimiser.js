@@ -0,0 +1,294 @@
+import { distanceBetween } from './geodesy.js';
+
+const IMPROVEMENT_EPSILON = 1e-6;
+const MAX_OR_OPT_SEGMENT = 3;
+// Local search stops improving after this long; the tour found so far is still returned.
+const DEFAULT_TIME_BUDGET_MS = 250;
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+// Distances between every pair of points, with the start and end as the last two rows. A missing
+// start or end is free to reach, which turns the fixed path into an open one at that side.
+const buildDistanceMatrix = (points, start, end) => {
+  const count = points.length;
+  const size = count + 2;
+  const matrix = new Float64Array(size * size);
+  const positionAt = (index) => (index < count ? points[index] : index === count ? start : end);
+  for (let a = 0; a < size; a += 1) {
+    for (let b = a + 1; b < size; b += 1) {
+      const from = positionAt(a);
+      const to = positionAt(b);
+      const distance = from && to ? distanceBetween(from, to) ?? 0 : 0;
+      matrix[a * size + b] = distance;
+      matrix[b * size + a] = distance;
+    }
+  }
+  return { matrix, size };
+};
+
+const tourLength = (tour, distance) => {
+  let total = 0;
+  for (let index = 1; index < tour.length; index += 1) {
+    total += distance(tour[index - 1], tour[index]);
+  }
+  return total;
+};
+
+const nearestNeighbourTour = (count, distance) => {
+  const visited = new Uint8Array(count);
+  const tour = [count];
+  let current = count;
+  for (let step = 0; step < count; step += 1) {
+    let best = -1;
+    let bestDistance = Infinity;
+    for (let candidate = 0; candidate < count; candidate += 1) {
+      if (!visited[candidate] && distance(current, candidate) < bestDistance) {
+        best = candidate;
+        bestDistance = distance(current, candidate);
+      }
+    }
+    visited[best] = 1;
+    tour.push(best);
+    current = best;
+  }
+  tour.push(count + 1);
+  return tour;
+};
+
+// Reverses the stretch between two edges when that shortens the path. Endpoints never move.
+const improveTwoOpt = (tour, distance) => {
+  let improved = false;
+  const last = tour.length - 1;
+  for (let i = 1; i < last - 1; i += 1) {
+    for (let k = i + 1; k < last; k += 1) {
+      const delta =
+        distance(tour[i - 1], tour[k]) +
+        distance(tour[i], tour[k + 1]) -
+        distance(tour[i - 1], tour[i]) -
+        distance(tour[k], tour[k + 1]);
+      if (delta < -IMPROVEMENT_EPSILON) {
+        for (let left = i, right = k; left < right; left += 1, right -= 1) {
+          [tour[left], tour[right]] = [tour[right], tour[left]];
+        }
+        improved = true;
+      }
+    }
+  }
+  return improved;
+};
+
+// Moves runs of one to three points to a cheaper gap elsewhere, either way round.
+const improveOrOpt = (tour, distance) => {
+  for (let length = 1; length <= MAX_OR_OPT_SEGMENT; length += 1) {
+    for (let i = 1; i + length < tour.length; i += 1) {
+      const first = tour[i];
+      const lastInSegment = tour[i + length - 1];
+      const before = tour[i - 1];
+      const after = tour[i + length];
+      const removalGain = distance(before, first) + distance(lastInSegment, after) - distance(before, after);
+      for (let j = 0; j < tour.length - 1; j += 1) {
+        if (j >= i - 1 && j <= i + length - 1) continue;
+        const left = tour[j];
+        const right = tour[j + 1];
+        const gap = distance(left, right);
+        const forward = distance(left, first) + distance(lastInSegment, right) - gap;
+        const reversed = distance(left, lastInSegment) + distance(first, right) - gap;
+        const insertion = Math.min(forward, reversed);
+        if (insertion < removalGain - IMPROVEMENT_EPSILON) {
+          const segment = tour.splice(i, length);
+          if (reversed < forward) segment.reverse();
+          const insertAt = j < i ? j + 1 : j + 1 - length;
+          tour.splice(insertAt, 0, ...segment);
+          return true;
+        }
+      }
+    }
+  }
+  return false;
+};
+
+// Visiting order for points between a fixed start and end (either may be null) that keeps the
+// total straight-line distance short: nearest neighbour, then 2-opt and Or-opt until neither helps
+// or the time budget runs out. Never returns an order longer than the one given.
+export const optimiseVisitOrder = ({ start = null, end = null, points, timeBudgetMs = DEFAULT_TIME_BUDGET_MS }) => {
+  const count = Array.isArray(points) ? points.length : 0;
+  const identity = Array.from({ length: count }, (_, index) => index);
+  if (count < 2) {
+    return { order: identity, originalDistance: null, optimisedDistance: null, isComplete: true };
+  }
+
+  const { matrix, size } = buildDistanceMatrix(points, start, end);
+  const distance = (a, b) => matrix[a * size + b];
+  const originalTour = [count, ...identity, count + 1];
+  const originalDistance = tourLength(originalTour, distance);
+  const greedyTour = nearestNeighbourTour(count, distance);
+  const tour = tourLength(greedyTour, distance) < originalDistance ? greedyTour : [...originalTour];
+
+  const deadline = now() + timeBudgetMs;
+  let isComplete = false;
+  while (now() < deadline) {
+    const improved = improveTwoOpt(tour, distance) || improveOrOpt(tour, distance);
+    if (!improved) {
+      isComplete = true;
+      break;
+    }
+  }
+
+  return {
+    order: tour.slice(1, -1),
+    originalDistance,
+    optimisedDistance: tourLength(tour, distance),
+    isComplete
+  };
+};
+
+const SCORE_GREED_LEVELS = [1, 0.5, 2, 0];
+
+const polishTour = (tour, distance, deadline) => {
+  while (now() < deadline) {
+    if (!improveTwoOpt(tour, distance) && !improveOrOpt(tour, distance)) return;
+  }
+};
+
+// Ratio insertion: repeatedly adds the control with the most points per extra metre (raised to
+// greed, so 0 ignores distance altogether) that still fits in the distance budget.
+const fillTour = (tour, { count, distance, values, maxDistance, greed = 1, excluded = -1 }) => {
+  const included = new Uint8Array(count);
+  tour.slice(1, -1).forEach((index) => {
+    included[index] = 1;
+  });
+  let length = tourLength(tour, distance);
+  for (;;) {
+    let best = null;
+    for (let candidate = 0; candidate < count; candidate += 1) {
+      if (included[candidate] || candidate === excluded || values[candidate] <= 0) continue;
+      for (let position = 1; position < tour.length; position += 1) {
+        const added =
+          distance(tour[position - 1], candidate) +
+          distance(candidate, tour[position]) -
+          distance(tour[position - 1], tour[position]);
+        if (length + added > maxDistance) continue;
+        const ratio = values[candidate] / (added + 1) ** greed;
+        if (!best || ratio > best.ratio) {
+          best = { candidate, position, added, ratio };
+        }
+      }
+    }
+    if (!best) return tour;
+    tour.splice(best.position, 0, best.candidate);
+    included[best.candidate] = 1;
+    length += best.added;
+  }
+};
+
+const insertCheapest = (tour, index, distance) => {
+  let bestPosition = 1;
+  let bestAdded = Infinity;
+  for (let position = 1; position < tour.length; position += 1) {
+    const added =
+      distance(tour[position - 1], index) + distance(index, tour[position]) - distance(tour[position - 1], tour[position]);
+    if (added < bestAdded) {
+      bestAdded = added;
+      bestPosition = position;
+    }
+  }
+  return [...tour.slice(0, bestPosition), index, ...tour.slice(bestPosition)];
+};
+
+const tourScore = (tour, values) => tour.slice(1, -1).reduce((total, index) => total + values[index], 0);
+
+// Subset and order of controls that collects the most points within maxDistance metres between a
+// fixed start and end (either may be null). Greedy insertion and 2-opt/Or-opt build a course, then
+// each control is swapped out in turn in case the distance it frees buys more points elsewhere.
+export const planScoreCourse = ({
+  start = null,
+  end = null,
+  points,
+  values,
+  maxDistance,
+  timeBudgetMs = DEFAULT_TIME_BUDGET_MS * 2
+}) => {
+  const count = Array.isArray(points) ? points.length : 0;
+  const { matrix, size } = buildDistanceMatrix(points ?? [], start, end);
+  const distance = (a, b) => matrix[a * size + b];
+  const deadline = now() + timeBudgetMs;
+  const build = (tour, greed = 1, excluded = -1) => {
+    const context = { count, distance, values, maxDistance, greed, excluded };
+    fillTour(tour, context);
+    polishTour(tour, distance, deadline);
+    return fillTour(tour, context);
+  };
+  const isBetter = (candidate, candidateScore, tour, score) =>
+    candidateScore > score ||
+    (candidateScore === score && tourLength(candidate, distance) < tourLength(tour, distance) - 1);
+
+  if (distance(count, count + 1) > maxDistance) {
+    return { order: [], score: 0, distance: distance(count, count + 1), isFeasible: false, isComplete: true };
+  }
+
+  let tour = null;
+  let score = -1;
+  const consider = (candidate) => {
+    const candidateScore = tourScore(candidate, values);
+    if (!tour || isBetter(candidate, candidateScore, tour, score)) {
+      tour = candidate;
+      score = candidateScore;
+    }
+  };
+  // Different greed levels suit different layouts, so start from the best of a few. While half the
+  // budget remains, courses built around each control in turn widen the search further.
+  SCORE_GREED_LEVELS.forEach((greed) => consider(build([count, count + 1], greed)));
+  const seedDeadline = now() + timeBudgetMs / 2;
+  const seeds = Array.from({ length: count }, (_, index) => index).sort((a, b) => values[b] - values[a]);
+  for (const seed of seeds) {
+    if (now() >= seedDeadline) break;
+    const seeded = [count, seed, count + 1];
+    if (values[seed] > 0 && tourLength(seeded, distance) <= maxDistance) consider(build(seeded));
+  }
+
+  let isComplete = false;
+  while (now() < deadline) {
+    const byValue = tour.slice(1, -1).sort((a, b) => values[a] - values[b]);
+    let improved = false;
+    for (const dropped of byValue) {
+      if (now() >= deadline || improved) break;
+      const remaining = tour.filter((index) => index !== dropped);
+      // Plain refill first, then forcing in each better control that was left out. The dropped
+      // control is kept out of the refill, or it would usually just be put back.
+      const forced = [
+        null,
+        ...Array.from({ length: count }, (_, index) => index)
+          .filter((index) => values[index] > values[dropped] && !tour.includes(index))
+          .sort((a, b) => values[b] - values[a])
+      ];
+      for (const added of forced) {
+        if (now() >= deadline) break;
+        const candidate = added == null ? [...remaining] : insertCheapest(remaining, added, distance);
+        if (added != null) {
+          polishTour(candidate, distance, deadline);
+          if (tourLength(candidate, distance) > maxDistance) continue;
+        }
+        build(candidate, 1, dropped);
+        const candidateScore = tourScore(candidate, values);
+        if (isBetter(candidate, candidateScore, tour, score)) {
+          tour = candidate;
+          score = candidateScore;
+          improved = true;
+          break;
+        }
+      }
+    }
+    if (!improved) {
+      isComplete = now() < deadline;
+      break;
+    }
+  }
+
+  return {
+    order: tour.slice(1, -1),
+    score,
+    distance: tourLength(tour, distance),
+    isFeasible: true,
+    isComplete
+  };
+};
@@ -1,3 +1,5 @@
+import { CHECKPOINT_CATEGORY_IDS, hasCheckpointDetails, normaliseCheckpointDetails } from './checkpoints.js';
+
 export const parseLineString = (geoJson) => {
   if (!geoJson) return [];
   if (geoJson.type === 'FeatureCollection') {
@@ -83,23 +85,32 @@ const normalisePosition = (candidate) => {
   };
 };
 
-export const ROUTE_SHARE_VERSION = 1;
+// Version 2 adds checkpoint names, notes and categories. Routes without them are still encoded as
+// version 1 so the codes stay short and readable by older builds.
+export const ROUTE_SHARE_VERSION = 2;
+const ROUTE_SHARE_VERSIONS = [1, 2];
 const ROUTE_SHARE_SCALE = 1e5;
 
+// Checkpoints are flat { lat, lng, name?, note?, category? } objects in a snapshot.
+const normaliseSharedCheckpoint = (candidate) => {
+  const position = normalisePosition(candidate);
+  return position ? { ...position, ...normaliseCheckpointDetails(candidate) } : null;
+};
+
 export const normaliseRouteShareSnapshot = (snapshot) => {
   if (!snapshot || typeof snapshot !== 'object') return null;
   const version = typeof snapshot.version === 'number' ? snapshot.version : ROUTE_SHARE_VERSION;
-  if (version !== ROUTE_SHARE_VERSION) return null;
+  if (!ROUTE_SHARE_VERSIONS.includes(version)) return null;
 
   const connectVia = snapshot.connectVia === 'route' ? 'route' : 'direct';
   const start = normalisePosition(snapshot.start);
   const end = normalisePosition(snapshot.end);
   const checkpoints = Array.isArray(snapshot.checkpoints)
-    ? snapshot.checkpoints.map(normalisePosition).filter(Boolean)
+    ? snapshot.checkpoints.map(normaliseSharedCheckpoint).filter(Boolean)
     : [];
 
   return {
-    version,
+    version: ROUTE_SHARE_VERSION,
     connectVia,
     start,
     end,
@@ -114,7 +125,9 @@ export const buildRouteShareSnapshot = ({ start, end, checkpoints, connectVia })
     start: start?.position ?? start ?? null,
     end: end?.position ?? end ?? null,
     checkpoints: Array.isArray(checkpoints)
-      ? checkpoints.map((checkpoint) => checkpoint?.position ?? checkpoint ?? null)
+      ? checkpoints.map((checkpoint) =>
+          checkpoint?.position ? { ...checkpoint, ...checkpoint.position } : checkpoint ?? null
+        )
       : []
   });
 
@@ -126,15 +139,30 @@ export const buildRouteShareSnapshot = ({ start, end, checkpoints, connectVia })
   return snapshot;
 };
 
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder('utf-8', { fatal: true });
+
 const encodeBinaryRouteShare = (normalised) => {
   const hasStart = Boolean(normalised.start);
   const hasEnd = Boolean(normalised.end);
   const checkpointCount = normalised.checkpoints.length;
   const coordinateCount = (hasStart ? 1 : 0) + (hasEnd ? 1 : 0) + checkpointCount;
-  const buffer = new ArrayBuffer(5 + coordinateCount * 8);
+  // Per checkpoint: category (0 for none), then name and note as length-prefixed UTF-8.
+  const details = normalised.checkpoints.some(hasCheckpointDetails)
+    ? normalised.checkpoints.map((checkpoint) => ({
+        category: CHECKPOINT_CATEGORY_IDS.indexOf(checkpoint.category) + 1,
+        name: textEncoder.encode(checkpoint.name ?? ''),
+        note: textEncoder.encode(checkpoint.note ?? '')
+      }))
+    : null;
+  const detailBytes = details
+    ? details.reduce((total, entry) => total + 4 + entry.name.length + entry.note.length, 0)
+    : 0;
+  const buffer = new ArrayBuffer(5 + coordinateCount * 8 + detailBytes);
+  const bytes = new Uint8Array(buffer);
   const view = new DataView(buffer);
   let offset = 0;
-  view.setUint8(offset, ROUTE_SHARE_VERSION);
+  view.setUint8(offset, details ? 2 : 1);
   offset += 1;
   const flags = (hasStart ? 1 : 0) | (hasEnd ? 2 : 0);
   view.setUint8(offset, flags);
@@ -159,7 +187,20 @@ const encodeBinaryRouteShare = (normalised) => {
     writeCoordinate(normalised.end);
   }
 
-  return toBase64Url(new Uint8Array(buffer));
+  details?.forEach((entry) => {
+    view.setUint8(offset, entry.category);
+    offset += 1;
+    view.setUint8(offset, entry.name.length);
+    offset += 1;
+    bytes.set(entry.name, offset);
+    offset += entry.name.length;
+    view.setUint16(offset, entry.note.length, false);
+    offset += 2;
+    bytes.set(entry.note, offset);
+    offset += entry.note.length;
+  });
+
+  return toBase64Url(bytes);
 };
 
 const decodeBinaryRouteShare = (code) => {
@@ -170,7 +211,7 @@ const decodeBinaryRouteShare = (code) => {
     let offset = 0;
     const version = view.getUint8(offset);
     offset += 1;
-    if (version !== ROUTE_SHARE_VERSION) return null;
+    if (!ROUTE_SHARE_VERSIONS.includes(version)) return null;
     const flags = view.getUint8(offset);
     offset += 1;
     const connectVia = view.getUint8(offset) === 1 ? 'route' : 'direct';
@@ -179,7 +220,7 @@ const decodeBinaryRouteShare = (code) => {
     offset += 2;
     const expectedCoordinates = (flags & 1 ? 1 : 0) + (flags & 2 ? 1 : 0) + checkpointCount;
     const expectedBytes = expectedCoordinates * 8;
-    if (bytes.byteLength !== offset + expectedBytes) {
+    if (version === 1 ? bytes.byteLength !== offset + expectedBytes : bytes.byteLength < offset + expectedBytes) {
       return null;
     }
 
@@ -191,6 +232,17 @@ const decodeBinaryRouteShare = (code) => {
       return { lat, lng };
     };
 
+    const ensureBytes = (length) => {
+      if (offset + length > bytes.byteLength) throw new Error('Share code is truncated.');
+    };
+
+    const readText = (length) => {
+      ensureBytes(length);
+      const text = textDecoder.decode(bytes.subarray(offset, offset + length));
+      offset += length;
+      return text;
+    };
+
     const start = flags & 1 ? readCoordinate() : null;
     const checkpoints = [];
     for (let index = 0; index < checkpointCount; index += 1) {
@@ -198,8 +250,25 @@ const decodeBinaryRouteShare = (code) => {
     }
     const end = flags & 2 ? readCoordinate() : null;
 
+    if (version === 2) {
+      checkpoints.forEach((checkpoint) => {
+        ensureBytes(2);
+        const category = CHECKPOINT_CATEGORY_IDS[view.getUint8(offset) - 1] ?? null;
+        offset += 1;
+        const nameLength = view.getUint8(offset);
+        offset += 1;
+        const name = readText(nameLength);
+        ensureBytes(2);
+        const noteLength = view.getUint16(offset, false);
+        offset += 2;
+        const note = readText(noteLength);
+        Object.assign(checkpoint, { name, note, category });
+      });
+      if (offset !== bytes.byteLength) return null;
+    }
+
     return {
-      version: ROUTE_SHARE_VERSION,
+      version,
       connectVia,
       start,
       end,
@@ -0,0 +1,158 @@
+export const tileProviders = {
+  street: {
+    id: 'street',
+    label: 'OpenStreetMap Standard',
+    description: 'Balanced street map with global coverage sourced from the OpenStreetMap community.',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution:
+      '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    subdomains: ['a', 'b', 'c'],
+    maxZoom: 19,
+    minZoom: 3,
+    category: 'Streets'
+  },
+  light: {
+    id: 'light',
+    label: 'Carto Light',
+    description: 'Soft grayscale basemap designed for daylight navigation with minimal visual noise.',
+    url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}.png',
+    attribution:
+      '&copy; <a href="https://carto.com/attributions">CARTO</a> | Map data &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    subdomains: ['a', 'b', 'c', 'd'],
+    maxZoom: 19,
+    minZoom: 3,
+    category: 'Streets'
+  },
+  dark: {
+    id: 'dark',
+    label: 'Carto Dark Matter',
+    description: 'Night-friendly basemap with high contrast roads and landmarks on a deep navy canvas.',
+    url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png',
+    attribution:
+      '&copy; <a href="https://carto.com/attributions">CARTO</a> | Map data &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    subdomains: ['a', 'b', 'c', 'd'],
+    maxZoom: 19,
+    minZoom: 3,
+    category: 'Streets'
+  },
+  voyager: {
+    id: 'voyager',
+    label: 'Carto Voyager',
+    description: 'Colorful, detail-rich cartography ideal for orientation and wayfinding at multiple zoom levels.',
+    url: 'https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}.png',
+    attribution:
+      '&copy; <a href="https://carto.com/attributions">CARTO</a> | Map data &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    subdomains: ['a', 'b', 'c', 'd'],
+    maxZoom: 19,
+    minZoom: 3,
+    category: 'Streets'
+  },
+  hot: {
+    id: 'hot',
+    label: 'OSM Humanitarian',
+    description: 'Humanitarian OpenStreetMap Team basemap with emphasis on populated areas and infrastructure.',
+    url: 'https://{s}.tile.openstreetmap.fr/hot/{z}/{x}/{y}.png',
+    attribution:
+      '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors, <a href="https://www.hotosm.org/">Humanitarian OpenStreetMap Team</a>',
+    subdomains: ['a', 'b', 'c'],
+    maxZoom: 19,
+    minZoom: 3,
+    category: 'Streets'
+  },
+  topo: {
+    id: 'topo',
+    label: 'OpenTopoMap',
+    description: 'Topographic map derived from OSM data with contour lines and terrain shading.',
+    url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+    attribution:
+      'Map data: &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors | SRTM | <a href="https://opentopomap.org">OpenTopoMap</a>',
+    subdomains: ['a', 'b', 'c'],
+    maxZoom: 17,
+    minZoom: 3,
+    category: 'Outdoor'
+  },
+  satellite: {
+    id: 'satellite',
+    label: 'Esri World Imagery',
+    description: 'High-resolution satellite and aerial imagery from Esri and the GIS user community.',
+    url: 'https://services.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+    attribution:
+      'Imagery &copy; Esri, i-cubed, USDA, USGS, AEX, GeoEye, Getmapping, Aerogrid, IGN, IGP, UPR-EGP, and the GIS User Community',
+    subdomains: [],
+    maxZoom: 19,
+    minZoom: 3,
+    category: 'Imagery'
+  }
+};
+
+export const orderedProviderIds = ['street', 'light', 'dark', 'voyager', 'hot', 'topo', 'satellite'];
+
+export const TILE_CACHE_NAME = 'cadet-map-tile-cache';
+
+export const MAX_TILE_FETCH_CONCURRENCY = 6;
+
+export const TILE_SIZE = 256;
+
+export const latLngToTile = (lat, lng, zoom) => {
+  const latRad = (lat * Math.PI) / 180;
+  const scale = 2 ** zoom;
+  const x = Math.floor(((lng + 180) / 360) * scale);
+  const y = Math.floor(
+    ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * scale
+  );
+  const maxIndex = scale - 1;
+  return {
+    x: Math.min(Math.max(x, 0), maxIndex),
+    y: Math.min(Math.max(y, 0), maxIndex),
+    z: zoom
+  };
+};
+
+export const buildTileUrl = (template, subdomains, { x, y, z }) => {
+  const domainPool = Array.isArray(subdomains) && subdomains.length > 0 ? subdomains : [''];
+  const index = Math.abs((x + y) % domainPool.length);
+  const subdomain = domainPool[index];
+  return template
+    .replace('{s}', subdomain)
+    .replace('{x}', x)
+    .replace('{y}', y)
+    .replace('{z}', z);
+};
+
+// Fractional Web Mercator pixel position at a zoom level, for drawing tiles and overlays together.
+export const latLngToWorldPixel = ({ lat, lng }, zoom) => {
+  const latRad = (Math.min(Math.max(lat, -85.0511), 85.0511) * Math.PI) / 180;
+  const size = TILE_SIZE * 2 ** zoom;
+  return {
+    x: ((lng + 180) / 360) * size,
+    y: ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * size
+  };
+};
+
+export const worldPixelToLatLng = ({ x, y }, zoom) => {
+  const size = TILE_SIZE * 2 ** zoom;
+  return {
+    lat: (Math.atan(Math.sinh(Math.PI * (1 - (2 * y) / size))) * 180) / Math.PI,
+    lng: (x / size) * 360 - 180
+  };
+};
+
+// Ground metres per tile pixel at a latitude and zoom.
+export const tileResolution = (lat, zoom) =>
+  (40075016.686 * Math.cos((lat * Math.PI) / 180)) / (TILE_SIZE * 2 ** zoom);
+
+// A drawable tile image: the offline tile cache first, then the network, keeping what was
+// fetched for next time. Opaque responses cannot be drawn onto a canvas, so they are refetched.
+export const loadTileBitmap = async (url, cache) => {
+  let response = cache ? await cache.match(url) : null;
+  if (!response || response.type === 'opaque') {
+    response = await fetch(url, { mode: 'cors' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    if (cache) {
+      await cache.put(url, response.clone()).catch(() => {});
+    }
+  }
+  return createImageBitmap(await response.blob());
+};
@@ -0,0 +1,284 @@
+// UTM and MGRS conversions on the WGS84 ellipsoid.
+// Transverse Mercator uses the Krüger n-series (6th order), which is accurate to
+// well under a millimetre inside a zone.
+
+export const WGS84_A = 6378137;
+export const WGS84_F = 1 / 298.257223563;
+const UTM_SCALE_FACTOR = 0.9996;
+const UTM_FALSE_EASTING = 500000;
+const UTM_FALSE_NORTHING_SOUTH = 10000000;
+
+const MGRS_LATITUDE_BANDS = 'CDEFGHJKLMNPQRSTUVWXX';
+const MGRS_COLUMN_LETTERS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+const MGRS_ROW_LETTERS = ['ABCDEFGHJKLMNPQRSTUV', 'FGHJKLMNPQRSTUVABCDE'];
+const MGRS_SQUARE_METERS = 100000;
+const MGRS_ROW_CYCLE_METERS = 2000000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+// Builds forward/inverse Transverse Mercator projections for an ellipsoid. Results are
+// unscaled (k0 = 1) and measured from the equator on the central meridian lng0.
+export const createTransverseMercator = ({ a, f }) => {
+  const eccentricity = Math.sqrt(f * (2 - f));
+  const e2 = eccentricity * eccentricity;
+  const n = f / (2 - f);
+  const n2 = n * n;
+  const n3 = n2 * n;
+  const n4 = n3 * n;
+  const n5 = n4 * n;
+  const n6 = n5 * n;
+
+  // Rectifying radius: circumference of the meridian divided by 2π.
+  const rectifyingRadius = (a / (1 + n)) * (1 + n2 / 4 + n4 / 64 + n6 / 256);
+
+  const alpha = [
+    null,
+    (1 / 2) * n - (2 / 3) * n2 + (5 / 16) * n3 + (41 / 180) * n4 - (127 / 288) * n5 + (7891 / 37800) * n6,
+    (13 / 48) * n2 - (3 / 5) * n3 + (557 / 1440) * n4 + (281 / 630) * n5 - (1983433 / 1935360) * n6,
+    (61 / 240) * n3 - (103 / 140) * n4 + (15061 / 26880) * n5 + (167603 / 181440) * n6,
+    (49561 / 161280) * n4 - (179 / 168) * n5 + (6601661 / 7257600) * n6,
+    (34729 / 80640) * n5 - (3418889 / 1995840) * n6,
+    (212378941 / 319334400) * n6
+  ];
+
+  const beta = [
+    null,
+    (1 / 2) * n - (2 / 3) * n2 + (37 / 96) * n3 - (1 / 360) * n4 - (81 / 512) * n5 + (96199 / 604800) * n6,
+    (1 / 48) * n2 + (1 / 15) * n3 - (437 / 1440) * n4 + (46 / 105) * n5 - (1118711 / 3870720) * n6,
+    (17 / 480) * n3 - (37 / 840) * n4 - (209 / 4480) * n5 + (5569 / 90720) * n6,
+    (4397 / 161280) * n4 - (11 / 504) * n5 - (830251 / 7257600) * n6,
+    (4583 / 161280) * n5 - (108847 / 3991680) * n6,
+    (20648693 / 638668800) * n6
+  ];
+
+  const conformalTangent = (tau) => {
+    const sigma = Math.sinh(eccentricity * Math.atanh((eccentricity * tau) / Math.sqrt(1 + tau * tau)));
+    return tau * Math.sqrt(1 + sigma * sigma) - sigma * Math.sqrt(1 + tau * tau);
+  };
+
+  const forward = ({ lat, lng }, lng0) => {
+    const phi = toRadians(lat);
+    const lambda = toRadians(lng - lng0);
+    const cosLambda = Math.cos(lambda);
+    const sinLambda = Math.sin(lambda);
+
+    const tauPrime = conformalTangent(Math.tan(phi));
+    const xiPrime = Math.atan2(tauPrime, cosLambda);
+    const etaPrime = Math.asinh(sinLambda / Math.sqrt(tauPrime * tauPrime + cosLambda * cosLambda));
+
+    let xi = xiPrime;
+    let eta = etaPrime;
+    for (let j = 1; j <= 6; j += 1) {
+      xi += alpha[j] * Math.sin(2 * j * xiPrime) * Math.cosh(2 * j * etaPrime);
+      eta += alpha[j] * Math.cos(2 * j * xiPrime) * Math.sinh(2 * j * etaPrime);
+    }
+
+    return {
+      x: rectifyingRadius * eta,
+      y: rectifyingRadius * xi
+    };
+  };
+
+  const inverse = ({ x, y }, lng0) => {
+    const xi = y / rectifyingRadius;
+    const eta = x / rectifyingRadius;
+
+    let xiPrime = xi;
+    let etaPrime = eta;
+    for (let j = 1; j <= 6; j += 1) {
+      xiPrime -= beta[j] * Math.sin(2 * j * xi) * Math.cosh(2 * j * eta);
+      etaPrime -= beta[j] * Math.cos(2 * j * xi) * Math.sinh(2 * j * eta);
+    }
+
+    const sinhEtaPrime = Math.sinh(etaPrime);
+    const sinXiPrime = Math.sin(xiPrime);
+    const cosXiPrime = Math.cos(xiPrime);
+    const tauPrime = sinXiPrime / Math.sqrt(sinhEtaPrime * sinhEtaPrime + cosXiPrime * cosXiPrime);
+
+    // Newton-Raphson from the conformal latitude back to the geodetic latitude.
+    let tau = tauPrime;
+    for (let iteration = 0; iteration < 10; iteration += 1) {
+      const tauIPrime = conformalTangent(tau);
+      const delta =
+        ((tauPrime - tauIPrime) / Math.sqrt(1 + tauIPrime * tauIPrime)) *
+        ((1 + (1 - e2) * tau * tau) / ((1 - e2) * Math.sqrt(1 + tau * tau)));
+      tau += delta;
+      if (Math.abs(delta) < 1e-12) break;
+    }
+
+    const lambda = Math.atan2(sinhEtaPrime, cosXiPrime);
+    return {
+      lat: toDegrees(Math.atan(tau)),
+      lng: ((lng0 + toDegrees(lambda) + 540) % 360) - 180
+    };
+  };
+
+  return { forward, inverse };
+};
+
+const wgs84TransverseMercator = createTransverseMercator({ a: WGS84_A, f: WGS84_F });
+
+export const transverseMercatorForward = wgs84TransverseMercator.forward;
+export const transverseMercatorInverse = wgs84TransverseMercator.inverse;
+
+const centralMeridian = (zone) => (zone - 1) * 6 - 180 + 3;
+
+const resolveZone = (lat, lng) => {
+  let zone = Math.floor((lng + 180) / 6) + 1;
+  if (zone > 60) zone = 1;
+
+  // Norway and Svalbard exceptions to the regular 6° zones.
+  if (lat >= 56 && lat < 64 && lng >= 3 && lng < 12) zone = 32;
+  if (lat >= 72 && lat < 84) {
+    if (lng >= 0 && lng < 9) zone = 31;
+    else if (lng >= 9 && lng < 21) zone = 33;
+    else if (lng >= 21 && lng < 33) zone = 35;
+    else if (lng >= 33 && lng < 42) zone = 37;
+  }
+  return zone;
+};
+
+const latitudeBand = (lat) => {
+  const index = Math.floor(lat / 8 + 10);
+  return MGRS_LATITUDE_BANDS[Math.min(Math.max(index, 0), MGRS_LATITUDE_BANDS.length - 1)];
+};
+
+// zone forces a neighbouring zone, so features that straddle a boundary share one grid.
+export const latLngToUtm = ({ lat, lng }, { zone: forcedZone } = {}) => {
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    throw new Error('Latitude and longitude must be numbers.');
+  }
+  if (lat < -80 || lat > 84) {
+    throw new Error('UTM is only defined between 80°S and 84°N.');
+  }
+
+  const zone = forcedZone ?? resolveZone(lat, lng);
+  const { x, y } = transverseMercatorForward({ lat, lng }, centralMeridian(zone));
+  const easting = UTM_SCALE_FACTOR * x + UTM_FALSE_EASTING;
+  let northing = UTM_SCALE_FACTOR * y;
+  if (northing < 0) {
+    northing += UTM_FALSE_NORTHING_SOUTH;
+  }
+
+  return {
+    zone,
+    hemisphere: lat >= 0 ? 'N' : 'S',
+    band: latitudeBand(lat),
+    easting,
+    northing
+  };
+};
+
+export const utmToLatLng = ({ zone, hemisphere, easting, northing }) => {
+  if (!Number.isInteger(zone) || zone < 1 || zone > 60) {
+    throw new Error('UTM zone must be between 1 and 60.');
+  }
+  if (!Number.isFinite(easting) || !Number.isFinite(northing)) {
+    throw new Error('UTM easting and northing must be numbers.');
+  }
+
+  const x = (easting - UTM_FALSE_EASTING) / UTM_SCALE_FACTOR;
+  const y = (hemisphere === 'S' ? northing - UTM_FALSE_NORTHING_SOUTH : northing) / UTM_SCALE_FACTOR;
+  return transverseMercatorInverse({ x, y }, centralMeridian(zone));
+};
+
+const clampMgrsPrecision = (precision) => {
+  if (Number.isInteger(precision) && precision >= 1 && precision <= 5) {
+    return precision;
+  }
+  throw new Error('MGRS precision must be between 1 and 5 digits.');
+};
+
+export const latLngToMgrs = (point, precision = 5) => {
+  const digits = clampMgrsPrecision(precision);
+  const utm = latLngToUtm(point);
+  const set = (utm.zone - 1) % 3;
+  const column = Math.floor(utm.easting / MGRS_SQUARE_METERS);
+  const row = Math.floor(utm.northing / MGRS_SQUARE_METERS) % 20;
+  const columnLetter = MGRS_COLUMN_LETTERS[set][column - 1];
+  const rowLetter = MGRS_ROW_LETTERS[(utm.zone - 1) % 2][row];
+
+  const divisor = 10 ** (5 - digits);
+  const truncate = (value) =>
+    Math.floor((value % MGRS_SQUARE_METERS) / divisor)
+      .toString()
+      .padStart(digits, '0');
+
+  return {
+    zone: utm.zone,
+    band: utm.band,
+    square: `${columnLetter}${rowLetter}`,
+    easting: truncate(utm.easting),
+    northing: truncate(utm.northing),
+    precision: digits
+  };
+};
+
+export const formatMgrs = (reference) => {
+  if (!reference) return '';
+  return `${reference.zone}${reference.band} ${reference.square} ${reference.easting} ${reference.northing}`;
+};
+
+export const parseMgrs = (value) => {
+  if (value == null) {
+    throw new Error('Enter an MGRS reference.');
+  }
+  const compact = String(value).replace(/\s+/g, '').toUpperCase();
+  const match = /^(\d{1,2})([C-HJ-NP-X])([A-HJ-NP-Z])([A-HJ-NP-V])(\d*)$/.exec(compact);
+  if (!match) {
+    throw new Error('MGRS references look like 30U WB 12345 67890.');
+  }
+
+  const [, zoneText, band, columnLetter, rowLetter, digits] = match;
+  const zone = Number(zoneText);
+  if (zone < 1 || zone > 60) {
+    throw new Error('UTM zone must be between 1 and 60.');
+  }
+  if (digits.length % 2 !== 0) {
+    throw new Error('MGRS easting and northing need the same number of digits.');
+  }
+  const precision = digits.length / 2;
+  if (precision < 1 || precision > 5) {
+    throw new Error('MGRS references need between 2 and 10 digits.');
+  }
+
+  return {
+    zone,
+    band,
+    square: `${columnLetter}${rowLetter}`,
+    easting: digits.slice(0, precision),
+    northing: digits.slice(precision),
+    precision
+  };
+};
+
+export const mgrsToLatLng = (reference, { centre = true } = {}) => {
+  const parsed = typeof reference === 'string' ? parseMgrs(reference) : reference;
+  const { zone, band, square } = parsed;
+  const precision = clampMgrsPrecision(parsed.precision ?? String(parsed.easting).length);
+
+  const column = MGRS_COLUMN_LETTERS[(zone - 1) % 3].indexOf(square[0]) + 1;
+  const row = MGRS_ROW_LETTERS[(zone - 1) % 2].indexOf(square[1]);
+  if (column < 1 || row < 0) {
+    throw new Error(`Grid square ${square} does not exist in zone ${zone}.`);
+  }
+
+  const unit = 10 ** (5 - precision);
+  const offset = centre ? unit / 2 : 0;
+  const easting = column * MGRS_SQUARE_METERS + Number(parsed.easting) * unit + offset;
+  const squareNorthing = row * MGRS_SQUARE_METERS + Number(parsed.northing) * unit + offset;
+
+  // Row letters repeat every 2000 km; pick the cycle that lands inside the latitude band.
+  const hemisphere = band >= 'N' ? 'N' : 'S';
+  const bandIndex = MGRS_LATITUDE_BANDS.indexOf(band);
+  const bandMidLatitude = Math.min((bandIndex - 10) * 8 + 4, 80);
+  const bandY =
+    UTM_SCALE_FACTOR *
+    transverseMercatorForward({ lat: bandMidLatitude, lng: centralMeridian(zone) }, centralMeridian(zone)).y;
+  const bandNorthing = hemisphere === 'S' ? bandY + UTM_FALSE_NORTHING_SOUTH : bandY;
+  const cycles = Math.round((bandNorthing - squareNorthing) / MGRS_ROW_CYCLE_METERS);
+  const northing = squareNorthing + cycles * MGRS_ROW_CYCLE_METERS;
+
+  return utmToLatLng({ zone, hemisphere, easting, northing });
+};